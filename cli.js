@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+// Command-line interface for the conversion pipeline (no Electron needed):
+//   node cli.js convert <url|file> [--quality advanced] [--separate] [--out dir]
+// It uses the app's data folder (cache, settings, parameter presets), so
+// don't run it while the app is converting.
+
+const path = require('path');
+const fs = require('fs-extra');
+const appPaths = require('./src/main/app-paths');
+const fileManager = require('./src/main/file-manager');
+const youtubeDownloader = require('./src/main/youtube-downloader');
+const cacheManager = require('./src/main/cache-manager');
+const toolResolver = require('./src/main/tool-resolver');
+const paramPresets = require('./src/main/param-presets');
+const settingsStore = require('./src/main/settings-store');
+const conversionPipeline = require('./src/main/conversion-pipeline');
+
+const EXIT_CODES = {
+  ok: 0,
+  failed: 1, // the conversion failed (a batch: at least one video failed)
+  usage: 2, // invalid command or options
+  missingTool: 3, // ffmpeg / python not found
+  noSpace: 4, // not enough disk space
+  cancelled: 130 // Ctrl+C
+};
+
+const USAGE = `Usage: node cli.js convert <youtube-url|playlist-url|file> [options]
+
+Options (defaults come from the app's saved conversion settings):
+  --quality <beginner|intermediate|advanced>  Difficulty
+  --source <piano-cover|original|unknown>     What the recording is
+  --separate, --no-separate                   Stem separation on/off
+  --backend <id>                              Separation backend (e.g. demucs:htdemucs, spleeter:2stems)
+  --offbeat, --wrong-notes                    Problem flags (rhythm / wrong notes)
+  --start <time>, --end <time>                Convert only a section (90, 1:30, 1m30s)
+  --preset <name>                             Saved advanced-settings preset
+  --out <dir>                                 Output folder (default: the app's)
+  --json                                      Print the result as JSON
+  --quiet                                     No progress output
+  --verbose                                   Show the pipeline's log messages
+  -h, --help                                  Show this help
+
+Exit codes: 0 ok, 1 conversion failed, 2 invalid arguments, 3 ffmpeg/python missing,
+4 not enough disk space, 130 cancelled`;
+
+// Options taking a value, and the conversion option each one sets
+const VALUE_OPTIONS = {
+  quality: 'qualityMode',
+  source: 'sourceType',
+  backend: 'separationBackend',
+  start: 'clipStart',
+  end: 'clipEnd',
+  preset: null,
+  out: null
+};
+
+const FLAG_OPTIONS = {
+  separate: ['useSeparation', true],
+  'no-separate': ['useSeparation', false],
+  offbeat: ['issueOffbeat', true],
+  'wrong-notes': ['issueWrongNotes', true],
+  json: null,
+  quiet: null,
+  verbose: null,
+  help: null
+};
+
+// After Ctrl+C, how long the running step may take to stop before the CLI
+// cleans up and exits on its own
+const CANCEL_TIMEOUT_MS = 10000;
+
+const STEP_LABELS = { 1: '다운로드', 2: '변환', 3: '전사', 4: '저장' };
+
+class UsageError extends Error {}
+
+/**
+ * Split argv into { command, inputs, values, flags }. Accepts
+ * "--name value" and "--name=value".
+ */
+function parseArgs(argv) {
+  const result = { command: null, inputs: [], values: {}, flags: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') {
+      result.flags.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      if (!result.command) {
+        result.command = arg;
+      } else {
+        result.inputs.push(arg);
+      }
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (name in VALUE_OPTIONS) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || value === '') {
+        throw new UsageError(`--${name} needs a value`);
+      }
+      result.values[name] = value;
+    } else if (name in FLAG_OPTIONS && inlineValue === undefined) {
+      result.flags[name] = true;
+    } else {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Conversion options: saved settings, then the command-line options.
+ */
+async function buildOptions(args) {
+  const options = { ...(await settingsStore.get()).conversion };
+
+  for (const [name, key] of Object.entries(VALUE_OPTIONS)) {
+    if (key && args.values[name] !== undefined) {
+      options[key] = args.values[name];
+    }
+  }
+  for (const [name, setting] of Object.entries(FLAG_OPTIONS)) {
+    if (setting && args.flags[name]) {
+      options[setting[0]] = setting[1];
+    }
+  }
+
+  let normalized;
+  try {
+    normalized = conversionPipeline.normalizeOptions(options);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (args.values.preset) {
+    const params = await paramPresets.get(args.values.preset);
+    if (!params) {
+      throw new UsageError(`Unknown preset: ${args.values.preset}`);
+    }
+    normalized.transcriptionParams = params;
+    normalized.paramPresetName = args.values.preset;
+  }
+
+  return normalized;
+}
+
+/**
+ * The sources to convert: one file or video, or every video of a
+ * playlist/channel URL.
+ */
+async function resolveSources(input) {
+  if (/^https?:\/\//i.test(input) || /^(www\.)?(youtube\.com|youtu\.be)\//i.test(input)) {
+    if (youtubeDownloader.isPlaylistUrl(input) && !youtubeDownloader.validateYouTubeUrl(input)) {
+      const playlist = await youtubeDownloader.expandPlaylist(input);
+      if (playlist.entries.length === 0) {
+        throw new Error('No videos found in playlist');
+      }
+      return playlist.entries.map(entry => ({ url: entry.url, title: entry.title }));
+    }
+    if (!youtubeDownloader.validateYouTubeUrl(input)) {
+      throw new UsageError(`Not a YouTube video or playlist URL: ${input}`);
+    }
+    return [{ url: input }];
+  }
+
+  const filePath = path.resolve(input);
+  if (!(await fs.pathExists(filePath))) {
+    throw new UsageError(`File not found: ${input}`);
+  }
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  if (!conversionPipeline.getMediaExtensions().includes(ext)) {
+    throw new UsageError(`Unsupported file type: .${ext} (expected ${conversionPipeline.getMediaExtensions().join(', ')})`);
+  }
+  return [{ filePath }];
+}
+
+/**
+ * Progress printer: one rewritten line on a terminal, otherwise a line per
+ * step and every 10% (for logs and cron mail).
+ */
+function createProgressPrinter(quiet) {
+  const isTTY = process.stderr.isTTY;
+  let last = null;
+
+  return {
+    update(step, percent, message) {
+      if (quiet) return;
+      const line = `[${step}/4 ${STEP_LABELS[step] || ''}] ${String(percent).padStart(3)}% ${message}`;
+      if (isTTY) {
+        process.stderr.write(`\r\x1b[K${line}`);
+        return;
+      }
+      const bucket = `${step}:${Math.floor(percent / 10)}`;
+      if (bucket !== last) {
+        last = bucket;
+        process.stderr.write(`${line}\n`);
+      }
+    },
+    end() {
+      if (!quiet && isTTY) process.stderr.write('\r\x1b[K');
+      last = null;
+    }
+  };
+}
+
+function exitCodeFor(error, cancelled) {
+  if (cancelled) return EXIT_CODES.cancelled;
+  if (error instanceof UsageError) return EXIT_CODES.usage;
+  if (error.code === 'ENOSPC') return EXIT_CODES.noSpace;
+  return EXIT_CODES.failed;
+}
+
+async function convert(args) {
+  if (args.inputs.length !== 1) {
+    throw new UsageError('convert needs exactly one URL or file');
+  }
+
+  const options = await buildOptions(args);
+  const sources = await resolveSources(args.inputs[0]);
+
+  // Tools are checked up front so a missing one has its own exit code
+  const tools = ['ffmpeg', ...(options.useSeparation && options.separationBackend !== 'none' ? ['python'] : [])];
+  for (const tool of tools) {
+    try {
+      await toolResolver.resolve(tool);
+    } catch (error) {
+      process.stderr.write(`${error.message}\n`);
+      return EXIT_CODES.missingTool;
+    }
+  }
+
+  // A private temp folder: the pipeline empties its temp folder when done
+  fileManager.useDirs({
+    tempDir: path.join(appPaths.getTempDir(), `cli-${process.pid}`),
+    outputDir: args.values.out
+  });
+
+  const progress = createProgressPrinter(args.flags.quiet);
+  const results = [];
+  let cancelled = false;
+  let exitCode = EXIT_CODES.ok;
+
+  const quitCancelled = () => {
+    fs.removeSync(fileManager.getTempDir());
+    process.exit(EXIT_CODES.cancelled);
+  };
+  process.on('SIGINT', () => {
+    if (cancelled) quitCancelled();
+    cancelled = true;
+    process.stderr.write('\nCancelling... (Ctrl+C again to quit immediately)\n');
+    conversionPipeline.cancel();
+    // Don't depend on the pipeline settling: this timer also keeps Node from
+    // exiting with 0 once the cancelled step's processes are gone
+    setTimeout(quitCancelled, CANCEL_TIMEOUT_MS);
+  });
+
+  try {
+    for (const [index, source] of sources.entries()) {
+      if (cancelled) break;
+      const name = source.title || source.url || source.filePath;
+      if (sources.length > 1 && !args.flags.quiet) {
+        process.stderr.write(`(${index + 1}/${sources.length}) ${name}\n`);
+      }
+
+      try {
+        const result = await conversionPipeline.processVideo({ ...source, options }, progress.update);
+        progress.end();
+        results.push({ source: name, ok: true, ...result });
+        if (!args.flags.json) {
+          process.stdout.write(`${result.outputDir}\n`);
+          if (!args.flags.quiet) {
+            process.stderr.write(`  MIDI: ${result.midiPath}\n`);
+            process.stderr.write(`  PDF: ${result.pdfPath || '(failed)'}\n`);
+            process.stderr.write(`  MusicXML: ${result.musicXmlPath || '(failed)'}\n`);
+          }
+        }
+      } catch (error) {
+        progress.end();
+        results.push({ source: name, ok: false, error: error.message });
+        process.stderr.write(`Error: ${error.message}\n`);
+        exitCode = exitCodeFor(error, cancelled);
+        // Out of space stops a batch; other videos may still work
+        if (exitCode !== EXIT_CODES.failed) break;
+      }
+    }
+  } finally {
+    await fs.remove(fileManager.getTempDir()).catch(() => {});
+    // Same eviction as after an app job
+    await cacheManager.enforceSizeLimit().catch(error => {
+      console.error('Cache eviction failed:', error);
+    });
+  }
+
+  if (args.flags.json) {
+    process.stdout.write(`${JSON.stringify(sources.length > 1 ? results : results[0], null, 2)}\n`);
+  }
+  return exitCode;
+}
+
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_CODES.usage;
+  }
+
+  if (args.flags.help || !args.command) {
+    process.stdout.write(`${USAGE}\n`);
+    return args.flags.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+  }
+
+  // The pipeline modules log freely; keep stdout for results
+  if (!args.flags.verbose) {
+    console.log = () => {};
+    console.info = () => {};
+    console.warn = () => {};
+  }
+
+  try {
+    if (args.command === 'convert') {
+      return await convert(args);
+    }
+    throw new UsageError(`Unknown command: ${args.command}`);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    if (error instanceof UsageError) {
+      process.stderr.write(`\n${USAGE}\n`);
+    }
+    return exitCodeFor(error, false);
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  // Exit even if a child process or worker is still winding down
+  process.exit(code);
+});
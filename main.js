@@ -1,6 +1,7 @@
 const { app, BrowserWindow } = require('electron');
 const path = require('path');
 const fs = require('fs-extra');
+const appPaths = require('./src/main/app-paths');
 
 let mainWindow;
 
@@ -27,11 +28,15 @@ async function createWindow() {
 }
 
 async function initializeApp() {
+  // Move data kept in the app folder by older versions to userData
+  await appPaths.migrateLegacyData();
+
   // Ensure required directories exist
   const dirs = [
-    path.join(__dirname, 'temp'),
-    path.join(__dirname, 'output'),
-    path.join(__dirname, 'cache')
+    appPaths.getDataDir(),
+    appPaths.getTempDir(),
+    appPaths.getOutputDir(),
+    appPaths.getCacheDir()
   ];
 
   for (const dir of dirs) {
@@ -39,13 +44,12 @@ async function initializeApp() {
   }
 
   // Clean up any leftover temp files from previous sessions
-  const tempDir = path.join(__dirname, 'temp');
-  await fs.emptyDir(tempDir);
+  await fs.emptyDir(appPaths.getTempDir());
 
-  // Initialize cache and clean old entries (older than 7 days)
+  // Initialize cache and evict least recently used entries over the size limit
   const cacheManager = require('./src/main/cache-manager');
   await cacheManager.initialize();
-  await cacheManager.clearOldCache(7 * 24 * 60 * 60 * 1000);
+  await cacheManager.enforceSizeLimit();
 }
 
 app.whenReady().then(async () => {
@@ -57,7 +61,7 @@ app.whenReady().then(async () => {
   await createWindow();
 
   // Set mainWindow reference for sending events to renderer
-  ipcHandlers.initialize(mainWindow);
+  await ipcHandlers.initialize(mainWindow);
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -73,10 +77,12 @@ app.on('window-all-closed', () => {
 });
 
 app.on('before-quit', async () => {
+  // Stop the local API so tools see the connection close
+  require('./src/main/api-server').stop().catch(() => {});
+
   // Cleanup temp files on exit
-  const tempDir = path.join(__dirname, 'temp');
   try {
-    await fs.emptyDir(tempDir);
+    await fs.emptyDir(appPaths.getTempDir());
   } catch (error) {
     console.error('Error cleaning up temp directory:', error);
   }
@@ -1,12 +1,35 @@
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 // Expose protected methods that allow the renderer process to use
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld('electronAPI', {
-  // Start processing a YouTube URL
+  // Queue a YouTube URL or local file ({ url | filePath, options })
   startProcessing: (url) => ipcRenderer.invoke('start-processing', url),
 
-  // Cancel ongoing processing
+  // Queue every video of a playlist/channel URL ({ url, options })
+  startBatch: (payload) => ipcRenderer.invoke('start-batch', payload),
+
+  // Job queue
+  getQueue: () => ipcRenderer.invoke('get-queue'),
+  cancelJob: (id) => ipcRenderer.invoke('cancel-job', id),
+  moveJob: (id, toIndex) => ipcRenderer.invoke('move-job', { id, toIndex }),
+  removeJob: (id) => ipcRenderer.invoke('remove-job', id),
+  clearFinishedJobs: () => ipcRenderer.invoke('clear-finished-jobs'),
+
+  // Listen for queue changes ({ jobs })
+  onQueueUpdate: (callback) => {
+    const subscription = (event, data) => callback(data);
+    ipcRenderer.on('queue-update', subscription);
+    return () => ipcRenderer.removeListener('queue-update', subscription);
+  },
+
+  // Pick a local audio/video file via file dialog
+  importMediaFile: () => ipcRenderer.invoke('import-media-file'),
+
+  // Resolve the filesystem path of a dropped File
+  getPathForFile: (file) => webUtils.getPathForFile(file),
+
+  // Cancel the running job
   cancelProcessing: () => ipcRenderer.invoke('cancel-processing'),
 
   // Listen for progress updates
@@ -30,20 +53,73 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return () => ipcRenderer.removeListener('processing-complete', subscription);
   },
 
+  // Named custom transcription parameter presets ([{ name, params }])
+  getParamPresets: () => ipcRenderer.invoke('get-param-presets'),
+  saveParamPreset: (name, params) => ipcRenderer.invoke('save-param-preset', { name, params }),
+  deleteParamPreset: (name) => ipcRenderer.invoke('delete-param-preset', name),
+
+  // Rebuild a song's charts at another difficulty from its saved analysis
+  // ({ outputDir, qualityMode, issueOffbeat, issueWrongNotes, transcriptionParams, paramPresetName })
+  regenerateDifficulty: (payload) => ipcRenderer.invoke('regenerate-difficulty', payload),
+
+  // Listen for regenerate progress ({ percent, message })
+  onRegenerateProgress: (callback) => {
+    const subscription = (event, data) => callback(data);
+    ipcRenderer.on('regenerate-progress', subscription);
+    return () => ipcRenderer.removeListener('regenerate-progress', subscription);
+  },
+
   // Open the generated PDF
   openPdf: (filePath) => ipcRenderer.invoke('open-pdf', filePath),
 
+  // Export a MIDI file as MusicXML (format: 'musicxml' | 'mxl')
+  exportMusicXml: (midiPath, format) => ipcRenderer.invoke('export-musicxml', { midiPath, format }),
+
+  // External tools: diagnosis report and configured paths ({ ffmpeg, ffprobe, python })
+  diagnoseTools: () => ipcRenderer.invoke('diagnose-tools'),
+  getToolPaths: () => ipcRenderer.invoke('get-tool-paths'),
+  setToolPaths: (paths) => ipcRenderer.invoke('set-tool-paths', paths),
+
+  // Settings kept across sessions: { conversion, game, tools, api }. updateSettings
+  // takes { section: { name: value } } (null = default); export/import use a
+  // file dialog and return null when cancelled
+  getSettings: () => ipcRenderer.invoke('get-settings'),
+  updateSettings: (changes) => ipcRenderer.invoke('update-settings', changes),
+  exportSettings: () => ipcRenderer.invoke('export-settings'),
+  importSettings: () => ipcRenderer.invoke('import-settings'),
+
+  // Local HTTP/WebSocket API: { enabled, port, running, url, token, tokenFile, error }.
+  // setApiSettings takes { enabled, port } and restarts the server
+  getApiStatus: () => ipcRenderer.invoke('get-api-status'),
+  setApiSettings: (settings) => ipcRenderer.invoke('set-api-settings', settings),
+  regenerateApiToken: () => ipcRenderer.invoke('regenerate-api-token'),
+
+  // Cache management: { maxCacheSize, entries: [{ key, kind, title, detail, size, lastAccess, pinned, pinnedSelf }] }
+  getCacheInfo: () => ipcRenderer.invoke('get-cache-info'),
+  setCachePinned: (key, pinned) => ipcRenderer.invoke('set-cache-pinned', { key, pinned }),
+  deleteCacheEntry: (key) => ipcRenderer.invoke('delete-cache-entry', key),
+  clearCache: () => ipcRenderer.invoke('clear-cache'),
+  setCacheLimit: (bytes) => ipcRenderer.invoke('set-cache-limit', bytes),
+
   // Get output directory path
   getOutputDir: () => ipcRenderer.invoke('get-output-dir'),
 
-  // Get conversion history
-  getHistory: () => ipcRenderer.invoke('get-history'),
+  // Storage locations ({ dataDir, outputDir, defaultOutputDir }); setOutputDir
+  // moves the songs to the new folder (null = default location)
+  getStorageInfo: () => ipcRenderer.invoke('get-storage-info'),
+  chooseOutputDir: () => ipcRenderer.invoke('choose-output-dir'),
+  setOutputDir: (dir) => ipcRenderer.invoke('set-output-dir', dir),
+
+  // Song library: filters { text, tags, favorite, difficulty, bpmMin, bpmMax,
+  // key, durationMin, durationMax, sort } → { songs, tags, keys }
+  queryLibrary: (filters) => ipcRenderer.invoke('query-library', filters),
+  setSongFavorite: (id, favorite) => ipcRenderer.invoke('set-song-favorite', { id, favorite }),
+  setSongTags: (id, tags) => ipcRenderer.invoke('set-song-tags', { id, tags }),
 
-  // Delete one conversion history entry
+  // Delete one library song ({ id }) with its cached audio
   deleteHistoryEntry: (payload) => ipcRenderer.invoke('delete-history-entry', payload),
 
   // Rhythm game APIs
-  listMidiFiles: () => ipcRenderer.invoke('list-midi-files'),
   loadMidiForGame: (midiPath) => ipcRenderer.invoke('load-midi-for-game', midiPath),
   readAudioFile: (audioPath) => ipcRenderer.invoke('read-audio-file', audioPath),
 
@@ -0,0 +1,432 @@
+const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const appPaths = require('./app-paths');
+const fileManager = require('./file-manager');
+const jobQueue = require('./job-queue');
+const youtubeDownloader = require('./youtube-downloader');
+const paramPresets = require('./param-presets');
+const settingsStore = require('./settings-store');
+const conversionPipeline = require('./conversion-pipeline');
+const { isWebSocketRequest, acceptWebSocket } = require('./websocket');
+const { version } = require('../../package.json');
+
+// Local HTTP/WebSocket API for tools on the same machine (browser extension,
+// chat bots). Off unless enabled in the settings (api.enabled / api.port);
+// it listens on 127.0.0.1 only and every request needs the token kept in
+// the data folder's api-token file.
+//
+//   GET  /api/status                  app version and queue summary
+//   GET  /api/jobs                    every job in the queue
+//   POST /api/jobs                    { url, options } → { jobs } (a playlist queues every video)
+//   GET  /api/jobs/:id                one job, with its latest progress
+//   GET  /api/jobs/:id/files/:type    midi | pdf | musicxml of a finished job
+//   GET  /api/events (WebSocket)      the renderer's events: progress-update,
+//                                     queue-update, processing-complete, error-occurred
+const TOKEN_FILE = 'api-token';
+const HOST = '127.0.0.1';
+const MAX_BODY_BYTES = 64 * 1024;
+
+const FILE_TYPES = {
+  midi: { key: 'midiPath', contentType: 'audio/midi' },
+  pdf: { key: 'pdfPath', contentType: 'application/pdf' },
+  musicxml: { key: 'musicXmlPath', contentType: 'application/vnd.recordare.musicxml+xml' }
+};
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Request body parsed as JSON (an empty body is {}).
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Request body is too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      try {
+        resolve(text ? JSON.parse(text) : {});
+      } catch (error) {
+        reject(httpError(400, 'Request body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+class ApiServer {
+  constructor() {
+    this.tokenFile = appPaths.dataFile(TOKEN_FILE);
+    this.token = null;
+    this.server = null;
+    this.port = null;
+    this.lastError = null;
+    this.clients = new Set();
+    this.progress = new Map(); // jobId → latest progress-update
+  }
+
+  /**
+   * The access token, created on first use. It is kept in a file so local
+   * tools can read it instead of having it pasted in.
+   */
+  async getToken() {
+    if (!this.token) {
+      if (await fs.pathExists(this.tokenFile)) {
+        this.token = (await fs.readFile(this.tokenFile, 'utf8')).trim() || null;
+      }
+      if (!this.token) {
+        await this.writeToken();
+      }
+    }
+    return this.token;
+  }
+
+  async writeToken() {
+    this.token = crypto.randomBytes(32).toString('hex');
+    await fs.ensureDir(appPaths.getDataDir());
+    await fs.writeFile(this.tokenFile, `${this.token}\n`, { mode: 0o600 });
+  }
+
+  /**
+   * Replace the token; open event streams using the old one are closed.
+   */
+  async regenerateToken() {
+    await this.writeToken();
+    this.clients.forEach(client => client.close(1008));
+    return this.getStatus();
+  }
+
+  /**
+   * { enabled, port, running, url, token, tokenFile, error } for the settings panel.
+   */
+  async getStatus() {
+    const { api } = await settingsStore.get();
+    return {
+      enabled: api.enabled,
+      port: api.port,
+      running: Boolean(this.server),
+      url: this.server ? `http://${HOST}:${this.port}/api` : null,
+      token: await this.getToken(),
+      tokenFile: this.tokenFile,
+      error: this.lastError
+    };
+  }
+
+  /**
+   * Start listening when the API is enabled in the settings.
+   */
+  async start() {
+    const { api } = await settingsStore.get();
+    this.lastError = null;
+    if (!api.enabled || this.server) {
+      return this.getStatus();
+    }
+
+    await this.getToken();
+    const server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        if (!error.status) {
+          console.error('Local API request failed:', error);
+        }
+        if (!res.headersSent) {
+          sendJson(res, error.status || 500, { error: error.message });
+        } else {
+          res.destroy();
+        }
+      });
+    });
+    server.on('upgrade', (req, socket) => this.handleUpgrade(req, socket));
+
+    try {
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(api.port, HOST, resolve);
+      });
+    } catch (error) {
+      this.lastError = error.code === 'EADDRINUSE'
+        ? `Port ${api.port} is already in use`
+        : `Cannot start the local API: ${error.message}`;
+      throw new Error(this.lastError);
+    }
+
+    this.server = server;
+    this.port = api.port;
+    console.log(`Local API listening on http://${HOST}:${api.port}/api`);
+    return this.getStatus();
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+    this.port = null;
+    this.clients.forEach(client => client.close(1001));
+    await new Promise(resolve => {
+      server.close(() => resolve());
+      if (server.closeAllConnections) {
+        server.closeAllConnections();
+      }
+    });
+  }
+
+  /**
+   * Apply changed api settings.
+   */
+  async restart() {
+    await this.stop();
+    return this.start();
+  }
+
+  /**
+   * Forward an event sent to the renderer to every open event stream.
+   */
+  broadcast(channel, data) {
+    if (channel === 'progress-update' && data.jobId) {
+      this.progress.set(data.jobId, { step: data.step, percentage: data.percentage, message: data.message });
+    } else if (channel === 'queue-update') {
+      // Only the running job's progress is kept
+      const running = new Set(data.jobs.filter(job => job.status === 'running').map(job => job.id));
+      [...this.progress.keys()].forEach(id => {
+        if (!running.has(id)) this.progress.delete(id);
+      });
+    }
+
+    this.clients.forEach(client => client.send({ event: channel, data }));
+  }
+
+  /**
+   * Requests must name this server (not another host name resolving to
+   * 127.0.0.1, as a web page could arrange) and carry the token.
+   */
+  authorize(req, url) {
+    const allowedHosts = [`${HOST}:${this.port}`, `localhost:${this.port}`];
+    if (!allowedHosts.includes((req.headers.host || '').toLowerCase())) {
+      throw httpError(403, 'Invalid Host header');
+    }
+
+    const header = req.headers.authorization || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7).trim() : url.searchParams.get('token');
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(given || '');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw httpError(401, 'Missing or invalid token');
+    }
+  }
+
+  handleUpgrade(req, socket) {
+    const url = new URL(req.url, `http://${HOST}`);
+    try {
+      if (url.pathname !== '/api/events' || !isWebSocketRequest(req)) {
+        throw httpError(404, 'Not found');
+      }
+      this.authorize(req, url);
+    } catch (error) {
+      socket.end(`HTTP/1.1 ${error.status} ${http.STATUS_CODES[error.status]}\r\nConnection: close\r\n\r\n`);
+      return;
+    }
+
+    const client = acceptWebSocket(req, socket);
+    if (!client) return;
+
+    this.clients.add(client);
+    client.onClose = () => this.clients.delete(client);
+    client.send({ event: 'queue-update', data: { jobs: jobQueue.getJobs() } });
+  }
+
+  async handleRequest(req, res) {
+    // Browser extensions call from their own origin; the token is the guard
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, `http://${HOST}`);
+    this.authorize(req, url);
+
+    const parts = url.pathname.replace(/\/+$/, '').split('/').slice(1);
+    if (parts[0] !== 'api' || parts.length > 5) {
+      throw httpError(404, 'Not found');
+    }
+    const [, resource, id, sub, type] = parts;
+    const route = `${req.method} ${[resource, id && ':id', sub, type && ':type'].filter(Boolean).join('/')}`;
+
+    switch (route) {
+      case 'GET status':
+        return sendJson(res, 200, this.describeStatus());
+      case 'GET jobs':
+        return sendJson(res, 200, { jobs: jobQueue.getJobs().map(job => this.describeJob(job)) });
+      case 'POST jobs':
+        return sendJson(res, 201, { jobs: await this.enqueue(await readJsonBody(req)) });
+      case 'GET jobs/:id':
+        return sendJson(res, 200, this.describeJob(this.findJob(id)));
+      case 'GET jobs/:id/files/:type':
+        return this.sendResultFile(res, this.findJob(id), type);
+      case 'GET events':
+        throw httpError(426, 'Use a WebSocket connection for /api/events');
+      default:
+        throw httpError(404, 'Not found');
+    }
+  }
+
+  describeStatus() {
+    const counts = { pending: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+    jobQueue.getJobs().forEach(job => {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    });
+    return { app: 'youtube-piano-sheets', version, busy: jobQueue.isBusy(), jobs: counts };
+  }
+
+  findJob(id) {
+    const job = jobQueue.getJob(id);
+    if (!job) {
+      throw httpError(404, 'Job not found');
+    }
+    return job;
+  }
+
+  /**
+   * A job as the API returns it: progress while running, download links
+   * once done.
+   */
+  describeJob(job) {
+    const files = {};
+    if (job.status === 'done' && job.result) {
+      for (const [type, { key }] of Object.entries(FILE_TYPES)) {
+        if (job.result[key]) {
+          files[type] = `/api/jobs/${job.id}/files/${type}`;
+        }
+      }
+    }
+
+    return {
+      id: job.id,
+      url: job.url,
+      title: job.title,
+      status: job.status,
+      error: job.error,
+      options: job.options,
+      progress: job.status === 'running' ? this.progress.get(job.id) || null : null,
+      files,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * Queue a YouTube video, or every video of a playlist/channel URL.
+   * options default to the saved conversion settings; options.preset names
+   * a saved advanced-settings preset.
+   */
+  async enqueue(body) {
+    const url = typeof body.url === 'string' ? body.url.trim() : '';
+    const isPlaylist = youtubeDownloader.isPlaylistUrl(url) && !youtubeDownloader.validateYouTubeUrl(url);
+    if (!isPlaylist && !youtubeDownloader.validateYouTubeUrl(url)) {
+      throw httpError(400, 'url must be a YouTube video or playlist URL');
+    }
+
+    const { preset, ...requested } = body.options || {};
+    let options;
+    try {
+      options = conversionPipeline.normalizeOptions({ ...(await settingsStore.get()).conversion, ...requested });
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+    if (preset) {
+      const params = await paramPresets.get(preset);
+      if (!params) {
+        throw httpError(400, `Unknown preset: ${preset}`);
+      }
+      options.transcriptionParams = params;
+      options.paramPresetName = preset;
+    }
+
+    let entries = [{ url, title: null }];
+    if (isPlaylist) {
+      try {
+        entries = (await youtubeDownloader.expandPlaylist(url)).entries;
+      } catch (error) {
+        throw httpError(502, error.message);
+      }
+      if (entries.length === 0) {
+        throw httpError(400, 'No videos found in playlist');
+      }
+    }
+
+    const jobs = [];
+    for (const entry of entries) {
+      jobs.push(this.describeJob(await jobQueue.enqueue({ url: entry.url, title: entry.title, options })));
+    }
+    return jobs;
+  }
+
+  async sendResultFile(res, job, type) {
+    const fileType = FILE_TYPES[type];
+    if (!fileType) {
+      throw httpError(404, `Unknown file type: ${type} (expected ${Object.keys(FILE_TYPES).join(', ')})`);
+    }
+    if (job.status !== 'done') {
+      throw httpError(409, `Job is ${job.status}`);
+    }
+
+    const filePath = await this.findResultFile(job.result, job.result && job.result[fileType.key]);
+    if (!filePath) {
+      throw httpError(404, `No ${type} file for this job`);
+    }
+
+    const filename = path.basename(filePath);
+    const contentType = type === 'musicxml' && filePath.endsWith('.mxl')
+      ? 'application/vnd.recordare.musicxml'
+      : fileType.contentType;
+    res.writeHead(200, {
+      'Content-Type': contentType,
+      'Content-Length': (await fs.stat(filePath)).size,
+      'Content-Disposition': `attachment; filename="${filename.replace(/[^\x20-\x7E]|"/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+    });
+    await new Promise((resolve, reject) => {
+      fs.createReadStream(filePath).on('error', reject).pipe(res).on('finish', resolve);
+    });
+  }
+
+  /**
+   * Where a result file is now: its saved path, or the same song folder
+   * under the current output folder when that was moved since.
+   */
+  async findResultFile(result, filePath) {
+    if (!filePath) return null;
+    if (await fs.pathExists(filePath)) return filePath;
+
+    if (result.outputDir) {
+      const moved = path.join(fileManager.getOutputDir(), path.basename(result.outputDir), path.basename(filePath));
+      if (await fs.pathExists(moved)) return moved;
+    }
+    return null;
+  }
+}
+
+module.exports = new ApiServer();
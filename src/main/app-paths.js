@@ -0,0 +1,223 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const songManifest = require('./song-manifest');
+
+// Where user data lives. Everything the app writes goes under the data
+// directory (Electron's userData): temp/, cache/ and the JSON data files;
+// output/ defaults to it as well but can be moved from the settings screen.
+// The app folder itself may be read-only (packaged install), so older
+// versions' app-folder data is moved over once on startup.
+//
+// paths.json (in the data directory): { outputDir }
+const CONFIG_FILE = 'paths.json';
+
+// Data files kept in the app folder by older versions
+const LEGACY_DATA_FILES = ['queue.json', 'tools.json', 'presets.json', 'cache-settings.json', 'library.json'];
+
+// Tracked placeholders, never moved
+const PLACEHOLDER_FILES = ['.gitkeep'];
+
+/**
+ * Electron's userData folder. Outside Electron (CLI) the same location is
+ * derived from the platform's app data folder and the package name.
+ */
+function resolveDataDir() {
+  try {
+    const { app } = require('electron');
+    if (app && typeof app.getPath === 'function') {
+      return app.getPath('userData');
+    }
+  } catch (error) {
+    // Not running in Electron
+  }
+
+  const { name, productName } = require('../../package.json');
+  const home = os.homedir();
+  let appDataDir;
+  if (process.platform === 'win32') {
+    appDataDir = process.env.APPDATA || path.join(home, 'AppData', 'Roaming');
+  } else if (process.platform === 'darwin') {
+    appDataDir = path.join(home, 'Library', 'Application Support');
+  } else {
+    appDataDir = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+  }
+  return path.join(appDataDir, productName || name);
+}
+
+/**
+ * Song folders and loose MIDI files; anything else in a user-chosen output
+ * folder is not ours to move.
+ */
+async function isSongEntry(entryPath) {
+  const stat = await fs.stat(entryPath);
+  if (!stat.isDirectory()) {
+    return path.extname(entryPath).toLowerCase() === '.mid';
+  }
+  return Boolean(await songManifest.readManifest(entryPath));
+}
+
+function isSameOrInside(parent, child) {
+  const relative = path.relative(path.resolve(parent), path.resolve(child));
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+class AppPaths {
+  constructor() {
+    this.appDir = path.join(__dirname, '..', '..');
+    this.dataDir = resolveDataDir();
+    this.configFile = path.join(this.dataDir, CONFIG_FILE);
+    this.config = this.readConfig();
+  }
+
+  // Read synchronously so every module can take its paths in its constructor
+  readConfig() {
+    try {
+      return fs.readJsonSync(this.configFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to load path settings:', error);
+      }
+      return {};
+    }
+  }
+
+  getDataDir() {
+    return this.dataDir;
+  }
+
+  getDefaultOutputDir() {
+    return path.join(this.dataDir, 'output');
+  }
+
+  getOutputDir() {
+    return this.config.outputDir || this.getDefaultOutputDir();
+  }
+
+  getTempDir() {
+    return path.join(this.dataDir, 'temp');
+  }
+
+  getCacheDir() {
+    return path.join(this.dataDir, 'cache');
+  }
+
+  /**
+   * Path of a data file (queue.json, tools.json, ...) in the data directory.
+   */
+  dataFile(name) {
+    return path.join(this.dataDir, name);
+  }
+
+  /**
+   * Cache folder used by versions that kept data in the app folder
+   * (cache index files without a recorded folder were written there).
+   */
+  getLegacyCacheDir() {
+    return path.join(this.appDir, 'cache');
+  }
+
+  /**
+   * Move output/, cache/ and the data files out of the app folder once.
+   * Anything already present at the new location is left where it is.
+   */
+  async migrateLegacyData() {
+    if (path.resolve(this.appDir) === path.resolve(this.dataDir)) {
+      return;
+    }
+
+    await fs.ensureDir(this.dataDir);
+
+    for (const name of LEGACY_DATA_FILES) {
+      const legacyFile = path.join(this.appDir, name);
+      if (await fs.pathExists(legacyFile) && !(await fs.pathExists(this.dataFile(name)))) {
+        await fs.move(legacyFile, this.dataFile(name));
+        console.log(`Moved ${name} to ${this.dataDir}`);
+      }
+    }
+
+    await this.moveContents(path.join(this.appDir, 'output'), this.getOutputDir(), { filter: isSongEntry });
+    await this.moveContents(this.getLegacyCacheDir(), this.getCacheDir());
+  }
+
+  /**
+   * Move the entries of fromDir (those passing options.filter) into toDir,
+   * merging folders that exist on both sides. Returns the number of
+   * entries moved.
+   */
+  async moveContents(fromDir, toDir, { filter, progressCallback } = {}) {
+    if (!(await fs.pathExists(fromDir))) {
+      return 0;
+    }
+
+    await fs.ensureDir(toDir);
+    const names = [];
+    for (const name of await fs.readdir(fromDir)) {
+      if (!PLACEHOLDER_FILES.includes(name) && (!filter || await filter(path.join(fromDir, name)))) {
+        names.push(name);
+      }
+    }
+    let moved = 0;
+
+    for (const [index, name] of names.entries()) {
+      const from = path.join(fromDir, name);
+      const to = path.join(toDir, name);
+
+      if (progressCallback) {
+        progressCallback(Math.round((index / names.length) * 100), `이동 중: ${name}`);
+      }
+
+      if (!(await fs.pathExists(to))) {
+        // fs.move falls back to copy + delete across drives
+        await fs.move(from, to);
+        moved++;
+      } else if ((await fs.stat(from)).isDirectory() && (await fs.stat(to)).isDirectory()) {
+        moved += await this.moveContents(from, to);
+        await fs.rmdir(from).catch(() => {});
+      } else {
+        console.warn(`Not moving ${from}: ${to} already exists`);
+      }
+    }
+
+    return moved;
+  }
+
+  /**
+   * Change the output folder (null = default) and move the songs from the
+   * current one. Returns { outputDir, moved }.
+   */
+  async setOutputDir(dir, progressCallback) {
+    const currentDir = this.getOutputDir();
+    const newDir = dir ? path.resolve(dir) : this.getDefaultOutputDir();
+
+    if (path.resolve(currentDir) === newDir) {
+      return { outputDir: newDir, moved: 0 };
+    }
+    if (isSameOrInside(currentDir, newDir) || isSameOrInside(newDir, currentDir)) {
+      throw new Error('The new output folder cannot be inside the current one or contain it');
+    }
+
+    await fs.ensureDir(newDir);
+    await fs.access(newDir, fs.constants.W_OK);
+
+    const moved = await this.moveContents(currentDir, newDir, { filter: isSongEntry, progressCallback });
+
+    this.config = { ...this.config, outputDir: dir ? newDir : null };
+    await fs.ensureDir(this.dataDir);
+    await fs.writeJson(`${this.configFile}.tmp`, this.config, { spaces: 2 });
+    await fs.rename(`${this.configFile}.tmp`, this.configFile);
+
+    // The default folder is ours; a user-chosen one stays even when empty
+    if (path.resolve(currentDir) === path.resolve(this.getDefaultOutputDir()) &&
+        (await fs.readdir(currentDir).catch(() => [])).length === 0) {
+      await fs.remove(currentDir);
+    }
+
+    if (progressCallback) {
+      progressCallback(100, '이동 완료');
+    }
+    return { outputDir: newDir, moved };
+  }
+}
+
+module.exports = new AppPaths();
@@ -1,11 +1,6 @@
 const ffmpeg = require('fluent-ffmpeg');
-const path = require('path');
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const fileManager = require('./file-manager');
-const fs = require('fs-extra');
-
-const execAsync = promisify(exec);
+const toolResolver = require('./tool-resolver');
 
 class AudioConverter {
   constructor() {
@@ -15,56 +10,33 @@ class AudioConverter {
     this.ffprobePath = null;
   }
 
-  findFfmpegPath() {
-    // Common FFmpeg installation paths on Windows
-    const possiblePaths = [
-      'C:\\ffmpeg\\bin\\ffmpeg.exe',
-      'C:\\ffmpeg\\ffmpeg.exe',
-      path.join(process.env.ProgramFiles || 'C:\\Program Files', 'ffmpeg', 'bin', 'ffmpeg.exe'),
-      path.join(process.env.ProgramFiles || 'C:\\Program Files', 'ffmpeg', 'ffmpeg.exe')
-    ];
-
-    for (const ffmpegPath of possiblePaths) {
-      if (fs.existsSync(ffmpegPath)) {
-        const ffprobePath = ffmpegPath.replace('ffmpeg.exe', 'ffprobe.exe');
-        console.log('Found FFmpeg at:', ffmpegPath);
-        return { ffmpegPath, ffprobePath };
-      }
+  async checkFfmpegInstalled() {
+    const ffmpegTool = await toolResolver.tryResolve('ffmpeg');
+    if (!ffmpegTool) {
+      return false;
     }
 
-    return null;
-  }
-
-  async checkFfmpegInstalled() {
-    try {
-      // First try to find FFmpeg in common paths
-      const paths = this.findFfmpegPath();
-      if (paths) {
-        this.ffmpegPath = paths.ffmpegPath;
-        this.ffprobePath = paths.ffprobePath;
-
-        // Set FFmpeg path for fluent-ffmpeg
-        ffmpeg.setFfmpegPath(this.ffmpegPath);
-        ffmpeg.setFfprobePath(this.ffprobePath);
-
-        console.log('FFmpeg configured:', this.ffmpegPath);
-        return true;
-      }
+    this.ffmpegPath = ffmpegTool.path;
+    ffmpeg.setFfmpegPath(this.ffmpegPath);
 
-      // Fallback: check if ffmpeg is in PATH
-      await execAsync('ffmpeg -version');
-      console.log('FFmpeg found in system PATH');
-      return true;
-    } catch (error) {
-      return false;
+    const ffprobeTool = await toolResolver.tryResolve('ffprobe');
+    if (ffprobeTool) {
+      this.ffprobePath = ffprobeTool.path;
+      ffmpeg.setFfprobePath(this.ffprobePath);
     }
+
+    console.log('FFmpeg configured:', this.ffmpegPath, ffmpegTool.version);
+    return true;
   }
 
-  async convertToMp3(inputPath, progressCallback) {
-    const isInstalled = await this.checkFfmpegInstalled();
-    if (!isInstalled) {
-      throw new Error('FFmpeg is not installed. Please install FFmpeg from https://ffmpeg.org/download.html');
-    }
+  /**
+   * Convert to 22050 Hz mono MP3 for Basic Pitch.
+   * options.clip = { start, end } keeps only that range (end null = to the end).
+   */
+  async convertToMp3(inputPath, progressCallback, options = {}) {
+    // Throws with a diagnosis (locations tried, install hint) when missing
+    await toolResolver.resolve('ffmpeg');
+    await this.checkFfmpegInstalled();
 
     this.isCancelled = false;
 
@@ -76,7 +48,17 @@ class AudioConverter {
         progressCallback(0, 'Starting audio conversion...');
       }
 
-      this.currentCommand = ffmpeg(inputPath)
+      this.currentCommand = ffmpeg(inputPath);
+
+      if (options.clip) {
+        const { start, end } = options.clip;
+        this.currentCommand.setStartTime(start);
+        if (end !== null) {
+          this.currentCommand.setDuration(end - start);
+        }
+      }
+
+      this.currentCommand
         .audioFrequency(22050) // Sample rate for Basic Pitch
         .audioBitrate('128k')
         .audioChannels(1) // Mono for better transcription
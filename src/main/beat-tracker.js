@@ -0,0 +1,400 @@
+// Beat tracking and tempo maps for the transcribe worker.
+// Works on Basic Pitch note events ({ startTimeSeconds, durationSeconds, pitchMidi, amplitude }).
+
+const FRAME_RATE = 100; // onset envelope frames per second
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PREFERRED_BPM = 120;
+const TIGHTNESS = 100; // higher = beats stick closer to the global period
+const DRIFT_TOLERANCE = 0.03; // seconds a tempo segment may drift at a bar line
+
+/**
+ * Onset strength envelope built from note onsets, smoothed and normalized.
+ */
+function buildOnsetEnvelope(notes) {
+  const lastTime = Math.max(...notes.map(note => note.startTimeSeconds + note.durationSeconds));
+  const length = Math.ceil(lastTime * FRAME_RATE) + 1;
+  const raw = new Float64Array(length);
+
+  notes.forEach(note => {
+    const frame = Math.round(note.startTimeSeconds * FRAME_RATE);
+    if (frame >= 0 && frame < length) {
+      raw[frame] += Math.max(0.05, note.amplitude);
+    }
+  });
+
+  // Gaussian smoothing (sigma = 2 frames) so nearby onsets reinforce each other
+  const kernel = [];
+  for (let k = -6; k <= 6; k++) kernel.push(Math.exp(-0.5 * (k / 2) ** 2));
+
+  const env = new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    for (let k = 0; k < kernel.length; k++) {
+      const j = i + k - 6;
+      if (j >= 0 && j < length) sum += raw[j] * kernel[k];
+    }
+    env[i] = sum;
+  }
+
+  const mean = env.reduce((sum, v) => sum + v, 0) / length;
+  const std = Math.sqrt(env.reduce((sum, v) => sum + (v - mean) ** 2, 0) / length) || 1;
+  for (let i = 0; i < length; i++) env[i] /= std;
+
+  return env;
+}
+
+/**
+ * Global beat period (in frames) from the envelope autocorrelation,
+ * weighted towards PREFERRED_BPM to avoid half/double tempo picks.
+ */
+function estimatePeriod(env) {
+  const minLag = Math.floor(60 * FRAME_RATE / MAX_BPM);
+  const maxLag = Math.ceil(60 * FRAME_RATE / MIN_BPM);
+  const preferredLag = 60 * FRAME_RATE / PREFERRED_BPM;
+
+  const scores = new Float64Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = lag; i < env.length; i++) sum += env[i] * env[i - lag];
+    const weight = Math.exp(-0.5 * Math.log2(lag / preferredLag) ** 2);
+    scores[lag] = (sum / env.length) * weight;
+  }
+
+  let best = minLag;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (scores[lag] > scores[best]) best = lag;
+  }
+
+  // Parabolic interpolation for a sub-frame period
+  const a = scores[best - 1], b = scores[best], c = scores[best + 1];
+  const denom = a - 2 * b + c;
+  const offset = denom !== 0 ? 0.5 * (a - c) / denom : 0;
+  return best + Math.max(-0.5, Math.min(0.5, offset));
+}
+
+/**
+ * Dynamic-programming beat tracker (Ellis 2007): picks beat frames that land
+ * on strong onsets while keeping inter-beat intervals close to the period.
+ */
+function dynamicProgrammingBeats(env, period) {
+  const length = env.length;
+  const score = new Float64Array(length);
+  const backlink = new Int32Array(length).fill(-1);
+  const minGap = Math.round(period / 2);
+  const maxGap = Math.round(period * 2);
+
+  for (let t = 0; t < length; t++) {
+    let bestPrev = -1;
+    let bestValue = -Infinity;
+    for (let gap = minGap; gap <= maxGap && t - gap >= 0; gap++) {
+      const penalty = -TIGHTNESS * Math.log(gap / period) ** 2;
+      const value = score[t - gap] + penalty;
+      if (value > bestValue) {
+        bestValue = value;
+        bestPrev = t - gap;
+      }
+    }
+    score[t] = env[t] + (bestPrev >= 0 ? Math.max(0, bestValue) : 0);
+    backlink[t] = bestPrev >= 0 && bestValue > 0 ? bestPrev : -1;
+  }
+
+  // Start from the best-scoring frame within the last period
+  let last = length - 1;
+  for (let t = Math.max(0, length - Math.ceil(period)); t < length; t++) {
+    if (score[t] > score[last]) last = t;
+  }
+
+  const frames = [];
+  for (let t = last; t >= 0; t = backlink[t]) {
+    frames.push(t);
+  }
+  return frames.reverse();
+}
+
+/**
+ * Track beats from note onsets.
+ * Returns { beats: [seconds], bpm } or null when there are too few onsets.
+ */
+function trackBeats(notes) {
+  if (!notes || notes.length < 8) return null;
+
+  const env = buildOnsetEnvelope(notes);
+  const period = estimatePeriod(env);
+  const frames = dynamicProgrammingBeats(env, period);
+  if (frames.length < 4) return null;
+
+  const beats = frames.map(frame => frame / FRAME_RATE);
+  const intervals = beats.slice(1).map((t, i) => t - beats[i]).sort((a, b) => a - b);
+  const median = intervals[Math.floor(intervals.length / 2)];
+
+  return { beats, bpm: 60 / median };
+}
+
+/**
+ * Accent strength at each beat: onsets near the beat, with low (bass) and
+ * longer notes weighted higher.
+ */
+function beatStrengths(beats, notes) {
+  const strengths = new Float64Array(beats.length);
+  const window = 0.07;
+  const sorted = [...notes].sort((a, b) => a.startTimeSeconds - b.startTimeSeconds);
+  let cursor = 0;
+
+  beats.forEach((time, i) => {
+    while (cursor < sorted.length && sorted[cursor].startTimeSeconds < time - window) cursor++;
+    for (let j = cursor; j < sorted.length && sorted[j].startTimeSeconds <= time + window; j++) {
+      const note = sorted[j];
+      const bassWeight = note.pitchMidi < 55 ? 2 : 1;
+      strengths[i] += note.amplitude * bassWeight * Math.min(1, 0.25 + note.durationSeconds);
+    }
+  });
+
+  return strengths;
+}
+
+/**
+ * Best downbeat phase for a bar length, and how strongly downbeats stand out
+ * from the other beats (relative to the average beat strength).
+ */
+function phaseContrast(strengths, beatsPerBar) {
+  const total = strengths.reduce((sum, v) => sum + v, 0);
+  const overall = total / (strengths.length || 1) || 1;
+  let best = { phase: 0, contrast: -Infinity };
+
+  for (let phase = 0; phase < beatsPerBar; phase++) {
+    let downSum = 0;
+    let downCount = 0;
+    for (let i = phase; i < strengths.length; i += beatsPerBar) {
+      downSum += strengths[i];
+      downCount++;
+    }
+    const otherCount = strengths.length - downCount;
+    const downMean = downCount > 0 ? downSum / downCount : 0;
+    const otherMean = otherCount > 0 ? (total - downSum) / otherCount : 0;
+    const contrast = (downMean - otherMean) / overall;
+    if (contrast > best.contrast) {
+      best = { phase, contrast };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Pick which beat (0..beatsPerBar-1) starts a bar: bars begin where onsets
+ * are strongest.
+ */
+function estimateDownbeatPhase(beats, notes, beatsPerBar) {
+  if (!beats || beats.length < beatsPerBar * 2) return 0;
+  return phaseContrast(beatStrengths(beats, notes), beatsPerBar).phase;
+}
+
+/**
+ * True when onsets between beats fall on thirds rather than halves/quarters,
+ * i.e. the tracked beat is a dotted note of a compound meter.
+ */
+function isTernarySubdivision(beats, notes) {
+  let binary = 0;
+  let ternary = 0;
+  const sorted = [...notes].sort((a, b) => a.startTimeSeconds - b.startTimeSeconds);
+  let beatIndex = 0;
+
+  sorted.forEach(note => {
+    const time = note.startTimeSeconds;
+    while (beatIndex < beats.length - 2 && beats[beatIndex + 1] <= time) beatIndex++;
+    const start = beats[beatIndex];
+    const end = beats[beatIndex + 1];
+    if (time < start || time >= end) return;
+
+    const fraction = (time - start) / (end - start);
+    if (fraction < 0.1 || fraction > 0.9) return;
+
+    if (Math.min(Math.abs(fraction - 1 / 3), Math.abs(fraction - 2 / 3)) < 0.06) {
+      ternary += note.amplitude;
+    } else if (
+      Math.abs(fraction - 0.5) < 0.06 ||
+      Math.abs(fraction - 0.25) < 0.04 ||
+      Math.abs(fraction - 0.75) < 0.04
+    ) {
+      binary += note.amplitude;
+    }
+  });
+
+  return ternary > 1 && ternary > binary * 1.3;
+}
+
+// Prior for each bar length in tracked beats (4 is the most common)
+const BAR_LENGTH_PRIOR = { 2: 0.85, 3: 0.95, 4: 1.0 };
+
+const DEFAULT_METER = {
+  numerator: 4,
+  denominator: 4,
+  beatsPerBar: 4,
+  quartersPerBeat: 1,
+  downbeatPhase: 0,
+  confidence: 0
+};
+
+/**
+ * Estimate the meter from accent periodicity (bar length) and onset
+ * subdivision (simple vs compound), along with the downbeat phase.
+ * Returns { numerator, denominator, beatsPerBar, quartersPerBeat,
+ * downbeatPhase, confidence }. beatsPerBar counts tracked beats; compound
+ * meters track dotted-quarter beats (quartersPerBeat = 1.5).
+ */
+function estimateMeter(beats, notes) {
+  if (!beats || beats.length < 16 || !notes || notes.length < 8) {
+    return { ...DEFAULT_METER };
+  }
+
+  const strengths = beatStrengths(beats, notes);
+  let best = null;
+
+  Object.keys(BAR_LENGTH_PRIOR).map(Number).forEach(beatsPerBar => {
+    const { phase, contrast } = phaseContrast(strengths, beatsPerBar);
+    const score = contrast * BAR_LENGTH_PRIOR[beatsPerBar];
+    if (!best || score > best.score) {
+      best = { beatsPerBar, phase, score };
+    }
+  });
+
+  // Weak accents: keep the common default bar length
+  if (best.score <= 0.05) {
+    best = { beatsPerBar: 4, phase: phaseContrast(strengths, 4).phase, score: best.score };
+  }
+
+  const compound = isTernarySubdivision(beats, notes);
+  return {
+    numerator: compound ? best.beatsPerBar * 3 : best.beatsPerBar,
+    denominator: compound ? 8 : 4,
+    beatsPerBar: best.beatsPerBar,
+    quartersPerBeat: compound ? 1.5 : 1,
+    downbeatPhase: best.phase,
+    confidence: Math.max(0, best.score)
+  };
+}
+
+/**
+ * Extend tracked beats back to time 0 so that beat 0 is at 0 seconds and the
+ * downbeat lands on a multiple of beatsPerBar. The time before the first
+ * tracked downbeat becomes one or more bars, or, when that would squeeze
+ * its beats (a short lead-in), is folded into the first bar instead; the
+ * choice keeps the first bar's tempo closest to the tracked one.
+ */
+function anchorBeatGrid(beats, beatsPerBar, downbeatPhase) {
+  const interval = beats[1] - beats[0];
+  const phase = downbeatPhase % beatsPerBar;
+  const firstDownbeat = beats[phase] ?? beats[0] + phase * interval;
+  const secondDownbeat = beats[phase + beatsPerBar] ?? firstDownbeat + beatsPerBar * interval;
+  const tempoError = (seconds, count) => Math.abs(Math.log(seconds / count / interval));
+
+  // 0 bars: the first bar runs from 0 to the second tracked downbeat
+  let bestBars = 0;
+  let bestError = tempoError(secondDownbeat, beatsPerBar);
+  for (let bars = 1; bars <= 4; bars++) {
+    const error = tempoError(firstDownbeat, bars * beatsPerBar);
+    if (error < bestError) {
+      bestError = error;
+      bestBars = bars;
+    }
+  }
+
+  if (bestBars === 0) {
+    return [0, ...beats.slice(phase + 1)];
+  }
+
+  const leadIn = beats[0];
+  const count = bestBars * beatsPerBar - phase;
+  const lead = [];
+  for (let i = 0; i < count; i++) {
+    lead.push(leadIn * i / count);
+  }
+  return [...lead, ...beats];
+}
+
+/**
+ * Build a tempo map from tracked beats. Segments start on bar lines and keep
+ * one tempo as long as every bar line stays within DRIFT_TOLERANCE.
+ * Beats and BPM in the map are quarter notes (MIDI convention), so compound
+ * meters pass quartersPerBeat = 1.5 for their dotted-quarter beats.
+ * Returns [{ time, beat, bpm }] with the first segment at time 0, beat 0.
+ */
+function buildTempoMap(beats, beatsPerBar = 4, downbeatPhase = 0, quartersPerBeat = 1) {
+  if (!beats || beats.length < 2) return null;
+
+  const grid = anchorBeatGrid(beats, beatsPerBar, downbeatPhase);
+  const lastIndex = grid.length - 1;
+
+  const boundaries = [];
+  for (let i = 0; i < lastIndex; i += beatsPerBar) boundaries.push(i);
+  boundaries.push(lastIndex);
+
+  const map = [];
+  let start = 0;
+  while (start < boundaries.length - 1) {
+    let end = start + 1;
+    while (end + 1 < boundaries.length) {
+      const candidate = end + 1;
+      const startBeat = boundaries[start];
+      const spanBeats = boundaries[candidate] - startBeat;
+      const spanTime = grid[boundaries[candidate]] - grid[startBeat];
+      let fits = true;
+      for (let b = start + 1; b < candidate; b++) {
+        const predicted = grid[startBeat] + (boundaries[b] - startBeat) * spanTime / spanBeats;
+        if (Math.abs(predicted - grid[boundaries[b]]) > DRIFT_TOLERANCE) {
+          fits = false;
+          break;
+        }
+      }
+      if (!fits) break;
+      end = candidate;
+    }
+
+    const startBeat = boundaries[start];
+    const endBeat = boundaries[end];
+    const bpm = 60 * (endBeat - startBeat) / (grid[endBeat] - grid[startBeat]);
+    map.push({
+      time: grid[startBeat],
+      beat: startBeat * quartersPerBeat,
+      bpm: bpm * quartersPerBeat
+    });
+    start = end;
+  }
+
+  return map;
+}
+
+function constantTempoMap(bpm) {
+  return [{ time: 0, beat: 0, bpm }];
+}
+
+function findSegment(tempoMap, key, value) {
+  let segment = tempoMap[0];
+  for (const candidate of tempoMap) {
+    if (candidate[key] <= value) segment = candidate;
+    else break;
+  }
+  return segment;
+}
+
+function timeToBeat(tempoMap, time) {
+  const segment = findSegment(tempoMap, 'time', time);
+  return segment.beat + (time - segment.time) * segment.bpm / 60;
+}
+
+function beatToTime(tempoMap, beat) {
+  const segment = findSegment(tempoMap, 'beat', beat);
+  return segment.time + (beat - segment.beat) * 60 / segment.bpm;
+}
+
+module.exports = {
+  DEFAULT_METER,
+  trackBeats,
+  estimateDownbeatPhase,
+  estimateMeter,
+  buildTempoMap,
+  constantTempoMap,
+  timeToBeat,
+  beatToTime
+};
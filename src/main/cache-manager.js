@@ -2,146 +2,869 @@ const fs = require('fs-extra');
 const path = require('path');
 const crypto = require('crypto');
 const sanitize = require('sanitize-filename');
+const appPaths = require('./app-paths');
+
+// Layered cache. Raw audio entries are keyed by URL/file hash (+ clip) and
+// stored content-addressed as audio/<audio md5>.mp3 (titles live only in the
+// index, so same-titled videos never share a file); derived layers are keyed by the content hash of their input plus the
+// parameters that produced them:
+//   stems:<audio md5>:<backend>          separated stems per backend/model
+//   activations:<stem md5>:<format>      Basic Pitch output per stem
+// so a re-conversion with other difficulty settings reruns only the cheap
+// note extraction and filtering.
+const STEM_FILES = ['melodyPath', 'accompPath', 'drumsPath', 'instrumentalPath'];
+
+// Bump when the worker's activation file layout changes
+const ACTIVATION_FORMAT = 'basic-pitch-u16-v1';
+
+// The cache is kept under maxCacheSize by evicting the least recently used
+// unpinned entries (lastAccess is updated on every hit).
+const DEFAULT_MAX_CACHE_SIZE = 5 * 1024 * 1024 * 1024;
+const MIN_MAX_CACHE_SIZE = 100 * 1024 * 1024;
+
+// index.json layout. Version 1 was the bare { key: entry } map; later
+// versions are { version, entries } and are migrated step by step on load.
+// Version 3 moved title-named <title>.mp3 files to audio/<audio md5>.mp3.
+// Entry paths are absolute; "cacheDir" records the folder they point into
+// so a moved cache can be rebased (indexes without it lived in the app folder).
+const INDEX_VERSION = 3;
 
 class CacheManager {
   constructor() {
-    this.rootDir = path.join(__dirname, '..', '..');
-    this.cacheDir = path.join(this.rootDir, 'cache');
+    this.cacheDir = appPaths.getCacheDir();
+    this.audioDir = path.join(this.cacheDir, 'audio');
+    this.stemsDir = path.join(this.cacheDir, 'stems');
+    this.activationsDir = path.join(this.cacheDir, 'activations');
     this.cacheIndexFile = path.join(this.cacheDir, 'index.json');
+    this.settingsFile = appPaths.dataFile('cache-settings.json');
     this.cacheIndex = {};
+    this.settings = { maxCacheSize: DEFAULT_MAX_CACHE_SIZE };
+    this.loading = null;
+    this.lock = Promise.resolve();
+  }
+
+  /**
+   * Load the index once per process (later calls wait for the first load).
+   * Reloading while another caller is mid-update would drop its changes.
+   */
+  initialize() {
+    if (!this.loading) {
+      this.loading = this.load().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
   }
 
-  async initialize() {
+  async load() {
     await fs.ensureDir(this.cacheDir);
+    await fs.ensureDir(this.audioDir);
+    await fs.ensureDir(this.stemsDir);
+    await fs.ensureDir(this.activationsDir);
 
-    // Load cache index
-    if (await fs.pathExists(this.cacheIndexFile)) {
+    await this.withLock(async () => {
+      this.cacheIndex = await this.readIndex();
+      await this.rebuildIndex();
+      await this.saveIndex();
+    });
+
+    if (await fs.pathExists(this.settingsFile)) {
       try {
-        this.cacheIndex = await fs.readJson(this.cacheIndexFile);
+        this.settings = { ...this.settings, ...(await fs.readJson(this.settingsFile)) };
       } catch (error) {
-        console.error('Failed to load cache index:', error);
-        this.cacheIndex = {};
+        console.error('Failed to load cache settings:', error);
+      }
+    }
+  }
+
+  /**
+   * Run fn with exclusive access to the index. Index mutations that span an
+   * await (file moves, hashing, saving) go through here so they never
+   * interleave; fn must not call another locked method.
+   */
+  withLock(fn) {
+    const run = this.lock.then(() => fn());
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Read and migrate index.json. An unreadable index is set aside (not
+   * deleted) and the index is rebuilt from the cache files.
+   */
+  async readIndex() {
+    if (!(await fs.pathExists(this.cacheIndexFile))) {
+      return {};
+    }
+
+    try {
+      return await this.migrateIndex(await fs.readJson(this.cacheIndexFile));
+    } catch (error) {
+      const backupFile = `${this.cacheIndexFile}.broken-${Date.now()}`;
+      console.error(`Failed to load cache index, moved it to ${backupFile}:`, error);
+      await fs.move(this.cacheIndexFile, backupFile, { overwrite: true }).catch(() => {});
+      return {};
+    }
+  }
+
+  async migrateIndex(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Cache index is not an object');
+    }
+
+    let version = typeof data.version === 'number' ? data.version : 1;
+    let entries = version === 1 ? data : data.entries;
+
+    if (version > INDEX_VERSION) {
+      throw new Error(`Cache index version ${version} is newer than this app (${INDEX_VERSION})`);
+    }
+    if (!entries || typeof entries !== 'object') {
+      throw new Error('Cache index has no entries');
+    }
+
+    this.rebaseEntries(entries, (version > 1 && data.cacheDir) || appPaths.getLegacyCacheDir());
+
+    if (version === 1) {
+      // v1 → v2: LRU fields
+      Object.values(entries).forEach(entry => {
+        entry.lastAccess = entry.lastAccess || entry.timestamp || 0;
+        entry.pinned = Boolean(entry.pinned);
+      });
+      version = 2;
+    }
+
+    if (version === 2) {
+      // v2 → v3: content-addressed audio files
+      await this.migrateAudioFiles(entries);
+      version = 3;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Move title-named audio files to audio/<md5>.mp3. Entries that shared a
+   * title also shared one file, which holds only the last video written:
+   * an entry whose recorded audioHash no longer matches (or, without a
+   * recorded hash, every entry but the newest) lost its audio and is dropped.
+   */
+  async migrateAudioFiles(entries) {
+    const byPath = new Map();
+    Object.entries(entries).forEach(([key, entry]) => {
+      if (entry && !entry.layer && entry.audioPath) {
+        if (!byPath.has(entry.audioPath)) byPath.set(entry.audioPath, []);
+        byPath.get(entry.audioPath).push(key);
+      }
+    });
+
+    for (const [oldPath, keys] of byPath) {
+      if (!(await fs.pathExists(oldPath))) {
+        keys.forEach(key => { delete entries[key]; });
+        continue;
+      }
+
+      const audioHash = await this.hashFile(oldPath);
+      const newest = keys.reduce((best, key) =>
+        ((entries[key].timestamp || 0) > (entries[best].timestamp || 0) ? key : best));
+      const newPath = this.audioPathFor(audioHash);
+
+      if (!(await fs.pathExists(newPath))) {
+        await fs.move(oldPath, newPath);
+      } else if (path.resolve(oldPath) !== path.resolve(newPath)) {
+        await fs.remove(oldPath);
+      }
+
+      for (const key of keys) {
+        const entry = entries[key];
+        const overwritten = entry.audioHash
+          ? entry.audioHash !== audioHash
+          : keys.length > 1 && key !== newest;
+        if (overwritten) {
+          console.warn(`Dropping cache entry with overwritten audio: ${entry.videoTitle || key}`);
+          delete entries[key];
+        } else {
+          entry.audioPath = newPath;
+          entry.audioHash = audioHash;
+        }
+      }
+    }
+  }
+
+  /**
+   * Point entry paths that are inside fromDir at the same place in the
+   * current cache folder.
+   */
+  rebaseEntries(entries, fromDir) {
+    if (path.resolve(fromDir) === path.resolve(this.cacheDir)) {
+      return;
+    }
+
+    for (const entry of Object.values(entries)) {
+      if (!entry) continue;
+      for (const [field, value] of Object.entries(entry)) {
+        if (typeof value !== 'string' || !path.isAbsolute(value)) continue;
+        const relative = path.relative(fromDir, value);
+        if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+          entry[field] = path.join(this.cacheDir, relative);
+        }
       }
     }
   }
 
+  audioPathFor(audioHash) {
+    return path.join(this.audioDir, `${audioHash}.mp3`);
+  }
+
+  /**
+   * Reconcile the index with the files in cache/: drop entries whose files
+   * are gone, delete leftovers of interrupted writes and register stems,
+   * activations and audio files the index does not know about.
+   */
+  async rebuildIndex() {
+    let dropped = 0;
+    let recovered = 0;
+
+    for (const [key, entry] of Object.entries(this.cacheIndex)) {
+      let missing = !entry || typeof entry !== 'object';
+      if (!missing) {
+        const files = this.entryFiles(entry);
+        missing = files.length === 0;
+        for (const filePath of files) {
+          if (!filePath || !(await fs.pathExists(filePath))) missing = true;
+        }
+      }
+      if (missing) {
+        if (entry && typeof entry === 'object') {
+          await this.dropEntry(key);
+        } else {
+          delete this.cacheIndex[key];
+        }
+        dropped++;
+      }
+    }
+
+    const known = new Set();
+    Object.values(this.cacheIndex).forEach(entry => {
+      if (entry.dir) known.add(path.resolve(entry.dir));
+      this.entryFiles(entry).forEach(filePath => known.add(path.resolve(filePath)));
+    });
+    known.add(path.resolve(this.cacheIndexFile));
+
+    // Stems: stems/<audio md5>-<engine>-<model>/
+    for (const name of await fs.readdir(this.stemsDir)) {
+      const dir = path.join(this.stemsDir, name);
+      const match = name.match(/^([0-9a-f]{32})-([a-z]+)-(.+)$/);
+      if (known.has(path.resolve(dir))) continue;
+
+      const entry = match ? await this.recoverStems(dir, match[1], `${match[2]}:${match[3]}`) : null;
+      if (entry) {
+        this.cacheIndex[`stems:${entry.audioHash}:${entry.backend}`] = entry;
+        recovered++;
+      } else {
+        await fs.remove(dir);
+      }
+    }
+
+    // Activations: activations/<stem md5>-<format>.bin.gz (other formats are stale)
+    for (const name of await fs.readdir(this.activationsDir)) {
+      const file = path.join(this.activationsDir, name);
+      const match = name.match(/^([0-9a-f]{32})-(.+)\.bin\.gz$/);
+      if (known.has(path.resolve(file))) continue;
+
+      if (match && match[2] === ACTIVATION_FORMAT) {
+        const stat = await fs.stat(file);
+        this.cacheIndex[`activations:${match[1]}:${ACTIVATION_FORMAT}`] = {
+          layer: 'activations',
+          audioHash: null,
+          stemHash: match[1],
+          format: ACTIVATION_FORMAT,
+          file,
+          timestamp: Math.round(stat.mtimeMs),
+          lastAccess: Math.round(stat.mtimeMs),
+          pinned: false
+        };
+        recovered++;
+      } else {
+        await fs.remove(file);
+      }
+    }
+
+    // Audio: the URL/file key cannot be recovered, so the file is registered
+    // under its content hash (still listed, counted and evictable). Stray
+    // MP3s in cache/ are pre-v3 files the index had lost.
+    const audioFiles = (await fs.readdir(this.audioDir)).map(name => path.join(this.audioDir, name));
+    for (const name of await fs.readdir(this.cacheDir)) {
+      if (path.extname(name).toLowerCase() === '.mp3' || name.endsWith('.tmp')) {
+        audioFiles.push(path.join(this.cacheDir, name));
+      }
+    }
+
+    for (const file of audioFiles) {
+      const name = path.basename(file);
+      if (known.has(path.resolve(file))) continue;
+
+      if (name.endsWith('.tmp') || path.extname(name).toLowerCase() !== '.mp3') {
+        await fs.remove(file);
+        continue;
+      }
+
+      const audioHash = await this.hashFile(file);
+      const stat = await fs.stat(file);
+      const audioPath = this.audioPathFor(audioHash);
+      if (path.resolve(file) !== path.resolve(audioPath)) {
+        if (await fs.pathExists(audioPath)) {
+          await fs.remove(file);
+        } else {
+          await fs.move(file, audioPath);
+        }
+      }
+      if (!this.cacheIndex[audioHash] && !known.has(path.resolve(audioPath))) {
+        this.cacheIndex[audioHash] = {
+          audioPath,
+          audioHash,
+          videoTitle: path.dirname(file) === this.cacheDir ? path.basename(name, path.extname(name)) : null,
+          recovered: true,
+          timestamp: Math.round(stat.mtimeMs),
+          lastAccess: Math.round(stat.mtimeMs),
+          pinned: false
+        };
+        known.add(path.resolve(audioPath));
+        recovered++;
+      }
+    }
+
+    if (dropped > 0 || recovered > 0) {
+      console.log(`Cache index rebuilt: ${dropped} missing entries dropped, ${recovered} recovered from files`);
+    }
+  }
+
+  async recoverStems(dir, audioHash, backend) {
+    const files = await fs.readdir(dir);
+    const entry = { layer: 'stems', audioHash, backend, dir };
+
+    for (const name of STEM_FILES) {
+      const base = name.replace(/Path$/, '');
+      const file = files.find(item => path.parse(item).name === base);
+      entry[name] = file ? path.join(dir, file) : null;
+    }
+    if (!entry.accompPath) {
+      return null;
+    }
+
+    const stat = await fs.stat(entry.accompPath);
+    return { ...entry, timestamp: Math.round(stat.mtimeMs), lastAccess: Math.round(stat.mtimeMs), pinned: false };
+  }
+
   generateUrlHash(url) {
     return crypto.createHash('md5').update(url).digest('hex');
   }
 
+  /**
+   * MD5 of a local file's contents, used as the cache key for imported media
+   * so the same recording is reused even after it is moved or renamed.
+   */
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('md5');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('error', reject)
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  /**
+   * Write the index atomically: a crash mid-write leaves the previous
+   * index.json intact. Callers hold the lock.
+   */
   async saveIndex() {
+    const tempFile = `${this.cacheIndexFile}.tmp`;
     try {
-      await fs.writeJson(this.cacheIndexFile, this.cacheIndex, { spaces: 2 });
+      await fs.writeJson(tempFile, { version: INDEX_VERSION, cacheDir: this.cacheDir, entries: this.cacheIndex }, { spaces: 2 });
+      await fs.rename(tempFile, this.cacheIndexFile);
     } catch (error) {
       console.error('Failed to save cache index:', error);
     }
   }
 
   async getCachedAudio(url) {
-    const urlHash = this.generateUrlHash(url);
-    const entry = this.cacheIndex[urlHash];
+    return this.getCachedByHash(this.generateUrlHash(url));
+  }
 
-    if (!entry || !entry.audioPath) {
-      return null;
-    }
+  async getCachedFileAudio(fileHash) {
+    return this.getCachedByHash(fileHash);
+  }
 
-    // Check if file still exists
-    const exists = await fs.pathExists(entry.audioPath);
-    if (!exists) {
-      delete this.cacheIndex[urlHash];
-      await this.saveIndex();
-      return null;
-    }
+  async getCachedByHash(hash) {
+    return this.withLock(async () => {
+      const entry = this.cacheIndex[hash];
 
-    return {
-      audioPath: entry.audioPath,
-      videoTitle: entry.videoTitle,
-      timestamp: entry.timestamp
-    };
+      if (!entry || !entry.audioPath) {
+        return null;
+      }
+
+      // Check if file still exists
+      const exists = await fs.pathExists(entry.audioPath);
+      if (!exists) {
+        await this.dropEntry(hash);
+        await this.saveIndex();
+        return null;
+      }
+
+      await this.touch(hash);
+
+      return {
+        audioPath: entry.audioPath,
+        videoTitle: entry.videoTitle,
+        timestamp: entry.timestamp
+      };
+    });
   }
 
   async removeByUrl(url) {
-    const urlHash = this.generateUrlHash(url);
-    const entry = this.cacheIndex[urlHash];
+    return this.removeByHash(this.generateUrlHash(url));
+  }
+
+  /**
+   * Remove an audio entry together with the stems and activations derived
+   * from its audio.
+   */
+  async removeByHash(hash) {
+    return this.withLock(() => this.removeAudioEntry(hash));
+  }
+
+  async removeAudioEntry(hash) {
+    const entry = this.cacheIndex[hash];
     if (!entry) {
       return null;
     }
 
-    if (entry.audioPath && await fs.pathExists(entry.audioPath)) {
-      await fs.remove(entry.audioPath);
+    // Derived layers stay while another entry (e.g. the same recording
+    // imported as a file) still uses this audio
+    const audioHash = entry.audioHash ||
+      (entry.audioPath && await fs.pathExists(entry.audioPath) ? await this.hashFile(entry.audioPath) : null);
+    await this.dropEntry(hash);
+    if (audioHash && !this.isAudioInUse(entry.audioPath)) {
+      for (const [key, derived] of Object.entries(this.cacheIndex)) {
+        if (derived.layer && derived.audioHash === audioHash) {
+          await this.dropEntry(key);
+        }
+      }
     }
-
-    delete this.cacheIndex[urlHash];
     await this.saveIndex();
 
     return entry;
   }
 
+  /**
+   * Mark an entry as just used so LRU eviction keeps it longest.
+   * Callers hold the lock.
+   */
+  async touch(key) {
+    const entry = this.cacheIndex[key];
+    if (!entry) return;
+    entry.lastAccess = Date.now();
+    await this.saveIndex();
+  }
+
+  /**
+   * Files that belong to an index entry of any layer.
+   */
+  entryFiles(entry) {
+    if (entry.layer === 'stems') {
+      return STEM_FILES.map(name => entry[name]).filter(Boolean);
+    }
+    if (entry.layer === 'activations') {
+      return [entry.file];
+    }
+    return entry.audioPath ? [entry.audioPath] : [];
+  }
+
+  isAudioInUse(audioPath) {
+    return Object.values(this.cacheIndex).some(entry => !entry.layer && entry.audioPath === audioPath);
+  }
+
+  /**
+   * Remove an entry from the index and delete its files unless another
+   * audio entry shares the same content-addressed file. Callers hold the
+   * lock and save the index.
+   */
+  async dropEntry(key) {
+    const entry = this.cacheIndex[key];
+    if (!entry) return;
+
+    delete this.cacheIndex[key];
+    if (entry.layer || !this.isAudioInUse(entry.audioPath)) {
+      await this.removeEntryFiles(entry);
+    }
+  }
+
+  async removeEntryFiles(entry) {
+    if (entry.dir) {
+      await fs.remove(entry.dir);
+      return;
+    }
+    for (const filePath of this.entryFiles(entry)) {
+      if (await fs.pathExists(filePath)) {
+        await fs.remove(filePath);
+      }
+    }
+  }
+
   async cacheAudio(url, audioPath, videoTitle) {
-    const urlHash = this.generateUrlHash(url);
-    const safeName = sanitize(videoTitle || urlHash, { replacement: '_' });
-    const cachedPath = path.join(this.cacheDir, `${safeName}.mp3`);
-
-    // Copy audio file to cache
-    await fs.copy(audioPath, cachedPath);
-
-    // Update index
-    this.cacheIndex[urlHash] = {
-      url,
-      audioPath: cachedPath,
-      videoTitle,
-      timestamp: Date.now()
-    };
+    return this.storeEntry(this.generateUrlHash(url), audioPath, videoTitle, { url });
+  }
 
-    await this.saveIndex();
-    return cachedPath;
+  /**
+   * Cache converted audio of an imported local file, keyed by content hash.
+   */
+  async cacheFileAudio(fileHash, sourcePath, audioPath, videoTitle) {
+    return this.storeEntry(fileHash, audioPath, videoTitle, { sourcePath, fileHash });
   }
 
-  async clearOldCache(maxAgeMs = 7 * 24 * 60 * 60 * 1000) {
-    // Clear cache entries older than maxAge (default 7 days)
-    const now = Date.now();
-    let cleaned = 0;
+  async storeEntry(hash, audioPath, videoTitle, source) {
+    const audioHash = await this.hashFile(audioPath);
+    const cachedPath = this.audioPathFor(audioHash);
 
-    for (const [hash, entry] of Object.entries(this.cacheIndex)) {
-      if (now - entry.timestamp > maxAgeMs) {
-        // Delete file
-        if (entry.audioPath && await fs.pathExists(entry.audioPath)) {
-          await fs.remove(entry.audioPath);
-        }
-        delete this.cacheIndex[hash];
-        cleaned++;
+    return this.withLock(async () => {
+      // Copy via a temp name so a crash never leaves a truncated cache file
+      if (!(await fs.pathExists(cachedPath))) {
+        await fs.copy(audioPath, `${cachedPath}.tmp`);
+        await fs.rename(`${cachedPath}.tmp`, cachedPath);
+      }
+
+      // A re-download may produce different audio under the same key
+      const previous = this.cacheIndex[hash];
+      if (previous && previous.audioPath !== cachedPath) {
+        await this.dropEntry(hash);
+      }
+
+      // Update index (audioHash links the entry to its stems/activations)
+      const now = Date.now();
+      this.cacheIndex[hash] = {
+        ...source,
+        audioPath: cachedPath,
+        audioHash,
+        videoTitle,
+        timestamp: now,
+        lastAccess: now,
+        pinned: Boolean(previous && previous.pinned)
+      };
+
+      await this.saveIndex();
+      return cachedPath;
+    });
+  }
+
+  /**
+   * Cached stems of an audio file (by content hash) for a separation
+   * backend id, or null. Returns the stem separator's path contract.
+   */
+  async getCachedStems(audioHash, backend) {
+    return this.withLock(() => this.findStems(audioHash, backend));
+  }
+
+  async findStems(audioHash, backend) {
+    const key = `stems:${audioHash}:${backend}`;
+    const entry = this.cacheIndex[key];
+    if (!entry) {
+      return null;
+    }
+
+    for (const filePath of this.entryFiles(entry)) {
+      if (!(await fs.pathExists(filePath))) {
+        await this.dropEntry(key);
+        await this.saveIndex();
+        return null;
       }
     }
 
-    if (cleaned > 0) {
+    await this.touch(key);
+
+    const stems = { backend };
+    STEM_FILES.forEach(name => { stems[name] = entry[name] || null; });
+    return stems;
+  }
+
+  /**
+   * Move separated stems into the cache; returns the cached paths in the
+   * same { melodyPath, accompPath, drumsPath, instrumentalPath } shape.
+   */
+  async cacheStems(audioHash, backend, separation) {
+    const key = `stems:${audioHash}:${backend}`;
+    const dir = path.join(this.stemsDir, `${audioHash}-${sanitize(backend.replace(/:/g, '-'))}`);
+
+    return this.withLock(async () => {
+      await fs.emptyDir(dir);
+
+      const now = Date.now();
+      const entry = { layer: 'stems', audioHash, backend, dir, timestamp: now, lastAccess: now };
+      for (const name of STEM_FILES) {
+        const sourcePath = separation[name];
+        if (sourcePath && await fs.pathExists(sourcePath)) {
+          const cachedPath = path.join(dir, `${name.replace(/Path$/, '')}${path.extname(sourcePath)}`);
+          await fs.move(sourcePath, cachedPath, { overwrite: true });
+          entry[name] = cachedPath;
+        } else {
+          entry[name] = null;
+        }
+      }
+
+      this.cacheIndex[key] = entry;
       await this.saveIndex();
-      console.log(`Cleaned ${cleaned} old cache entries`);
+
+      return this.findStems(audioHash, backend);
+    });
+  }
+
+  /**
+   * Plan Basic Pitch output caching for the transcription inputs.
+   * Returns { [audioPath]: { key, file, hit } } for the worker: hits are
+   * read from file, misses are written to file by the worker.
+   */
+  async prepareActivationCache(audioPaths, audioHash) {
+    const plan = {};
+
+    for (const audioPath of audioPaths) {
+      const stemHash = await this.hashFile(audioPath);
+      const key = `activations:${stemHash}:${ACTIVATION_FORMAT}`;
+      const entry = this.cacheIndex[key];
+      const hit = Boolean(entry && await fs.pathExists(entry.file));
+
+      plan[audioPath] = {
+        key,
+        stemHash,
+        audioHash,
+        format: ACTIVATION_FORMAT,
+        file: hit ? entry.file : path.join(this.activationsDir, `${stemHash}-${ACTIVATION_FORMAT}.bin.gz`),
+        hit
+      };
     }
+
+    return plan;
   }
 
-  async clearAllCache() {
-    // Remove all cached files
-    await fs.emptyDir(this.cacheDir);
-    this.cacheIndex = {};
-    await this.saveIndex();
-    console.log('All cache cleared');
+  /**
+   * Register the activation files the worker wrote for a plan.
+   */
+  async commitActivationCache(plan) {
+    return this.withLock(async () => {
+      let changed = false;
+
+      for (const item of Object.values(plan)) {
+        const entry = this.cacheIndex[item.key];
+        if (item.hit && entry) {
+          entry.lastAccess = Date.now();
+          changed = true;
+        } else if (await fs.pathExists(item.file)) {
+          this.cacheIndex[item.key] = {
+            layer: 'activations',
+            audioHash: item.audioHash,
+            stemHash: item.stemHash,
+            format: ACTIVATION_FORMAT,
+            file: item.file,
+            timestamp: Date.now(),
+            lastAccess: Date.now()
+          };
+          changed = true;
+        }
+      }
+
+      if (changed) {
+        await this.saveIndex();
+      }
+    });
   }
 
-  async getCacheStats() {
-    const entries = Object.keys(this.cacheIndex).length;
-    let totalSize = 0;
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Set the maximum cache size in bytes and evict down to it.
+   */
+  async setMaxCacheSize(bytes) {
+    const size = Math.round(Number(bytes));
+    if (!Number.isFinite(size) || size < MIN_MAX_CACHE_SIZE) {
+      throw new Error(`Cache size limit must be at least ${MIN_MAX_CACHE_SIZE / (1024 * 1024)} MB`);
+    }
+
+    this.settings.maxCacheSize = size;
+    await fs.writeJson(this.settingsFile, this.settings, { spaces: 2 });
+    await this.enforceSizeLimit();
+    return this.getSettings();
+  }
+
+  /**
+   * Pinned entries are never evicted. Stems and activations of a pinned
+   * audio entry count as pinned too.
+   */
+  isPinned(entry) {
+    if (entry.pinned) {
+      return true;
+    }
+    if (!entry.layer || !entry.audioHash) {
+      return false;
+    }
+    return Object.values(this.cacheIndex).some(other =>
+      !other.layer && other.pinned && other.audioHash === entry.audioHash
+    );
+  }
 
+  async setPinned(key, pinned) {
+    await this.withLock(async () => {
+      const entry = this.cacheIndex[key];
+      if (!entry) {
+        throw new Error('Cache entry not found');
+      }
+      entry.pinned = Boolean(pinned);
+      await this.saveIndex();
+    });
+    return this.listEntries();
+  }
+
+  /**
+   * Delete one entry; audio entries take their derived layers with them.
+   */
+  async removeEntry(key) {
+    await this.withLock(async () => {
+      const entry = this.cacheIndex[key];
+      if (!entry) {
+        return;
+      }
+
+      if (entry.layer) {
+        await this.dropEntry(key);
+        await this.saveIndex();
+      } else {
+        await this.removeAudioEntry(key);
+      }
+    });
+    return this.listEntries();
+  }
+
+  async entryPaths(entry) {
+    return entry.dir && await fs.pathExists(entry.dir)
+      ? (await fs.readdir(entry.dir)).map(name => path.join(entry.dir, name))
+      : this.entryFiles(entry);
+  }
+
+  async filesSize(files) {
+    let size = 0;
+    for (const filePath of files) {
+      if (await fs.pathExists(filePath)) {
+        size += (await fs.stat(filePath)).size;
+      }
+    }
+    return size;
+  }
+
+  async entrySize(entry) {
+    return this.filesSize(await this.entryPaths(entry));
+  }
+
+  /**
+   * Bytes used by the indexed files. Audio entries can share one
+   * content-addressed file, which is counted once.
+   */
+  async totalSize() {
+    const files = new Set();
     for (const entry of Object.values(this.cacheIndex)) {
-      if (entry.audioPath && await fs.pathExists(entry.audioPath)) {
-        const stats = await fs.stat(entry.audioPath);
-        totalSize += stats.size;
+      (await this.entryPaths(entry)).forEach(filePath => files.add(path.resolve(filePath)));
+    }
+    return this.filesSize(files);
+  }
+
+  /**
+   * Every index entry for the cache settings screen, most recently used
+   * first: [{ key, kind, title, detail, size, lastAccess, pinned }].
+   */
+  async listEntries() {
+    const titles = {};
+    Object.values(this.cacheIndex).forEach(entry => {
+      if (!entry.layer && entry.audioHash) {
+        titles[entry.audioHash] = entry.videoTitle;
       }
+    });
+
+    const list = [];
+    for (const [key, entry] of Object.entries(this.cacheIndex)) {
+      list.push({
+        key,
+        kind: entry.layer || 'audio',
+        title: entry.layer ? (titles[entry.audioHash] || null) : (entry.videoTitle || null),
+        detail: entry.layer === 'stems' ? entry.backend : (entry.layer === 'activations' ? entry.format : null),
+        size: await this.entrySize(entry),
+        lastAccess: entry.lastAccess || entry.timestamp || 0,
+        pinned: this.isPinned(entry),
+        pinnedSelf: Boolean(entry.pinned)
+      });
     }
 
+    return list.sort((a, b) => b.lastAccess - a.lastAccess);
+  }
+
+  /**
+   * Evict least recently used unpinned entries until the cache fits in
+   * maxCacheSize. Entries whose files are gone are dropped as well.
+   */
+  async enforceSizeLimit() {
+    return this.withLock(async () => {
+      const entries = await this.listEntries();
+      let totalSize = await this.totalSize();
+      let evicted = 0;
+
+      for (const item of entries.slice().reverse()) {
+        const entry = this.cacheIndex[item.key];
+        if (!entry) continue;
+
+        if (item.size === 0) {
+          await this.dropEntry(item.key);
+          evicted++;
+          continue;
+        }
+        if (totalSize <= this.settings.maxCacheSize) break;
+        if (item.pinned) continue;
+
+        await this.dropEntry(item.key);
+        if (entry.layer || !this.isAudioInUse(entry.audioPath)) {
+          totalSize -= item.size;
+        }
+        evicted++;
+      }
+
+      if (evicted > 0) {
+        await this.saveIndex();
+        console.log(`Evicted ${evicted} cache entries (limit ${(this.settings.maxCacheSize / (1024 * 1024)).toFixed(0)} MB)`);
+      }
+
+      return { evicted, totalSize };
+    });
+  }
+
+  async clearAllCache() {
+    // Remove all cached files (pinned entries included)
+    await this.withLock(async () => {
+      await fs.emptyDir(this.cacheDir);
+      await fs.ensureDir(this.audioDir);
+      await fs.ensureDir(this.stemsDir);
+      await fs.ensureDir(this.activationsDir);
+      this.cacheIndex = {};
+      await this.saveIndex();
+    });
+    console.log('All cache cleared');
+  }
+
+  async getCacheStats() {
+    const entries = await this.listEntries();
+    const totalSize = await this.totalSize();
+
     return {
-      entries,
+      entries: entries.length,
       totalSize,
-      totalSizeMB: (totalSize / (1024 * 1024)).toFixed(2)
+      totalSizeMB: (totalSize / (1024 * 1024)).toFixed(2),
+      maxCacheSize: this.settings.maxCacheSize
     };
   }
 }
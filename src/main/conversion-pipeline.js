@@ -0,0 +1,649 @@
+const path = require('path');
+const fs = require('fs-extra');
+const fileManager = require('./file-manager');
+const youtubeDownloader = require('./youtube-downloader');
+const audioConverter = require('./audio-converter');
+const transcriber = require('./transcriber');
+const stemSeparator = require('./stem-separator');
+const sheetGenerator = require('./sheet-generator');
+const musicXmlExporter = require('./musicxml-exporter');
+const cacheManager = require('./cache-manager');
+const songManifest = require('./song-manifest');
+const diskSpace = require('./disk-space');
+const { normalizeTranscriptionParams } = require('./transcription-params');
+const { resolveClipRange, formatClipRange, clipCacheKey, clipDuration } = require('./time-range');
+
+// The conversion pipeline: youtubeDownloader → audioConverter →
+// stemSeparator → transcriber → sheetGenerator / musicXmlExporter, with the
+// cache in between. It does not depend on Electron; the IPC handlers (job
+// queue) and cli.js drive it and present the progress.
+
+// Local media accepted as input (anything FFmpeg can decode to audio)
+const AUDIO_EXTENSIONS = ['mp3', 'wav', 'flac', 'm4a', 'aac', 'ogg', 'opus', 'wma'];
+const VIDEO_EXTENSIONS = ['mp4', 'mkv', 'webm', 'mov', 'avi'];
+
+// Conversion options with a fixed set of values, and the on/off ones
+const OPTION_VALUES = {
+  qualityMode: ['beginner', 'intermediate', 'advanced'],
+  sourceType: ['piano-cover', 'original', 'unknown'],
+  targetPriority: ['accuracy', 'balanced', 'speed']
+};
+const OPTION_FLAGS = ['useSeparation', 'issueOffbeat', 'issueWrongNotes'];
+
+const DIFFICULTY_TAGS = {
+  beginner: '[초급]',
+  intermediate: '[중급]',
+  advanced: '[고급]'
+};
+
+// Basic Pitch output saved per song so difficulties can be regenerated
+const ACTIVATIONS_DIR = 'raw';
+const ACTIVATIONS_MANIFEST = 'activations.json';
+
+class ConversionPipeline {
+  constructor() {
+    this.tempFiles = [];
+  }
+
+  /**
+   * File extensions (without dot) accepted as local input.
+   */
+  getMediaExtensions() {
+    return [...AUDIO_EXTENSIONS, ...VIDEO_EXTENSIONS];
+  }
+
+  /**
+   * Check conversion options coming from outside the app (cli.js, the local
+   * API) and return only the known ones. Throws on an invalid value.
+   */
+  normalizeOptions(options = {}) {
+    const result = {};
+
+    for (const [key, values] of Object.entries(OPTION_VALUES)) {
+      if (options[key] === undefined || options[key] === null) continue;
+      if (!values.includes(options[key])) {
+        throw new Error(`Invalid ${key}: ${options[key]} (expected ${values.join(', ')})`);
+      }
+      result[key] = options[key];
+    }
+
+    for (const key of OPTION_FLAGS) {
+      if (options[key] === undefined || options[key] === null) continue;
+      if (typeof options[key] !== 'boolean') {
+        throw new Error(`${key} must be true or false`);
+      }
+      result[key] = options[key];
+    }
+
+    if (options.separationBackend) {
+      result.separationBackend = stemSeparator.getBackend(options.separationBackend).id;
+    }
+
+    for (const key of ['clipStart', 'clipEnd']) {
+      if (options[key] !== undefined && options[key] !== null && options[key] !== '') {
+        result[key] = options[key];
+      }
+    }
+    resolveClipRange(result);
+
+    if (options.transcriptionParams) {
+      result.transcriptionParams = normalizeTranscriptionParams(options.transcriptionParams);
+    }
+    if (options.paramPresetName) {
+      result.paramPresetName = String(options.paramPresetName);
+    }
+
+    return result;
+  }
+
+  /**
+   * Convert a YouTube URL or local file ({ url | filePath, options }) into
+   * a song folder. onProgress(step, percent, message) reports the steps
+   * 1 download, 2 convert, 3 separate + transcribe, 4 save.
+   * Returns { title, midiPath, filename, pdfPath, musicXmlPath, outputDir }.
+   */
+  async processVideo(payload, onProgress = () => {}) {
+    this.tempFiles = [];
+
+    try {
+      const url = typeof payload === 'string' ? payload : payload.url;
+      const filePath = typeof payload === 'string' ? null : (payload.filePath || null);
+      const options = typeof payload === 'string' ? {} : { ...(payload.options || {}) };
+      options.transcriptionParams = normalizeTranscriptionParams(options.transcriptionParams);
+
+      // Initialize managers
+      await fileManager.initialize();
+      await cacheManager.initialize();
+
+      let audioPath;
+      let videoTitle;
+      let videoFilePath = null; // Keep MP4 path for rhythm game background video
+      let videoInfo = null; // yt-dlp info (id, uploader, duration) when downloaded
+      let usedCache = false;
+
+      // Local files are cached by content hash instead of URL
+      let fileHash = null;
+      if (filePath) {
+        const ext = path.extname(filePath).slice(1).toLowerCase();
+        if (!AUDIO_EXTENSIONS.includes(ext) && !VIDEO_EXTENSIONS.includes(ext)) {
+          throw new Error(`Unsupported file type: .${ext}`);
+        }
+        if (!(await fs.pathExists(filePath))) {
+          throw new Error(`File not found: ${filePath}`);
+        }
+
+        onProgress(1, 0, '파일 확인 중...');
+        fileHash = await cacheManager.hashFile(filePath);
+      }
+
+      // Clip range: explicit options win, otherwise the URL's t= start
+      const clip = resolveClipRange(options, url ? youtubeDownloader.parseStartTime(url) : null);
+      const clipKey = clipCacheKey(clip);
+      const withClipTitle = (title) => (clip ? `${title} (${formatClipRange(clip)})` : title);
+
+      // Local MP4 doubles as the rhythm game video (only when not clipped)
+      if (filePath && !clip && path.extname(filePath).toLowerCase() === '.mp4') {
+        videoFilePath = filePath;
+      }
+
+      // Separation settings are needed up front for the disk space estimates
+      const separationBackend = options.separationBackend || null;
+      const wantsSeparation = Boolean(options.useSeparation) && separationBackend !== 'none';
+      const shouldUseSeparation = wantsSeparation && options.sourceType !== 'piano-cover';
+      const backend = shouldUseSeparation ? stemSeparator.getBackend(separationBackend) : null;
+
+      // Fail before a stage when it and the stages after it will not fit on disk
+      const laterStages = [...(backend ? ['separate'] : []), 'transcribe', 'save'];
+      const checkDiskSpace = (stages, seconds) => diskSpace.ensureDiskSpace(stages, seconds, {
+        stems: backend ? backend.stems : 0,
+        video: Boolean(videoFilePath) || (Boolean(url) && stages.includes('download'))
+      });
+      const sourceDuration = (sourcePath) => audioConverter.getAudioDuration(sourcePath).catch(() => null);
+
+      // Clipped audio is cached separately from the full audio
+      const getCached = () => (fileHash
+        ? cacheManager.getCachedFileAudio(fileHash + clipKey)
+        : cacheManager.getCachedAudio(url + clipKey));
+      const cacheConverted = (audio, title) => (fileHash
+        ? cacheManager.cacheFileAudio(fileHash + clipKey, filePath, audio, title)
+        : cacheManager.cacheAudio(url + clipKey, audio, title));
+
+      // Check cache for raw audio (stems and model output are cached in step 3)
+      const cached = await getCached();
+      const cachedFull = !cached && clip
+        ? await (fileHash ? cacheManager.getCachedFileAudio(fileHash) : cacheManager.getCachedAudio(url))
+        : null;
+
+      if (cached) {
+        // Cache hit: skip download + convert
+        onProgress(1, 100, filePath ? '로컬 파일 사용 (다운로드 생략)' : '캐시 사용 (다운로드 생략)');
+        onProgress(2, 100, '캐시 사용 (변환 생략)');
+
+        audioPath = cached.audioPath;
+        videoTitle = cached.videoTitle;
+        usedCache = true;
+
+        console.log('Using cached audio:', audioPath);
+      } else if (cachedFull) {
+        // Full audio is cached: cut the clip from it instead of downloading again
+        onProgress(1, 100, '캐시 사용 (다운로드 생략)');
+        await checkDiskSpace(['convert', ...laterStages], clipDuration(clip, await sourceDuration(cachedFull.audioPath)));
+        onProgress(2, 0, `구간 자르는 중 (${formatClipRange(clip)})...`);
+
+        const audioResult = await audioConverter.convertToMp3(
+          cachedFull.audioPath,
+          (percent, message) => {
+            onProgress(2, percent, message);
+          },
+          { clip }
+        );
+
+        this.tempFiles.push(audioResult.filePath);
+        audioPath = audioResult.filePath;
+        videoTitle = withClipTitle(cachedFull.videoTitle);
+
+        await cacheConverted(audioPath, videoTitle);
+      } else {
+        let sourcePath;
+        let convertClip = null;
+
+        if (filePath) {
+          // Step 1: Local file, nothing to download
+          onProgress(1, 100, '로컬 파일 사용 (다운로드 생략)');
+
+          sourcePath = filePath;
+          videoTitle = path.basename(filePath, path.extname(filePath));
+          convertClip = clip;
+
+          await checkDiskSpace(['convert', ...laterStages], clipDuration(clip, await sourceDuration(filePath)));
+        } else {
+          // Step 1: Download video
+          onProgress(1, 0, '다운로드 시작...');
+
+          // With a clip, yt-dlp downloads only that section
+          const downloadResult = await youtubeDownloader.downloadVideo(
+            url,
+            (percent, message) => {
+              onProgress(1, percent, message);
+            },
+            {
+              clip,
+              beforeDownload: (info) => checkDiskSpace(['download', 'convert', ...laterStages], clipDuration(clip, info.duration))
+            }
+          );
+
+          this.tempFiles.push(downloadResult.filePath);
+          videoInfo = downloadResult.videoInfo;
+          videoTitle = downloadResult.videoInfo.title;
+          videoFilePath = downloadResult.filePath;
+          sourcePath = downloadResult.filePath;
+        }
+
+        // Step 2: Convert to MP3
+        onProgress(2, 0, '오디오 변환 중...');
+
+        const audioResult = await audioConverter.convertToMp3(
+          sourcePath,
+          (percent, message) => {
+            onProgress(2, percent, message);
+          },
+          { clip: convertClip }
+        );
+
+        this.tempFiles.push(audioResult.filePath);
+        audioPath = audioResult.filePath;
+        videoTitle = withClipTitle(videoTitle);
+
+        // Keep video file for rhythm game background (will be copied to output folder)
+
+        // Cache the raw audio
+        await cacheConverted(audioPath, videoTitle);
+        console.log('Raw audio cached');
+      }
+
+      // Step 3: AI Processing (separation + transcription)
+      let transcribeOptions = { ...options };
+
+      if (wantsSeparation && !shouldUseSeparation) {
+        onProgress(3, 0, '피아노 커버 감지: 음원 분리 없이 전사합니다...');
+      }
+
+      // Stems and model output are cached by the content hash of the audio
+      const sourceAudioPath = usedCache ? audioPath : ((await getCached())?.audioPath || audioPath);
+      const audioHash = await cacheManager.hashFile(sourceAudioPath);
+
+      // Length of the converted audio (MIDI time 0 = clip start); a cache hit
+      // has no yt-dlp info, so earlier uploader/duration values are kept
+      const duration = (await sourceDuration(sourceAudioPath)) ||
+        (videoInfo && !clip ? videoInfo.duration : null);
+
+      if (shouldUseSeparation) {
+        // Vocals → melody, pitched stems → accompaniment (drums discarded)
+        let stems = await cacheManager.getCachedStems(audioHash, backend.id);
+
+        if (stems) {
+          onProgress(3, 15, `캐시된 음원 분리 사용 (${backend.label})`);
+        } else {
+          await checkDiskSpace(laterStages, duration);
+          onProgress(3, 0, `음원 분리 중 (${backend.label})...`);
+
+          const separationResult = await stemSeparator.separateStems(
+            sourceAudioPath,
+            (percent, message) => {
+              onProgress(3, Math.min(15, Math.round(percent * 0.15)), message);
+            },
+            { backend: backend.id }
+          );
+
+          stems = await cacheManager.cacheStems(audioHash, backend.id, separationResult);
+          await fs.remove(separationResult.cleanupDir);
+        }
+
+        // Pass melody and accompaniment paths to transcriber
+        transcribeOptions.melodyPath = stems.melodyPath;
+        transcribeOptions.accompPath = stems.accompPath;
+
+        onProgress(3, 15, 'AI 전사 시작...');
+      } else {
+        onProgress(3, 0, 'AI 전사 시작...');
+      }
+
+      await checkDiskSpace(['transcribe', 'save'], duration);
+
+      // Transcribe to MIDI (worker handles 2-pass if melodyPath/accompPath provided)
+      const audioForTranscribe = shouldUseSeparation ? null : sourceAudioPath;
+      const transcribeInputs = shouldUseSeparation
+        ? { melody: transcribeOptions.melodyPath, accomp: transcribeOptions.accompPath }
+        : { mix: audioForTranscribe };
+      const activationCache = await cacheManager.prepareActivationCache(
+        Object.values(transcribeInputs),
+        audioHash
+      );
+      transcribeOptions.activationCache = activationCache;
+
+      let midiResult;
+      try {
+        midiResult = await transcriber.transcribeToMidi(
+          audioForTranscribe,
+          (percent, message) => {
+            const base = shouldUseSeparation ? 15 : 0;
+            const range = shouldUseSeparation ? 85 : 100;
+            const scaled = Math.min(100, base + Math.round(percent / 100 * range));
+            onProgress(3, scaled, message);
+          },
+          transcribeOptions
+        );
+      } finally {
+        // Keep whatever model output was finished, even if a later pass failed
+        await cacheManager.commitActivationCache(activationCache);
+      }
+
+      this.tempFiles.push(midiResult.filePath);
+
+      // Step 4: Save to output subfolder + generate sheet music
+      await checkDiskSpace(['save'], duration);
+      onProgress(4, 0, '파일 저장 중...');
+
+      // Create subfolder: output/<videoTitle>/
+      const folderName = videoTitle || 'transcription';
+      const outputSubDir = await fileManager.createOutputSubDir(folderName);
+
+      // Copy original audio to subfolder
+      const cachedAudio = await getCached();
+      let audioCopyPath = null;
+      if (cachedAudio) {
+        const audioCopyName = `${fileManager.sanitizeFilename(folderName)}.mp3`;
+        audioCopyPath = await fileManager.copyToDir(cachedAudio.audioPath, outputSubDir, audioCopyName);
+      }
+
+      // Copy video file to subfolder for rhythm game background
+      let videoCopyPath = null;
+      if (videoFilePath && await fs.pathExists(videoFilePath)) {
+        const videoCopyName = `${fileManager.sanitizeFilename(folderName)}.mp4`;
+        videoCopyPath = await fileManager.copyToDir(videoFilePath, outputSubDir, videoCopyName);
+        // Now safe to delete the temp video (never the user's imported file)
+        if (videoFilePath !== filePath) {
+          await fileManager.deleteFile(videoFilePath);
+        }
+      }
+
+      // Keep the model output so other difficulties can be regenerated later
+      const activationsFile = await this.saveActivations(outputSubDir, transcribeInputs, activationCache);
+
+      // Record where the song came from
+      await songManifest.updateManifest(outputSubDir, (manifest) => {
+        manifest.title = videoTitle;
+        Object.assign(manifest.source, {
+          url: url || null,
+          videoId: songManifest.parseVideoId(url) || (videoInfo && videoInfo.id) || null,
+          filePath,
+          fileHash,
+          clip
+        });
+        if (videoInfo) {
+          manifest.source.uploader = videoInfo.uploader;
+        }
+        if (duration) {
+          manifest.source.duration = duration;
+        }
+        if (audioCopyPath) {
+          songManifest.setArtifact(manifest, { type: 'audio', file: path.basename(audioCopyPath) });
+        }
+        if (videoCopyPath) {
+          songManifest.setArtifact(manifest, { type: 'video', file: path.basename(videoCopyPath) });
+        }
+        if (activationsFile) {
+          songManifest.setArtifact(manifest, { type: 'activations', ...activationsFile });
+        }
+      });
+
+      const baseFilename = `${this.getDifficultyTag(options)} ${fileManager.sanitizeFilename(folderName)}`;
+      const { midiPath: finalMidiPath, pdfPath, musicXmlPath } = await this.saveScoreFiles(
+        midiResult.filePath,
+        outputSubDir,
+        baseFilename,
+        videoTitle,
+        (percent, message) => onProgress(4, percent, message)
+      );
+      await this.recordChart(outputSubDir, { midiPath: finalMidiPath, pdfPath, musicXmlPath }, options, midiResult.params);
+
+      onProgress(4, 100, '저장 완료');
+
+      // Final cleanup
+      await this.cleanup();
+
+      return {
+        title: videoTitle,
+        midiPath: finalMidiPath,
+        filename: path.basename(finalMidiPath),
+        pdfPath,
+        musicXmlPath,
+        outputDir: outputSubDir
+      };
+    } catch (error) {
+      await this.cleanup();
+      throw error;
+    }
+  }
+
+  /**
+   * File name tag: the difficulty, or the preset name / "[사용자]" when
+   * custom parameters are used.
+   */
+  getDifficultyTag(options = {}) {
+    const params = options.transcriptionParams;
+    if (params && Object.keys(params).length > 0) {
+      const name = options.paramPresetName && fileManager.sanitizeFilename(options.paramPresetName).replace(/[[\]]/g, '');
+      return name ? `[${name}]` : '[사용자]';
+    }
+    return DIFFICULTY_TAGS[options.qualityMode] || DIFFICULTY_TAGS.intermediate;
+  }
+
+  /**
+   * Record a chart's MIDI (with the settings that produced it), PDF and
+   * MusicXML in the song's song.json, and the tempo, key and time
+   * signature detected for it.
+   */
+  async recordChart(outputSubDir, { midiPath, pdfPath, musicXmlPath }, options, params) {
+    const midiFile = path.basename(midiPath);
+
+    let analysis = null;
+    try {
+      const parsed = await sheetGenerator.parseMidiFile(midiPath);
+      analysis = {
+        bpm: Math.round(parsed.tempo * 10) / 10,
+        key: parsed.keySignature,
+        timeSignature: parsed.timeSignature
+      };
+    } catch (error) {
+      console.error('Failed to read chart analysis:', error);
+    }
+
+    await songManifest.updateManifest(outputSubDir, (manifest) => {
+      songManifest.setArtifact(manifest, {
+        type: 'midi',
+        file: midiFile,
+        difficulty: this.getDifficultyTag(options).replace(/^\[|\]$/g, ''),
+        settings: {
+          qualityMode: options.qualityMode || 'intermediate',
+          issueOffbeat: Boolean(options.issueOffbeat),
+          issueWrongNotes: Boolean(options.issueWrongNotes),
+          paramPresetName: options.paramPresetName || null,
+          customParams: options.transcriptionParams || {}
+        },
+        params: params || null
+      });
+      if (pdfPath) {
+        songManifest.setArtifact(manifest, { type: 'pdf', file: path.basename(pdfPath), chart: midiFile });
+      }
+      if (musicXmlPath) {
+        songManifest.setArtifact(manifest, { type: 'musicxml', file: path.basename(musicXmlPath), chart: midiFile });
+      }
+      if (analysis) {
+        manifest.analysis = analysis;
+      }
+    });
+  }
+
+  /**
+   * Move a transcribed MIDI into the song folder and render the PDF and
+   * MusicXML next to it. Progress: 20-90% PDF, 90-100% MusicXML.
+   * A PDF or MusicXML failure is reported but does not fail the save.
+   */
+  async saveScoreFiles(midiTempPath, outputSubDir, baseFilename, title, onProgress) {
+    const midiPath = await fileManager.moveToDir(midiTempPath, outputSubDir, `${baseFilename}.mid`);
+
+    onProgress(20, '악보 생성 중...');
+
+    let pdfPath = null;
+    try {
+      const sheetResult = await sheetGenerator.generateSheetMusic(
+        midiPath,
+        title,
+        (percent, message) => {
+          onProgress(20 + Math.round(percent * 0.7), message);
+        },
+        { outputDir: outputSubDir, filename: `${baseFilename}.pdf` }
+      );
+      pdfPath = sheetResult.filePath;
+    } catch (error) {
+      if (error.message.includes('cancelled')) {
+        throw error;
+      }
+      // MIDI is already saved; report the PDF failure without failing the job
+      console.error('PDF generation failed:', error);
+      onProgress(90, `악보 PDF 생성 실패: ${error.message}`);
+    }
+
+    // Export MusicXML for editing in MuseScore/Finale
+    onProgress(90, 'MusicXML 내보내는 중...');
+    let musicXmlPath = null;
+    try {
+      const xmlResult = await musicXmlExporter.exportMidi(midiPath, title, {
+        outputDir: outputSubDir,
+        filename: `${baseFilename}.musicxml`
+      });
+      musicXmlPath = xmlResult.filePath;
+    } catch (error) {
+      console.error('MusicXML export failed:', error);
+      onProgress(95, `MusicXML 내보내기 실패: ${error.message}`);
+    }
+
+    return { midiPath, pdfPath, musicXmlPath };
+  }
+
+  /**
+   * Copy the Basic Pitch output of a conversion into <song>/raw/.
+   * inputs: { melody, accomp } or { mix } audio paths, plan: the activation
+   * cache plan used for the transcription. Returns the manifest artifact
+   * ({ file, format }) or null when some output was missing.
+   */
+  async saveActivations(outputSubDir, inputs, plan) {
+    const rawDir = path.join(outputSubDir, ACTIVATIONS_DIR);
+    const files = {};
+
+    for (const [role, audioPath] of Object.entries(inputs)) {
+      const item = plan[audioPath];
+      if (item && await fs.pathExists(item.file)) {
+        await fs.ensureDir(rawDir);
+        await fs.copy(item.file, path.join(rawDir, `${role}.bin.gz`));
+        files[role] = `${role}.bin.gz`;
+      }
+    }
+
+    if (Object.keys(files).length !== Object.keys(inputs).length) {
+      return null;
+    }
+
+    const format = Object.values(plan)[0].format;
+    await fs.writeJson(path.join(rawDir, ACTIVATIONS_MANIFEST), {
+      format,
+      files,
+      createdAt: Date.now()
+    }, { spaces: 2 });
+    return { file: `${ACTIVATIONS_DIR}/${ACTIVATIONS_MANIFEST}`, format };
+  }
+
+  /**
+   * Regenerate a song's charts from <song>/raw/ with { outputDir,
+   * qualityMode, issueOffbeat, issueWrongNotes, transcriptionParams,
+   * paramPresetName }; onProgress(percent, message).
+   * Returns { midiPath, pdfPath, musicXmlPath }.
+   */
+  async regenerateDifficulty(payload, onProgress = () => {}) {
+    await fileManager.initialize();
+
+    const options = {
+      ...payload,
+      transcriptionParams: normalizeTranscriptionParams(payload.transcriptionParams)
+    };
+
+    const outputRoot = path.resolve(fileManager.getOutputDir());
+    const outputSubDir = path.resolve(options.outputDir || '');
+    if (!options.outputDir || path.dirname(outputSubDir) !== outputRoot) {
+      throw new Error('Invalid song folder');
+    }
+
+    const rawDir = path.join(outputSubDir, ACTIVATIONS_DIR);
+    const manifestPath = path.join(rawDir, ACTIVATIONS_MANIFEST);
+    if (!(await fs.pathExists(manifestPath))) {
+      throw new Error('No saved transcription data for this song. Convert it again first.');
+    }
+
+    const manifest = await fs.readJson(manifestPath);
+    const savedActivations = {};
+    Object.entries(manifest.files || {}).forEach(([role, filename]) => {
+      savedActivations[role] = path.join(rawDir, filename);
+    });
+
+    const midiResult = await transcriber.transcribeToMidi(
+      null,
+      (percent, message) => onProgress(Math.round(percent * 0.5), message),
+      {
+        qualityMode: options.qualityMode,
+        issueOffbeat: options.issueOffbeat,
+        issueWrongNotes: options.issueWrongNotes,
+        transcriptionParams: options.transcriptionParams,
+        savedActivations
+      }
+    );
+
+    const folderName = path.basename(outputSubDir);
+    const song = await songManifest.readManifest(outputSubDir);
+    const baseFilename = `${this.getDifficultyTag(options)} ${fileManager.sanitizeFilename(folderName)}`;
+    try {
+      const result = await this.saveScoreFiles(
+        midiResult.filePath,
+        outputSubDir,
+        baseFilename,
+        (song && song.title) || folderName,
+        (percent, message) => onProgress(50 + Math.round(percent / 2), message)
+      );
+      await this.recordChart(outputSubDir, result, options, midiResult.params);
+      onProgress(100, '완료');
+      return result;
+    } catch (error) {
+      await fileManager.deleteFile(midiResult.filePath);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop whatever step is running; the running call then rejects.
+   */
+  cancel() {
+    youtubeDownloader.cancel();
+    audioConverter.cancel();
+    transcriber.cancel();
+    stemSeparator.cancel();
+    sheetGenerator.cancel();
+  }
+
+  async cleanup() {
+    // Clean up any remaining temp files
+    await fileManager.cleanupTempFiles();
+    this.tempFiles = [];
+  }
+}
+
+module.exports = new ConversionPipeline();
@@ -0,0 +1,119 @@
+const fs = require('fs-extra');
+const appPaths = require('./app-paths');
+const fileManager = require('./file-manager');
+
+// Free space checks for the conversion pipeline. Each stage's writes are
+// estimated from the audio duration (on the high side) and checked against
+// the free space of the drive they land on; a check covers the stage about
+// to run and every later one, so a job that cannot finish fails before the
+// download instead of halfway through the separation.
+
+// Bytes written per second of audio
+const BYTES_PER_SECOND = {
+  video: 400 * 1024, // yt-dlp best[ext=mp4]
+  mp3: 16 * 1024, // 128 kbps converted audio
+  stemWav: 176400, // 44.1 kHz stereo 16-bit stem
+  accompWav: 44100, // 22.05 kHz mono 16-bit transcription input
+  instrumentalMp3: 24 * 1024, // 192 kbps instrumental / vocals
+  activations: 64 * 1024 // Basic Pitch frame + onset output
+};
+
+// Fixed extras (MIDI, PDF, MusicXML, manifests) and space always left free
+const SAVE_EXTRA_BYTES = 20 * 1024 * 1024;
+const HEADROOM_BYTES = 200 * 1024 * 1024;
+
+// Used when the duration cannot be read
+const UNKNOWN_DURATION = 15 * 60;
+
+const STAGE_LABELS = {
+  download: 'download the video',
+  convert: 'convert the audio',
+  separate: 'separate the stems',
+  transcribe: 'transcribe',
+  save: 'save the results'
+};
+
+/**
+ * Estimated writes of one stage: [{ dir, bytes }]. options: { stems (WAV
+ * files the separation backend writes), video (a video is kept), vocal
+ * (vocal game files are saved) }.
+ */
+function estimateStage(stage, seconds, options = {}) {
+  const rate = BYTES_PER_SECOND;
+  const tempDir = fileManager.getTempDir();
+  const cacheDir = appPaths.getCacheDir();
+
+  switch (stage) {
+    case 'download':
+      return [{ dir: tempDir, bytes: rate.video * seconds }];
+    case 'convert':
+      return [
+        { dir: tempDir, bytes: rate.mp3 * seconds },
+        { dir: cacheDir, bytes: rate.mp3 * seconds }
+      ];
+    case 'separate':
+      // Runner output + mixes in temp/, then vocals, drums and both mixes are cached
+      return [
+        { dir: tempDir, bytes: ((options.stems || 4) * rate.stemWav + rate.accompWav + rate.instrumentalMp3 + rate.mp3) * seconds },
+        { dir: cacheDir, bytes: (2 * rate.stemWav + rate.accompWav + rate.instrumentalMp3) * seconds }
+      ];
+    case 'transcribe':
+      return [{ dir: cacheDir, bytes: rate.activations * seconds }];
+    case 'save':
+      return [{
+        dir: fileManager.getOutputDir(),
+        bytes: (rate.mp3 + rate.activations +
+          (options.video ? rate.video : 0) +
+          (options.vocal ? 2 * rate.instrumentalMp3 : 0)) * seconds + SAVE_EXTRA_BYTES
+      }];
+    default:
+      throw new Error(`Unknown pipeline stage: ${stage}`);
+  }
+}
+
+/**
+ * Drive id of dir, to add up writes that land on the same drive.
+ */
+async function getDevice(dir) {
+  return (await fs.stat(await fileManager.findExistingDir(dir))).dev;
+}
+
+function formatMb(bytes) {
+  return `${Math.ceil(bytes / (1024 * 1024))} MB`;
+}
+
+/**
+ * Throw a clear error when the stages (first = the one about to run) will
+ * not fit on disk. seconds = audio duration (null when unknown).
+ */
+async function ensureDiskSpace(stages, seconds, options = {}) {
+  const duration = seconds > 0 ? seconds : UNKNOWN_DURATION;
+  const byDevice = new Map();
+
+  for (const stage of stages) {
+    for (const { dir, bytes } of estimateStage(stage, duration, options)) {
+      const device = await getDevice(dir);
+      const needed = byDevice.get(device) || { dir, bytes: 0 };
+      needed.bytes += bytes;
+      byDevice.set(device, needed);
+    }
+  }
+
+  for (const { dir, bytes } of byDevice.values()) {
+    const free = await fileManager.getFreeSpace(dir);
+    if (free !== null && free < bytes + HEADROOM_BYTES) {
+      const error = new Error(
+        `Not enough disk space to ${STAGE_LABELS[stages[0]]}: about ${formatMb(bytes + HEADROOM_BYTES)} ` +
+        `is needed on the drive of ${dir} but only ${formatMb(free)} is free. ` +
+        'Free up disk space or clear the cache in Settings (설정 → 캐시).'
+      );
+      error.code = 'ENOSPC'; // lets the CLI pick its exit code
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  estimateStage,
+  ensureDiskSpace
+};
@@ -1,13 +1,15 @@
 const fs = require('fs-extra');
+const fsPromises = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const sanitize = require('sanitize-filename');
+const appPaths = require('./app-paths');
 
 class FileManager {
   constructor() {
     this.rootDir = path.join(__dirname, '..', '..');
-    this.tempDir = path.join(this.rootDir, 'temp');
-    this.outputDir = path.join(this.rootDir, 'output');
+    this.tempDir = appPaths.getTempDir();
+    this.outputDir = appPaths.getOutputDir();
   }
 
   async initialize() {
@@ -87,16 +89,40 @@ class FileManager {
     return outputPath;
   }
 
-  async checkDiskSpace(requiredMb = 100) {
-    // Basic implementation - could be enhanced with proper disk space checking
+  /**
+   * dir itself or its nearest parent that exists (folders are created lazily).
+   */
+  async findExistingDir(dir) {
+    let existing = path.resolve(dir);
+    while (!(await fs.pathExists(existing)) && path.dirname(existing) !== existing) {
+      existing = path.dirname(existing);
+    }
+    return existing;
+  }
+
+  /**
+   * Free bytes on the drive holding dir. Returns null when the platform
+   * cannot tell.
+   */
+  async getFreeSpace(dir) {
+    const existing = await this.findExistingDir(dir);
     try {
-      const stats = await fs.stat(this.tempDir);
-      return true; // Simplified - assume space is available
+      const stats = await fsPromises.statfs(existing);
+      return stats.bavail * stats.bsize;
     } catch (error) {
-      return false;
+      console.warn(`Cannot read free space of ${existing}:`, error.message);
+      return null;
     }
   }
 
+  /**
+   * Whether dir's drive has requiredBytes free (true when unknown).
+   */
+  async checkDiskSpace(dir, requiredBytes) {
+    const free = await this.getFreeSpace(dir);
+    return free === null || free >= requiredBytes;
+  }
+
   async emptyTempDir() {
     try {
       await fs.emptyDir(this.tempDir);
@@ -142,10 +168,32 @@ class FileManager {
     return destPath;
   }
 
+  getTempDir() {
+    return this.tempDir;
+  }
+
   getOutputDir() {
     return this.outputDir;
   }
 
+  /**
+   * Use other folders in this process only, without saving them (the CLI's
+   * --out folder and its own temp folder next to a running app).
+   */
+  useDirs({ tempDir, outputDir } = {}) {
+    if (tempDir) this.tempDir = path.resolve(tempDir);
+    if (outputDir) this.outputDir = path.resolve(outputDir);
+  }
+
+  /**
+   * Move the output folder (null = default location) and its songs.
+   */
+  async setOutputDir(dir, progressCallback) {
+    const result = await appPaths.setOutputDir(dir, progressCallback);
+    this.outputDir = result.outputDir;
+    return result;
+  }
+
   async fileExists(filePath) {
     try {
       await fs.access(filePath);
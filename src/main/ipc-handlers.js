@@ -7,57 +7,86 @@ const youtubeDownloader = require('./youtube-downloader');
 const audioConverter = require('./audio-converter');
 const transcriber = require('./transcriber');
 const stemSeparator = require('./stem-separator');
+const musicXmlExporter = require('./musicxml-exporter');
 const cacheManager = require('./cache-manager');
+const jobQueue = require('./job-queue');
+const toolResolver = require('./tool-resolver');
+const paramPresets = require('./param-presets');
+const songManifest = require('./song-manifest');
+const songLibrary = require('./song-library');
+const appPaths = require('./app-paths');
+const settingsStore = require('./settings-store');
+const conversionPipeline = require('./conversion-pipeline');
+const diskSpace = require('./disk-space');
+const apiServer = require('./api-server');
+const { clipCacheKey } = require('./time-range');
 
 class IPCHandlers {
   constructor() {
-    this.isProcessing = false;
-    this.currentStep = 0;
+    this.currentJob = null;
     this.mainWindow = null;
-    this.tempFiles = [];
+    this.regenerating = null; // regenerate-difficulty in progress (jobs wait for it)
+    this.relocating = null; // output folder move in progress (jobs wait for it)
     this.setupHandlers(); // Register IPC handlers immediately
   }
 
-  initialize(mainWindow) {
+  async initialize(mainWindow) {
     this.mainWindow = mainWindow;
+
+    // Restore the saved queue and resume pending jobs
+    await jobQueue.initialize({
+      runner: (job) => this.runJob(job),
+      cancelRunner: () => this.cancelActiveProcesses(),
+      onChange: (jobs) => this.sendQueueUpdate(jobs)
+    });
+    jobQueue.processNext();
+
+    // The local API is opt-in; a failure (e.g. port taken) shows in its settings
+    apiServer.start().catch(error => {
+      console.error('Failed to start local API:', error);
+    });
   }
 
   setupHandlers() {
-    // Main processing handler
+    // Main processing handler: add a URL/file job to the queue
     ipcMain.handle('start-processing', async (event, payload) => {
-      if (this.isProcessing) {
-        throw new Error('Processing already in progress');
-      }
-
-      this.isProcessing = true;
-      this.tempFiles = [];
+      const source = typeof payload === 'string' ? { url: payload } : payload;
+      return jobQueue.enqueue({
+        url: source.url || null,
+        filePath: source.filePath || null,
+        options: source.options || {}
+      });
+    });
 
-      try {
-        await this.processVideo(payload);
-      } catch (error) {
-        this.isProcessing = false;
-        this.sendError(error.message);
-        await this.cleanup();
-        throw error;
-      } finally {
-        this.isProcessing = false;
+    // Batch handler: expand a playlist/channel and queue every video with the same options
+    ipcMain.handle('start-batch', async (event, payload) => {
+      const { url, options = {} } = payload;
+      const playlist = await youtubeDownloader.expandPlaylist(url);
+      if (playlist.entries.length === 0) {
+        throw new Error('No videos found in playlist');
       }
-    });
 
-    // Cancel processing handler
-    ipcMain.handle('cancel-processing', async () => {
-      if (!this.isProcessing) {
-        return;
+      const jobs = [];
+      for (const entry of playlist.entries) {
+        jobs.push(await jobQueue.enqueue({ url: entry.url, title: entry.title, options }));
       }
 
-      // Cancel all active processes
-      youtubeDownloader.cancel();
-      audioConverter.cancel();
-      transcriber.cancel();
-      stemSeparator.cancel();
+      return {
+        title: playlist.title,
+        jobs
+      };
+    });
+
+    // Queue management
+    ipcMain.handle('get-queue', async () => jobQueue.getJobs());
+    ipcMain.handle('cancel-job', async (event, id) => jobQueue.cancel(id));
+    ipcMain.handle('move-job', async (event, { id, toIndex }) => jobQueue.move(id, toIndex));
+    ipcMain.handle('remove-job', async (event, id) => jobQueue.remove(id));
+    ipcMain.handle('clear-finished-jobs', async () => jobQueue.clearFinished());
 
-      this.isProcessing = false;
-      await this.cleanup();
+    // Cancel processing handler (the running job only)
+    ipcMain.handle('cancel-processing', async () => {
+      await jobQueue.cancelRunning();
     });
 
     // Open PDF handler
@@ -69,88 +98,190 @@ class IPCHandlers {
       }
     });
 
+    // Export an existing MIDI file as MusicXML (.musicxml or .mxl) next to it
+    ipcMain.handle('export-musicxml', async (event, payload) => {
+      const midiPath = typeof payload === 'string' ? payload : payload?.midiPath;
+      if (!midiPath) {
+        throw new Error('MIDI path is required');
+      }
+      const format = typeof payload === 'object' ? payload.format : undefined;
+      const songDir = path.dirname(midiPath);
+      const title = path.basename(songDir);
+      const result = await musicXmlExporter.exportMidi(midiPath, title, { format });
+
+      // Keep the song's manifest in step when the MIDI belongs to a converted song
+      if (await fs.pathExists(path.join(songDir, songManifest.MANIFEST_FILE))) {
+        await songManifest.updateManifest(songDir, (manifest) => {
+          songManifest.setArtifact(manifest, {
+            type: 'musicxml',
+            file: path.basename(result.filePath),
+            chart: path.basename(midiPath)
+          });
+        });
+      }
+      return result;
+    });
+
+    // Rebuild a song's MIDI/PDF/MusicXML at another difficulty (or custom
+    // thresholds) from its saved Basic Pitch output, without the model
+    ipcMain.handle('regenerate-difficulty', async (event, payload) => {
+      if (jobQueue.isBusy() || this.regenerating || this.relocating) {
+        throw new Error('A conversion is running. Try again when it finishes.');
+      }
+
+      const sendRegenerateProgress = (percent, message) => {
+        if (this.mainWindow) {
+          this.mainWindow.webContents.send('regenerate-progress', { percent, message });
+        }
+      };
+
+      this.regenerating = conversionPipeline.regenerateDifficulty(payload || {}, sendRegenerateProgress);
+      try {
+        return await this.regenerating;
+      } finally {
+        this.regenerating = null;
+      }
+    });
+
+    // Named custom transcription parameter presets ([{ name, params }])
+    ipcMain.handle('get-param-presets', async () => paramPresets.list());
+    ipcMain.handle('save-param-preset', async (event, { name, params }) => paramPresets.put(name, params));
+    ipcMain.handle('delete-param-preset', async (event, name) => paramPresets.remove(name));
+
+    // Open file dialog to pick a local audio/video file for conversion
+    ipcMain.handle('import-media-file', async () => {
+      const { dialog } = require('electron');
+      const result = await dialog.showOpenDialog(this.mainWindow, {
+        title: '오디오/비디오 파일 선택',
+        filters: [
+          { name: 'Audio/Video Files', extensions: conversionPipeline.getMediaExtensions() },
+          { name: 'All Files', extensions: ['*'] }
+        ],
+        properties: ['openFile']
+      });
+      if (result.canceled || result.filePaths.length === 0) return null;
+
+      const filePath = result.filePaths[0];
+      return {
+        filePath,
+        name: path.basename(filePath)
+      };
+    });
+
+    // Cache management (settings screen)
+    ipcMain.handle('get-cache-info', async () => {
+      await cacheManager.initialize();
+      return {
+        ...cacheManager.getSettings(),
+        entries: await cacheManager.listEntries(),
+        totalSize: await cacheManager.totalSize()
+      };
+    });
+    ipcMain.handle('set-cache-pinned', async (event, { key, pinned }) => cacheManager.setPinned(key, pinned));
+    ipcMain.handle('delete-cache-entry', async (event, key) => {
+      this.assertIdle('change the cache');
+      return cacheManager.removeEntry(key);
+    });
+    ipcMain.handle('clear-cache', async () => {
+      this.assertIdle('change the cache');
+      await cacheManager.clearAllCache();
+      return [];
+    });
+    ipcMain.handle('set-cache-limit', async (event, bytes) => {
+      this.assertIdle('change the cache');
+      return cacheManager.setMaxCacheSize(bytes);
+    });
+
+    // External tools (ffmpeg, ffprobe, python): diagnosis and user-configured paths
+    ipcMain.handle('diagnose-tools', async () => toolResolver.diagnose());
+    ipcMain.handle('get-tool-paths', async () => {
+      await toolResolver.loadConfig();
+      return toolResolver.getConfiguredPaths();
+    });
+    ipcMain.handle('set-tool-paths', async (event, paths) => toolResolver.configure(paths || {}));
+
+    // Settings kept across sessions: conversion defaults, game preferences, tool paths
+    ipcMain.handle('get-settings', async () => settingsStore.get());
+    ipcMain.handle('update-settings', async (event, changes) => {
+      const settings = await settingsStore.update(changes || {});
+      if (changes && changes.tools) {
+        await toolResolver.reload();
+      }
+      if (changes && changes.api) {
+        await apiServer.restart();
+      }
+      return settings;
+    });
+    ipcMain.handle('export-settings', async () => {
+      const { dialog } = require('electron');
+      const result = await dialog.showSaveDialog(this.mainWindow, {
+        title: '설정 내보내기',
+        defaultPath: 'youtube-piano-sheets-settings.json',
+        filters: [{ name: 'JSON', extensions: ['json'] }]
+      });
+      if (result.canceled || !result.filePath) return null;
+      return settingsStore.exportTo(result.filePath);
+    });
+    ipcMain.handle('import-settings', async () => {
+      const { dialog } = require('electron');
+      const result = await dialog.showOpenDialog(this.mainWindow, {
+        title: '설정 가져오기',
+        filters: [{ name: 'JSON', extensions: ['json'] }],
+        properties: ['openFile']
+      });
+      if (result.canceled || result.filePaths.length === 0) return null;
+
+      const settings = await settingsStore.importFrom(result.filePaths[0]);
+      await toolResolver.reload();
+      await apiServer.restart().catch(error => {
+        console.error('Failed to restart local API:', error);
+      });
+      return settings;
+    });
+
+    // Local HTTP/WebSocket API for other tools: on/off, port and access token
+    ipcMain.handle('get-api-status', async () => apiServer.getStatus());
+    ipcMain.handle('set-api-settings', async (event, changes) => {
+      await settingsStore.update({ api: changes || {} });
+      return apiServer.restart();
+    });
+    ipcMain.handle('regenerate-api-token', async () => apiServer.regenerateToken());
+
     // Get output directory handler
     ipcMain.handle('get-output-dir', async () => {
       return fileManager.getOutputDir();
     });
 
-    // List MIDI files for rhythm game
-    ipcMain.handle('list-midi-files', async () => {
-      await fileManager.initialize();
-      const outputDir = fileManager.getOutputDir();
-      const results = [];
-
+    // Storage locations: data folder (userData) and the movable output folder
+    ipcMain.handle('get-storage-info', async () => ({
+      dataDir: appPaths.getDataDir(),
+      outputDir: fileManager.getOutputDir(),
+      defaultOutputDir: appPaths.getDefaultOutputDir()
+    }));
+    ipcMain.handle('choose-output-dir', async () => {
+      const { dialog } = require('electron');
+      const result = await dialog.showOpenDialog(this.mainWindow, {
+        title: '출력 폴더 선택',
+        defaultPath: fileManager.getOutputDir(),
+        properties: ['openDirectory', 'createDirectory']
+      });
+      return result.canceled || result.filePaths.length === 0 ? null : result.filePaths[0];
+    });
+    ipcMain.handle('set-output-dir', async (event, dir) => {
+      this.assertIdle('move the output folder');
+      this.relocating = songLibrary.holdSync(() => fileManager.setOutputDir(dir || null));
       try {
-        const entries = await fs.readdir(outputDir, { withFileTypes: true });
-
-        for (const entry of entries) {
-          // Handle both subfolders (output/<folder>/*.mid) and root-level mid files
-          if (entry.isDirectory()) {
-            const folderPath = path.join(outputDir, entry.name);
-            const files = await fs.readdir(folderPath);
-            const audioFile = files.find(f => f.toLowerCase().endsWith('.mp3') && f !== 'instrumental.mp3' && f !== 'vocals.mp3');
-            const videoFile = files.find(f => f.toLowerCase().endsWith('.mp4'));
-
-            // Detect vocal game data
-            const hasInstrumental = files.includes('instrumental.mp3');
-            const hasVocalChart = files.includes('vocal-chart.mid');
-            const hasVocals = files.includes('vocals.mp3');
-            const hasVocalData = hasInstrumental && hasVocalChart && hasVocals;
-
-            for (const file of files) {
-              if (path.extname(file).toLowerCase() !== '.mid') continue;
-              if (file === 'vocal-chart.mid') continue; // Skip vocal chart from piano list
-              const diffMatch = file.match(/^\[(.*?)\]/);
-              const item = {
-                path: path.join(folderPath, file),
-                name: file,
-                folder: entry.name,
-                difficulty: diffMatch ? diffMatch[1] : 'unknown'
-              };
-              if (audioFile) item.audioPath = path.join(folderPath, audioFile);
-              if (videoFile) item.videoPath = path.join(folderPath, videoFile);
-              // Attach vocal game data paths if available
-              if (hasVocalData) {
-                item.hasVocalData = true;
-                item.instrumentalPath = path.join(folderPath, 'instrumental.mp3');
-                item.vocalsAudioPath = path.join(folderPath, 'vocals.mp3');
-                item.vocalChartPath = path.join(folderPath, 'vocal-chart.mid');
-              }
-              results.push(item);
-            }
-
-            // If folder has vocal data but no piano MIDI, still add as vocal-only entry
-            if (hasVocalData && !files.some(f => f.endsWith('.mid') && f !== 'vocal-chart.mid')) {
-              results.push({
-                path: path.join(folderPath, 'vocal-chart.mid'),
-                name: entry.name,
-                folder: entry.name,
-                difficulty: 'vocal',
-                vocalOnly: true,
-                hasVocalData: true,
-                instrumentalPath: path.join(folderPath, 'instrumental.mp3'),
-                vocalsAudioPath: path.join(folderPath, 'vocals.mp3'),
-                vocalChartPath: path.join(folderPath, 'vocal-chart.mid'),
-                videoPath: videoFile ? path.join(folderPath, videoFile) : null
-              });
-            }
-          } else if (entry.name.toLowerCase().endsWith('.mid')) {
-            // Root-level .mid file
-            results.push({
-              path: path.join(outputDir, entry.name),
-              name: entry.name,
-              folder: 'output',
-              difficulty: 'unknown'
-            });
-          }
-        }
-      } catch (err) {
-        console.error('Failed to list MIDI files:', err);
+        return await this.relocating;
+      } finally {
+        this.relocating = null;
       }
-
-      return results;
     });
 
+    // Song library (history and game song select)
+    ipcMain.handle('query-library', async (event, filters) => songLibrary.query(filters || {}));
+    ipcMain.handle('set-song-favorite', async (event, { id, favorite }) => songLibrary.setFavorite(id, favorite));
+    ipcMain.handle('set-song-tags', async (event, { id, tags }) => songLibrary.setTags(id, tags));
+
     // Open file dialog to import external MIDI file
     ipcMain.handle('import-midi-file', async () => {
       const { dialog } = require('electron');
@@ -187,25 +318,7 @@ class IPCHandlers {
       const buffer = await fs.readFile(midiPath);
       const midi = new Midi(buffer);
 
-      return {
-        header: {
-          bpm: midi.header.tempos.length > 0 ? midi.header.tempos[0].bpm : 120,
-          timeSignature: midi.header.timeSignatures.length > 0
-            ? midi.header.timeSignatures[0].timeSignature
-            : [4, 4],
-          duration: midi.duration
-        },
-        tracks: midi.tracks.map(track => ({
-          name: track.name,
-          channel: track.channel,
-          notes: track.notes.map(note => ({
-            midi: note.midi,
-            time: note.time,
-            duration: note.duration,
-            velocity: note.velocity
-          }))
-        }))
-      };
+      return this._parseMidiToJson(midi);
     });
 
     // Read audio file as buffer for Web Audio API
@@ -252,10 +365,19 @@ class IPCHandlers {
           }
         }
 
+        // Every stage runs: fail before the download when they will not fit on disk
+        const checkDiskSpace = (stages, seconds) => diskSpace.ensureDiskSpace(stages, seconds, {
+          stems: stemSeparator.getBackend().stems,
+          video: true,
+          vocal: true
+        });
+
         // Step 1: Download video (0-15%)
         sendVocalProgress(0, '다운로드 시작...');
         const downloadResult = await youtubeDownloader.downloadVideo(url, (percent, message) => {
           sendVocalProgress(Math.round(percent * 0.15), message);
+        }, {
+          beforeDownload: (info) => checkDiskSpace(['download', 'convert', 'separate', 'transcribe', 'save'], info.duration)
         });
         const videoTitle = downloadResult.videoInfo.title;
         const videoFilePath = downloadResult.filePath;
@@ -271,6 +393,7 @@ class IPCHandlers {
         await cacheManager.cacheAudio(url, audioPath, videoTitle);
 
         // Step 3: Demucs 4-stem separation (25-65%)
+        await checkDiskSpace(['separate', 'transcribe', 'save'], downloadResult.videoInfo.duration);
         sendVocalProgress(25, '음원 분리 중 (Demucs AI)...');
         const separationResult = await stemSeparator.separateStems(audioPath, (percent, message) => {
           sendVocalProgress(25 + Math.round(percent * 0.40), message);
@@ -322,6 +445,22 @@ class IPCHandlers {
           await fileManager.deleteFile(videoFilePath);
         }
 
+        await songManifest.updateManifest(outputSubDir, (manifest) => {
+          manifest.title = videoTitle || manifest.title;
+          Object.assign(manifest.source, {
+            url,
+            videoId: songManifest.parseVideoId(url) || downloadResult.videoInfo.id || null,
+            uploader: downloadResult.videoInfo.uploader,
+            duration: downloadResult.videoInfo.duration || manifest.source.duration
+          });
+          songManifest.setArtifact(manifest, { type: 'instrumental', file: 'instrumental.mp3', backend: separationResult.backend });
+          songManifest.setArtifact(manifest, { type: 'vocals', file: 'vocals.mp3', backend: separationResult.backend });
+          songManifest.setArtifact(manifest, { type: 'vocal-chart', file: 'vocal-chart.mid', params: vocalMidiResult.params || null });
+          if (videoDestPath) {
+            songManifest.setArtifact(manifest, { type: 'video', file: path.basename(videoDestPath) });
+          }
+        });
+
         // Clean up separation temp dir
         if (separationResult.cleanupDir) {
           await fs.remove(separationResult.cleanupDir);
@@ -350,72 +489,17 @@ class IPCHandlers {
       }
     });
 
-    // Get conversion history (cache + output folder scan)
-    ipcMain.handle('get-history', async () => {
-      await cacheManager.initialize();
-      await fileManager.initialize();
-
-      const byTitle = new Map();
-
-      // 1) Cache entries (have URL)
-      Object.values(cacheManager.cacheIndex)
-        .filter(entry => entry.videoTitle)
-        .forEach(entry => {
-          const title = entry.videoTitle;
-          const prev = byTitle.get(title);
-          const candidate = {
-            url: entry.url || null,
-            title,
-            timestamp: entry.timestamp || 0
-          };
-          if (!prev || (candidate.timestamp || 0) >= (prev.timestamp || 0)) {
-            byTitle.set(title, candidate);
-          }
-        });
-
-      // 2) Output folders/files (captures records not present in cache index)
-      const outputDir = fileManager.getOutputDir();
-      try {
-        const entries = await fs.readdir(outputDir, { withFileTypes: true });
-        for (const entry of entries) {
-          if (entry.name === '.gitkeep') continue;
-
-          const fullPath = path.join(outputDir, entry.name);
-          let timestamp = 0;
-          try {
-            const stat = await fs.stat(fullPath);
-            timestamp = stat.mtimeMs || 0;
-          } catch (_) {}
-
-          if (!entry.isDirectory() && path.extname(entry.name).toLowerCase() !== '.mid') {
-            continue;
-          }
-
-          const title = entry.isDirectory() ? entry.name : path.basename(entry.name, path.extname(entry.name));
-          const prev = byTitle.get(title);
-          const candidate = {
-            url: prev ? prev.url : null,
-            title,
-            timestamp
-          };
-
-          if (!prev || (candidate.timestamp || 0) >= (prev.timestamp || 0)) {
-            byTitle.set(title, candidate);
-          }
-        }
-      } catch (err) {
-        console.warn('Failed to scan output directory for history:', err.message);
+    // Delete one history entry (cache + output folder). A library id names
+    // the output entry directly; url/fileHash/title are the older form.
+    ipcMain.handle('delete-history-entry', async (event, payload) => {
+      if (typeof payload === 'object' && payload?.id) {
+        return this.deleteLibrarySong(payload.id);
       }
 
-      return Array.from(byTitle.values())
-        .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
-    });
-
-    // Delete one history entry (cache + output folder)
-    ipcMain.handle('delete-history-entry', async (event, payload) => {
       const url = typeof payload === 'string' ? payload : payload?.url;
       const titleFromPayload = typeof payload === 'object' ? payload?.title : null;
-      if (!url && !titleFromPayload) {
+      const fileHash = typeof payload === 'object' ? payload?.fileHash : null;
+      if (!url && !fileHash && !titleFromPayload) {
         throw new Error('URL or title is required');
       }
 
@@ -425,6 +509,8 @@ class IPCHandlers {
       let removedEntry = null;
       if (url) {
         removedEntry = await cacheManager.removeByUrl(url);
+      } else if (fileHash) {
+        removedEntry = await cacheManager.removeByHash(fileHash);
       }
 
       const title = (removedEntry && removedEntry.videoTitle) || titleFromPayload || '';
@@ -447,14 +533,54 @@ class IPCHandlers {
     });
   }
 
+  /**
+   * Remove a library song: its cached audio (keyed like processVideo, with
+   * the clip range) and its output folder or loose MIDI file.
+   */
+  async deleteLibrarySong(id) {
+    if (path.basename(id) !== id) {
+      throw new Error(`Invalid song id: ${id}`);
+    }
+
+    await fileManager.initialize();
+    await cacheManager.initialize();
+
+    const songPath = path.join(fileManager.getOutputDir(), id);
+    if (!(await fs.pathExists(songPath))) {
+      return { removed: false, removedOutput: false, title: id };
+    }
+
+    const manifest = (await fs.stat(songPath)).isDirectory()
+      ? await songManifest.readManifest(songPath)
+      : null;
+    const source = manifest ? manifest.source : {};
+    const clipKey = clipCacheKey(source.clip);
+
+    if (source.fileHash) {
+      await cacheManager.removeByHash(source.fileHash + clipKey);
+    } else if (source.url) {
+      await cacheManager.removeByUrl(source.url + clipKey);
+    }
+
+    await fs.remove(songPath);
+    return {
+      removed: true,
+      removedOutput: true,
+      title: manifest ? manifest.title : id
+    };
+  }
+
   _parseMidiToJson(midi) {
+    const timeSignature = midi.header.timeSignatures.length > 0
+      ? midi.header.timeSignatures[0].timeSignature
+      : [4, 4];
+
     return {
       header: {
         bpm: midi.header.tempos.length > 0 ? midi.header.tempos[0].bpm : 120,
-        timeSignature: midi.header.timeSignatures.length > 0
-          ? midi.header.timeSignatures[0].timeSignature
-          : [4, 4],
-        duration: midi.duration
+        timeSignature,
+        duration: midi.duration,
+        beatLines: this._buildBeatLines(midi, timeSignature)
       },
       tracks: midi.tracks.map(track => ({
         name: track.name,
@@ -469,6 +595,30 @@ class IPCHandlers {
     };
   }
 
+  /**
+   * Beat/bar line times (seconds) following the MIDI tempo map.
+   * Compound meters (6/8, 9/8, 12/8) count dotted-quarter beats.
+   */
+  _buildBeatLines(midi, timeSignature) {
+    const [numerator, denominator] = timeSignature;
+    const compound = denominator === 8 && numerator % 3 === 0 && numerator > 3;
+    const beatTicks = midi.header.ppq * (compound ? 1.5 : 4 / denominator);
+    const beatsPerBar = compound ? numerator / 3 : numerator;
+    const lines = [];
+
+    if (!(beatTicks > 0) || !(beatsPerBar > 0)) {
+      return lines;
+    }
+
+    for (let beat = 0; ; beat++) {
+      const time = midi.header.ticksToSeconds(Math.round(beat * beatTicks));
+      if (time > midi.duration) break;
+      lines.push({ time, downbeat: beat % beatsPerBar === 0 });
+    }
+
+    return lines;
+  }
+
   async _findVideoInFolder(folderPath) {
     try {
       const files = await fs.readdir(folderPath);
@@ -479,173 +629,74 @@ class IPCHandlers {
     }
   }
 
-  async processVideo(payload) {
-    try {
-      const url = typeof payload === 'string' ? payload : payload.url;
-      const options = typeof payload === 'string' ? {} : (payload.options || {});
-
-      // Initialize managers
-      await fileManager.initialize();
-      await cacheManager.initialize();
-
-      let audioPath;
-      let videoTitle;
-      let videoFilePath = null; // Keep MP4 path for rhythm game background video
-      let usedCache = false;
-
-      // Check cache for raw audio (always stores raw MP3, separation done each time)
-      const cached = await cacheManager.getCachedAudio(url);
-
-      if (cached) {
-        // Cache hit: skip download + convert
-        this.currentStep = 1;
-        this.sendProgress(1, 100, '캐시 사용 (다운로드 생략)');
-        this.currentStep = 2;
-        this.sendProgress(2, 100, '캐시 사용 (변환 생략)');
-
-        audioPath = cached.audioPath;
-        videoTitle = cached.videoTitle;
-        usedCache = true;
-
-        console.log('Using cached audio:', audioPath);
-      } else {
-        // Step 1: Download video
-        this.currentStep = 1;
-        this.sendProgress(1, 0, '다운로드 시작...');
-
-        const downloadResult = await youtubeDownloader.downloadVideo(
-          url,
-          (percent, message) => {
-            this.sendProgress(1, percent, message);
-          }
-        );
-
-        this.tempFiles.push(downloadResult.filePath);
-        videoTitle = downloadResult.videoInfo.title;
-        videoFilePath = downloadResult.filePath;
-
-        // Step 2: Convert to MP3
-        this.currentStep = 2;
-        this.sendProgress(2, 0, '오디오 변환 중...');
-
-        const audioResult = await audioConverter.convertToMp3(
-          downloadResult.filePath,
-          (percent, message) => {
-            this.sendProgress(2, percent, message);
-          }
-        );
-
-        this.tempFiles.push(audioResult.filePath);
-        audioPath = audioResult.filePath;
-
-        // Keep video file for rhythm game background (will be copied to output folder)
-
-        // Cache the raw audio
-        await cacheManager.cacheAudio(url, audioPath, videoTitle);
-        console.log('Raw audio cached');
-      }
-
-      // Step 3: AI Processing (separation + transcription)
-      this.currentStep = 3;
-      let transcribeOptions = { ...options };
-      let separationCleanupDir = null;
-      const shouldUseSeparation = Boolean(options.useSeparation) && options.sourceType !== 'piano-cover';
-
-      if (options.useSeparation && !shouldUseSeparation) {
-        this.sendProgress(3, 0, '피아노 커버 감지: 음원 분리 없이 전사합니다...');
-      }
-
-      if (shouldUseSeparation) {
-        // 4-stem separation: vocals + bass + other (drums discarded)
-        this.sendProgress(3, 0, '음원 분리 중 (Demucs AI)...');
-
-        const cachedForSep = usedCache ? audioPath : (await cacheManager.getCachedAudio(url)).audioPath;
-        const separationResult = await stemSeparator.separateStems(
-          cachedForSep,
-          (percent, message) => {
-            this.sendProgress(3, Math.min(15, Math.round(percent * 0.15)), message);
-          }
-        );
-
-        // Pass melody and accompaniment paths to transcriber
-        transcribeOptions.melodyPath = separationResult.melodyPath;
-        transcribeOptions.accompPath = separationResult.accompPath;
-        separationCleanupDir = separationResult.cleanupDir;
-
-        this.sendProgress(3, 15, 'AI 전사 시작...');
-      } else {
-        this.sendProgress(3, 0, 'AI 전사 시작...');
-      }
-
-      // Transcribe to MIDI (worker handles 2-pass if melodyPath/accompPath provided)
-      const audioForTranscribe = shouldUseSeparation ? null : audioPath;
-      const midiResult = await transcriber.transcribeToMidi(
-        audioForTranscribe,
-        (percent, message) => {
-          const base = shouldUseSeparation ? 15 : 0;
-          const range = shouldUseSeparation ? 85 : 100;
-          const scaled = Math.min(100, base + Math.round(percent / 100 * range));
-          this.sendProgress(3, scaled, message);
-        },
-        transcribeOptions
-      );
-
-      this.tempFiles.push(midiResult.filePath);
-
-      // Clean up separation temp dir
-      if (separationCleanupDir) {
-        await fs.remove(separationCleanupDir);
-      }
-
-      // Step 4: Save to output subfolder
-      this.currentStep = 4;
-      this.sendProgress(4, 0, '파일 저장 중...');
-
-      // Create subfolder: output/<videoTitle>/
-      const folderName = videoTitle || 'transcription';
-      const outputSubDir = await fileManager.createOutputSubDir(folderName);
+  /**
+   * Run one queued job through the pipeline. Errors are reported to the
+   * renderer and rethrown so the queue marks the job failed.
+   */
+  async runJob(job) {
+    // The pipeline modules are shared with regenerate-difficulty
+    if (this.regenerating) {
+      await this.regenerating.catch(() => {});
+    }
+    if (this.relocating) {
+      await this.relocating.catch(() => {});
+    }
 
-      // Copy original audio to subfolder
-      const cachedAudio = await cacheManager.getCachedAudio(url);
-      if (cachedAudio) {
-        const audioCopyName = `${fileManager.sanitizeFilename(folderName)}.mp3`;
-        await fileManager.copyToDir(cachedAudio.audioPath, outputSubDir, audioCopyName);
-      }
+    this.currentJob = job;
 
-      // Copy video file to subfolder for rhythm game background
-      if (videoFilePath && await fs.pathExists(videoFilePath)) {
-        const videoCopyName = `${fileManager.sanitizeFilename(folderName)}.mp4`;
-        await fileManager.copyToDir(videoFilePath, outputSubDir, videoCopyName);
-        // Now safe to delete the temp video
-        await fileManager.deleteFile(videoFilePath);
+    try {
+      const result = await conversionPipeline.processVideo({
+        url: job.url,
+        filePath: job.filePath,
+        options: job.options
+      }, (step, percentage, message) => this.sendProgress(step, percentage, message));
+
+      this.sendComplete(result.pdfPath, result.filename, result.outputDir, result.musicXmlPath);
+      return result;
+    } catch (error) {
+      await conversionPipeline.cleanup();
+      if (!job.cancelRequested) {
+        this.sendError(error.message);
       }
+      throw error;
+    } finally {
+      this.currentJob = null;
+      // Evict between jobs, never while a job is reading cached files
+      await cacheManager.enforceSizeLimit().catch(error => {
+        console.error('Cache eviction failed:', error);
+      });
+    }
+  }
 
-      // Move MIDI to subfolder
-      const difficultyLabel = {
-        'beginner': '[초급]',
-        'intermediate': '[중급]',
-        'advanced': '[고급]'
-      };
-      const difficultyTag = difficultyLabel[options.qualityMode] || '[중급]';
-      const midiFilename = `${difficultyTag} ${fileManager.sanitizeFilename(folderName)}.mid`;
-      const finalMidiPath = await fileManager.moveToDir(midiResult.filePath, outputSubDir, midiFilename);
-
-      this.sendProgress(4, 100, '저장 완료');
+  /**
+   * Cache and output files may be in use by the running job or regeneration.
+   */
+  assertIdle(action) {
+    if (jobQueue.isBusy() || this.regenerating || this.relocating) {
+      throw new Error(`Cannot ${action} while a conversion is running`);
+    }
+  }
 
-      // Send completion event
-      this.sendComplete(finalMidiPath, midiFilename, outputSubDir);
+  async cancelActiveProcesses() {
+    conversionPipeline.cancel();
+    await conversionPipeline.cleanup();
+  }
 
-      // Final cleanup
-      await this.cleanup();
-    } catch (error) {
-      await this.cleanup();
-      throw error;
+  /**
+   * Send an event to the renderer and to the local API's event streams.
+   */
+  emit(channel, data) {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send(channel, data);
     }
+    apiServer.broadcast(channel, data);
   }
 
-  sendProgress(step, percentage, message) {
-    if (!this.mainWindow) return;
+  sendQueueUpdate(jobs) {
+    this.emit('queue-update', { jobs });
+  }
 
+  sendProgress(step, percentage, message) {
     // Calculate overall progress
     const stepWeights = {
       1: 0.25, // Download
@@ -660,7 +711,8 @@ class IPCHandlers {
     }
     overallProgress += stepWeights[step] * percentage;
 
-    this.mainWindow.webContents.send('progress-update', {
+    this.emit('progress-update', {
+      jobId: this.currentJob ? this.currentJob.id : null,
       step,
       percentage: Math.round(overallProgress),
       message
@@ -668,28 +720,21 @@ class IPCHandlers {
   }
 
   sendError(message) {
-    if (!this.mainWindow) return;
-
-    this.mainWindow.webContents.send('error-occurred', {
+    this.emit('error-occurred', {
+      jobId: this.currentJob ? this.currentJob.id : null,
       message
     });
   }
 
-  sendComplete(pdfPath, filename, outputDir) {
-    if (!this.mainWindow) return;
-
-    this.mainWindow.webContents.send('processing-complete', {
+  sendComplete(pdfPath, filename, outputDir, musicXmlPath = null) {
+    this.emit('processing-complete', {
+      jobId: this.currentJob ? this.currentJob.id : null,
       pdfPath,
       filename,
-      outputDir
+      outputDir,
+      musicXmlPath
     });
   }
-
-  async cleanup() {
-    // Clean up any remaining temp files
-    await fileManager.cleanupTempFiles();
-    this.tempFiles = [];
-  }
 }
 
 const ipcHandlers = new IPCHandlers();
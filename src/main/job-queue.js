@@ -0,0 +1,238 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const appPaths = require('./app-paths');
+
+// Conversion job queue. Jobs run one at a time (the pipeline modules are
+// singletons) and the queue is saved to disk so it survives a restart.
+//
+// Job: { id, url, filePath, title, options, status, error, result,
+//        createdAt, startedAt, finishedAt }
+// status: 'pending' | 'running' | 'done' | 'failed' | 'cancelled'
+
+class JobQueue {
+  constructor() {
+    this.queueFile = appPaths.dataFile('queue.json');
+    this.jobs = [];
+    this.runningJob = null;
+    this.runner = null;
+    this.cancelRunner = null;
+    this.onChange = null;
+    this.isLoaded = false;
+  }
+
+  /**
+   * runner(job) performs the conversion and resolves with its result,
+   * cancelRunner() aborts the running job (the runner must then settle
+   * soon, as the next job waits for it), onChange(jobs) is called on
+   * every status change.
+   */
+  async initialize({ runner, cancelRunner, onChange }) {
+    this.runner = runner;
+    this.cancelRunner = cancelRunner;
+    this.onChange = onChange;
+
+    if (!this.isLoaded) {
+      await this.load();
+    }
+  }
+
+  async load() {
+    this.isLoaded = true;
+
+    if (!(await fs.pathExists(this.queueFile))) {
+      return;
+    }
+
+    try {
+      const saved = await fs.readJson(this.queueFile);
+      this.jobs = Array.isArray(saved.jobs) ? saved.jobs : [];
+    } catch (error) {
+      console.error('Failed to load job queue:', error);
+      this.jobs = [];
+    }
+
+    // A job that was running when the app quit starts over
+    this.jobs.forEach(job => {
+      if (job.status === 'running') {
+        job.status = 'pending';
+        job.startedAt = null;
+      }
+    });
+  }
+
+  async save() {
+    try {
+      await fs.writeJson(this.queueFile, { jobs: this.jobs }, { spaces: 2 });
+    } catch (error) {
+      console.error('Failed to save job queue:', error);
+    }
+  }
+
+  getJobs() {
+    return this.jobs.map(job => ({ ...job }));
+  }
+
+  getJob(id) {
+    return this.jobs.find(job => job.id === id) || null;
+  }
+
+  isBusy() {
+    return Boolean(this.runningJob);
+  }
+
+  async notify() {
+    await this.save();
+    if (this.onChange) {
+      this.onChange(this.getJobs());
+    }
+  }
+
+  /**
+   * Add a job for a YouTube URL or a local file ({ url | filePath, title, options }).
+   */
+  async enqueue({ url = null, filePath = null, title = null, options = {} }) {
+    if (!url && !filePath) {
+      throw new Error('URL or file path is required');
+    }
+
+    const job = {
+      id: uuidv4(),
+      url,
+      filePath,
+      title: title || (filePath ? path.basename(filePath) : url),
+      options,
+      status: 'pending',
+      error: null,
+      result: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.push(job);
+    await this.notify();
+    this.processNext();
+
+    return { ...job };
+  }
+
+  /**
+   * Cancel one job. Pending jobs are skipped, the running job is aborted;
+   * other jobs are not affected.
+   */
+  async cancel(id) {
+    const job = this.getJob(id);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    if (job.status === 'pending') {
+      job.status = 'cancelled';
+      job.finishedAt = Date.now();
+      await this.notify();
+    } else if (job.status === 'running') {
+      job.cancelRequested = true;
+      if (this.cancelRunner) {
+        await this.cancelRunner();
+      }
+    }
+
+    return { ...job };
+  }
+
+  async cancelRunning() {
+    if (this.runningJob) {
+      await this.cancel(this.runningJob.id);
+    }
+  }
+
+  /**
+   * Move a pending job to another position among the jobs (0 = first).
+   */
+  async move(id, toIndex) {
+    const fromIndex = this.jobs.findIndex(job => job.id === id);
+    if (fromIndex === -1) {
+      throw new Error('Job not found');
+    }
+    if (this.jobs[fromIndex].status !== 'pending') {
+      throw new Error('Only pending jobs can be reordered');
+    }
+
+    const target = Math.max(0, Math.min(this.jobs.length - 1, toIndex));
+    const [job] = this.jobs.splice(fromIndex, 1);
+    this.jobs.splice(target, 0, job);
+
+    await this.notify();
+    return this.getJobs();
+  }
+
+  /**
+   * Remove a finished (done/failed/cancelled) job from the list.
+   */
+  async remove(id) {
+    const job = this.getJob(id);
+    if (!job) {
+      return this.getJobs();
+    }
+    if (job.status === 'pending' || job.status === 'running') {
+      throw new Error('Cancel the job before removing it');
+    }
+
+    this.jobs = this.jobs.filter(item => item.id !== id);
+    await this.notify();
+    return this.getJobs();
+  }
+
+  async clearFinished() {
+    this.jobs = this.jobs.filter(job => job.status === 'pending' || job.status === 'running');
+    await this.notify();
+    return this.getJobs();
+  }
+
+  /**
+   * Start the first pending job if nothing is running.
+   */
+  async processNext() {
+    if (this.runningJob || !this.runner) {
+      return;
+    }
+
+    const job = this.jobs.find(item => item.status === 'pending');
+    if (!job) {
+      return;
+    }
+
+    this.runningJob = job;
+    job.status = 'running';
+    job.error = null;
+    job.startedAt = Date.now();
+    await this.notify();
+
+    try {
+      const result = await this.runner(job);
+      // The runner may finish its last step before it sees the cancel
+      if (job.cancelRequested) {
+        throw new Error('Job cancelled');
+      }
+      job.result = result;
+      job.status = 'done';
+      if (result && result.title) {
+        job.title = result.title;
+      }
+    } catch (error) {
+      console.error(`Job failed (${job.title}):`, error);
+      job.status = job.cancelRequested ? 'cancelled' : 'failed';
+      job.error = error.message;
+    }
+
+    delete job.cancelRequested;
+    job.finishedAt = Date.now();
+    this.runningJob = null;
+    await this.notify();
+
+    this.processNext();
+  }
+}
+
+module.exports = new JobQueue();
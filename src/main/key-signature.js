@@ -0,0 +1,223 @@
+// Key signature helpers shared by the transcribe worker, sheet generator and
+// MusicXML exporter. Key names follow VexFlow ('Bb', 'F#m', ...).
+
+const { parseMidi, writeMidi } = require('midi-file');
+
+// Circle-of-fifths position of each key
+const KEY_FIFTHS = {
+  'Cb': -7, 'Gb': -6, 'Db': -5, 'Ab': -4, 'Eb': -3, 'Bb': -2, 'F': -1,
+  'C': 0, 'G': 1, 'D': 2, 'A': 3, 'E': 4, 'B': 5, 'F#': 6, 'C#': 7,
+  'Abm': -7, 'Ebm': -6, 'Bbm': -5, 'Fm': -4, 'Cm': -3, 'Gm': -2, 'Dm': -1,
+  'Am': 0, 'Em': 1, 'Bm': 2, 'F#m': 3, 'C#m': 4, 'G#m': 5, 'D#m': 6, 'A#m': 7
+};
+
+// Index = fifths + 7. Same order as MIDI key signature meta events.
+const MAJOR_KEYS = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+const MINOR_KEYS = ['Abm', 'Ebm', 'Bbm', 'Fm', 'Cm', 'Gm', 'Dm', 'Am', 'Em', 'Bm', 'F#m', 'C#m', 'G#m', 'D#m', 'A#m'];
+
+// Preferred fifths for a tonic pitch class (0 = C)
+const MAJOR_FIFTHS_BY_PC = [0, -5, 2, -3, 4, -1, 6, 1, -4, 3, -2, 5];
+const MINOR_FIFTHS_BY_PC = [-3, 4, -1, -6, 1, -4, 3, -2, 5, 0, -5, 2];
+
+const LETTERS = ['c', 'd', 'e', 'f', 'g', 'a', 'b'];
+const NATURAL_PC = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 };
+const SHARP_ORDER = ['f', 'c', 'g', 'd', 'a', 'e', 'b'];
+const FLAT_ORDER = ['b', 'e', 'a', 'd', 'g', 'c', 'f'];
+
+function keyToFifths(keyName) {
+  return KEY_FIFTHS[keyName] ?? 0;
+}
+
+function isMinorKey(keyName) {
+  return /m$/.test(keyName || '');
+}
+
+/**
+ * Build a VexFlow key name from a fifths count and 'major' | 'minor'.
+ */
+function keyFromFifths(fifths, scale = 'major') {
+  const index = Math.max(-7, Math.min(7, Math.round(fifths || 0))) + 7;
+  return scale === 'minor' ? MINOR_KEYS[index] : MAJOR_KEYS[index];
+}
+
+function keyFromTonic(pitchClass, scale = 'major') {
+  const pc = ((pitchClass % 12) + 12) % 12;
+  const fifths = scale === 'minor' ? MINOR_FIFTHS_BY_PC[pc] : MAJOR_FIFTHS_BY_PC[pc];
+  return keyFromFifths(fifths, scale);
+}
+
+// Krumhansl-Kessler key profiles, index 0 = tonic
+const MAJOR_KEY_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_KEY_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+function correlation(a, b) {
+  const meanA = a.reduce((sum, v) => sum + v, 0) / a.length;
+  const meanB = b.reduce((sum, v) => sum + v, 0) / b.length;
+  let num = 0, denA = 0, denB = 0;
+  for (let i = 0; i < a.length; i++) {
+    num += (a[i] - meanA) * (b[i] - meanB);
+    denA += (a[i] - meanA) ** 2;
+    denB += (b[i] - meanB) ** 2;
+  }
+  const den = Math.sqrt(denA * denB);
+  return den > 0 ? num / den : 0;
+}
+
+/**
+ * Estimate the key of Basic Pitch note events by matching a duration/velocity
+ * weighted pitch-class profile against the 24 major/minor key profiles.
+ * Returns { key, scale, fifths, confidence } with key as a VexFlow name.
+ */
+function estimateKey(notes) {
+  const fallback = { key: 'C', scale: 'major', fifths: 0, confidence: 0 };
+  if (!notes || notes.length < 8) return fallback;
+
+  const histogram = new Array(12).fill(0);
+  notes.forEach(note => {
+    histogram[note.pitchMidi % 12] += note.durationSeconds * Math.max(0.1, note.amplitude);
+  });
+  if (histogram.every(v => v === 0)) return fallback;
+
+  let best = null;
+  for (let tonic = 0; tonic < 12; tonic++) {
+    // Rotate so index 0 is the candidate tonic
+    const rotated = histogram.map((_, i) => histogram[(i + tonic) % 12]);
+    [['major', MAJOR_KEY_PROFILE], ['minor', MINOR_KEY_PROFILE]].forEach(([scale, profile]) => {
+      const score = correlation(rotated, profile);
+      if (!best || score > best.score) {
+        best = { tonic, scale, score };
+      }
+    });
+  }
+
+  const key = keyFromTonic(best.tonic, best.scale);
+  return {
+    key,
+    scale: best.scale,
+    fifths: keyToFifths(key),
+    confidence: best.score
+  };
+}
+
+/**
+ * Alteration (-1, 0, +1) the key signature applies to each letter.
+ */
+function keyAlterations(keyName) {
+  const fifths = keyToFifths(keyName);
+  const alterations = {};
+  LETTERS.forEach(letter => { alterations[letter] = 0; });
+
+  if (fifths > 0) {
+    SHARP_ORDER.slice(0, fifths).forEach(letter => { alterations[letter] = 1; });
+  } else if (fifths < 0) {
+    FLAT_ORDER.slice(0, -fifths).forEach(letter => { alterations[letter] = -1; });
+  }
+
+  return alterations;
+}
+
+/**
+ * Spell a MIDI pitch for a key: scale tones use the key's letters
+ * (E♭ in B♭ major, E♯ in F♯ major), the raised 7th in minor is spelled
+ * as a sharpened leading tone, other chromatic notes follow the key's
+ * sharp/flat direction.
+ * Returns { letter, alter, octave }.
+ */
+function spellMidi(midi, keyName = 'C') {
+  const pc = midi % 12;
+  const fifths = keyToFifths(keyName);
+  const alterations = keyAlterations(keyName);
+
+  let spelling = null;
+
+  // Diatonic tones of the key signature
+  for (const letter of LETTERS) {
+    const alter = alterations[letter];
+    if ((NATURAL_PC[letter] + alter + 12) % 12 === pc) {
+      spelling = { letter, alter };
+      break;
+    }
+  }
+
+  // Leading tone in minor keys (F♯ in G minor)
+  if (!spelling && isMinorKey(keyName)) {
+    const relativeMajorPc = ((fifths * 7) % 12 + 12) % 12;
+    const tonicPc = (relativeMajorPc + 9) % 12;
+    if (pc === (tonicPc + 11) % 12) {
+      const tonicLetterIndex = LETTERS.findIndex(letter => (
+        (NATURAL_PC[letter] + alterations[letter] + 12) % 12 === tonicPc
+      ));
+      const seventh = LETTERS[(tonicLetterIndex + 6) % 7];
+      spelling = { letter: seventh, alter: alterations[seventh] + 1 };
+    }
+  }
+
+  // Chromatic notes: a natural sign on an altered letter (B♮ in B♭ major),
+  // otherwise sharps in sharp keys and flats in flat keys
+  if (!spelling) {
+    const natural = LETTERS.find(letter => NATURAL_PC[letter] === pc);
+    if (natural) {
+      spelling = { letter: natural, alter: 0 };
+    }
+  }
+
+  if (!spelling) {
+    const alter = fifths < 0 ? -1 : 1;
+    const letter = LETTERS.find(l => (
+      (NATURAL_PC[l] + alter + 12) % 12 === pc && alterations[l] === 0
+    ));
+    if (letter) {
+      spelling = { letter, alter };
+    }
+  }
+
+  if (!spelling) {
+    const fallback = ['c', 'c', 'd', 'd', 'e', 'f', 'f', 'g', 'g', 'a', 'a', 'b'][pc];
+    spelling = { letter: fallback, alter: pc - NATURAL_PC[fallback] };
+  }
+
+  // Octave follows the letter (C♭5 sounds as B4, B♯3 as C4)
+  const octave = Math.floor((midi - spelling.alter) / 12) - 1;
+  return { ...spelling, octave };
+}
+
+/**
+ * Add a key signature meta event (sf = fifths, mi = minor flag) at the
+ * start of the first track of an encoded MIDI file. @tonejs/midi can't
+ * write one: it stores the key's index + 7 instead of the fifths count.
+ */
+function addMidiKeySignature(midiBytes, fifths, scale = 'major') {
+  const data = parseMidi(Buffer.from(midiBytes));
+  data.tracks[0].unshift({
+    deltaTime: 0,
+    meta: true,
+    type: 'keySignature',
+    key: Math.max(-7, Math.min(7, Math.round(fifths || 0))),
+    scale: scale === 'minor' ? 1 : 0
+  });
+  return Buffer.from(writeMidi(data));
+}
+
+/**
+ * Key of a file read with @tonejs/midi, which reports the first key
+ * signature by its major-key name plus a scale flag. 'C' when there is none.
+ */
+function keyFromMidi(midi) {
+  const keyEntry = midi.header.keySignatures && midi.header.keySignatures.length > 0
+    ? midi.header.keySignatures[0]
+    : null;
+  return keyEntry ? keyFromFifths(keyToFifths(keyEntry.key), keyEntry.scale) : 'C';
+}
+
+module.exports = {
+  KEY_FIFTHS,
+  keyToFifths,
+  isMinorKey,
+  keyFromFifths,
+  keyFromTonic,
+  estimateKey,
+  keyAlterations,
+  spellMidi,
+  addMidiKeySignature,
+  keyFromMidi
+};
@@ -0,0 +1,513 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const fileManager = require('./file-manager');
+const sheetGenerator = require('./sheet-generator');
+const { keyToFifths, isMinorKey, keyAlterations, spellMidi } = require('./key-signature');
+
+// Note types in quarter-note lengths, longest first
+const NOTE_TYPES = [
+  { quarters: 4, type: 'whole' },
+  { quarters: 2, type: 'half' },
+  { quarters: 1, type: 'quarter' },
+  { quarters: 0.5, type: 'eighth' },
+  { quarters: 0.25, type: '16th' },
+  { quarters: 0.125, type: '32nd' }
+];
+
+const ACCIDENTALS = { '-2': 'flat-flat', '-1': 'flat', '0': 'natural', '1': 'sharp', '2': 'double-sharp' };
+
+const MXL_MIMETYPE = 'application/vnd.recordare.musicxml';
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+let crcTable = null;
+
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a zip archive from [{ name, data, store }] entries.
+ * Entries with store: true are written uncompressed (required for "mimetype").
+ */
+function createZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(entry => {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+    const compressed = entry.store ? data : zlib.deflateRawSync(data);
+    const method = entry.store ? 0 : 8;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(0, 10);
+    local.writeUInt16LE(0x21, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(0, 12);
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  });
+
+  const centralDir = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDir.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDir, end]);
+}
+
+class MusicXmlExporter {
+  spellPitch(midi, keySignature) {
+    const { letter, alter, octave } = spellMidi(midi, keySignature);
+    return { step: letter.toUpperCase(), alter, octave };
+  }
+
+  /**
+   * Split a duration (in divisions) into note values that can be written
+   * without tuplets, preferring dotted values to keep tie chains short.
+   */
+  splitDuration(duration, divisions) {
+    const options = [];
+    NOTE_TYPES.forEach(({ quarters, type }) => {
+      const base = quarters * divisions;
+      if (Number.isInteger(base * 1.5) && quarters < 4) {
+        options.push({ duration: base * 1.5, type, dotted: true });
+      }
+      if (Number.isInteger(base)) {
+        options.push({ duration: base, type, dotted: false });
+      }
+    });
+    options.sort((a, b) => b.duration - a.duration);
+
+    const pieces = [];
+    let remaining = duration;
+    while (remaining > 0) {
+      const option = options.find(o => o.duration <= remaining);
+      if (!option) break;
+      pieces.push(option);
+      remaining -= option.duration;
+    }
+    return pieces;
+  }
+
+  /**
+   * Flatten per-measure events of one staff into a single voice of chords on
+   * an absolute beat timeline. The timeline is cut wherever a note starts or
+   * ends; a note that sounds over several chords is tied between them.
+   * Chord notes: { midi, tieStart, tieStop }.
+   */
+  buildTimeline(measures, beatsPerMeasure) {
+    const eps = 1e-6;
+    const notes = [];
+
+    measures.forEach((events, measureIndex) => {
+      events.forEach(event => {
+        const start = measureIndex * beatsPerMeasure + event.startBeat;
+        event.notes.forEach(midi => {
+          notes.push({ midi, start, end: start + event.durationBeats });
+        });
+      });
+    });
+    notes.sort((a, b) => a.start - b.start || b.end - a.end);
+
+    // A repeated pitch ends the one still sounding
+    const sounding = new Map();
+    const unique = [];
+    notes.forEach(note => {
+      const previous = sounding.get(note.midi);
+      if (previous && previous.end > note.start + eps) {
+        if (Math.abs(previous.start - note.start) < eps) return;
+        previous.end = note.start;
+      }
+      sounding.set(note.midi, note);
+      unique.push(note);
+    });
+
+    const boundaries = [...new Set(unique.flatMap(note => [note.start, note.end]).map(beat => beat.toFixed(3)))]
+      .map(Number)
+      .sort((a, b) => a - b);
+
+    const timeline = [];
+    for (let i = 0; i < boundaries.length - 1; i++) {
+      const start = boundaries[i];
+      const end = boundaries[i + 1];
+      const chord = unique
+        .filter(note => note.start < start + eps && note.end > end - eps)
+        .sort((a, b) => a.midi - b.midi)
+        .map(note => ({
+          midi: note.midi,
+          tieStop: note.start < start - eps,
+          tieStart: note.end > end + eps
+        }));
+      if (chord.length > 0) {
+        timeline.push({ start, end, notes: chord });
+      }
+    }
+    return timeline;
+  }
+
+  /**
+   * Cut a staff timeline into per-measure segments of notes and rests.
+   * Notes crossing a bar line are split and marked for ties.
+   */
+  segmentMeasure(timeline, measureIndex, beatsPerMeasure) {
+    const measureStart = measureIndex * beatsPerMeasure;
+    const measureEnd = measureStart + beatsPerMeasure;
+    const segments = [];
+    let cursor = measureStart;
+    const eps = 1e-6;
+
+    timeline.forEach(event => {
+      if (event.end <= measureStart + eps || event.start >= measureEnd - eps) return;
+
+      const segStart = Math.max(event.start, measureStart);
+      const segEnd = Math.min(event.end, measureEnd);
+      if (segStart > cursor + eps) {
+        segments.push({ rest: true, beats: segStart - cursor });
+      }
+      segments.push({
+        rest: false,
+        beats: segEnd - segStart,
+        notes: event.notes,
+        tieStop: event.start < measureStart - eps,
+        tieStart: event.end > measureEnd + eps
+      });
+      cursor = segEnd;
+    });
+
+    if (measureEnd > cursor + eps) {
+      segments.push({ rest: true, beats: measureEnd - cursor });
+    }
+
+    return segments;
+  }
+
+  noteXml({ pitch, duration, type, dotted, accidental, staff, voice, chord, rest, measureRest, tieStart, tieStop }) {
+    const lines = ['      <note>'];
+    if (chord) lines.push('        <chord/>');
+    if (rest) {
+      lines.push(measureRest ? '        <rest measure="yes"/>' : '        <rest/>');
+    } else {
+      lines.push('        <pitch>');
+      lines.push(`          <step>${pitch.step}</step>`);
+      if (pitch.alter) lines.push(`          <alter>${pitch.alter}</alter>`);
+      lines.push(`          <octave>${pitch.octave}</octave>`);
+      lines.push('        </pitch>');
+    }
+    lines.push(`        <duration>${duration}</duration>`);
+    if (tieStop) lines.push('        <tie type="stop"/>');
+    if (tieStart) lines.push('        <tie type="start"/>');
+    lines.push(`        <voice>${voice}</voice>`);
+    if (!measureRest) {
+      lines.push(`        <type>${type}</type>`);
+      if (dotted) lines.push('        <dot/>');
+    }
+    if (accidental) lines.push(`        <accidental>${accidental}</accidental>`);
+    lines.push(`        <staff>${staff}</staff>`);
+    if (tieStart || tieStop) {
+      lines.push('        <notations>');
+      if (tieStop) lines.push('          <tied type="stop"/>');
+      if (tieStart) lines.push('          <tied type="start"/>');
+      lines.push('        </notations>');
+    }
+    lines.push('      </note>');
+    return lines.join('\n');
+  }
+
+  /**
+   * Notes and rests of one staff in one measure. Accidentals are shown where
+   * a note differs from the key signature or from an earlier accidental on
+   * the same line in the measure; notes continuing a tie show none.
+   */
+  staffMeasureXml(segments, staff, keySignature, divisions, beatDivisions, measureDivisions) {
+    const voice = staff === 1 ? 1 : 5;
+
+    if (segments.every(segment => segment.rest)) {
+      return this.noteXml({ duration: measureDivisions, staff, voice, rest: true, measureRest: true });
+    }
+
+    const alterations = keyAlterations(keySignature);
+    const measureState = new Map();
+    const accidentalFor = (pitch, tied) => {
+      if (tied) return null;
+      const line = `${pitch.step}${pitch.octave}`;
+      const expected = measureState.has(line) ? measureState.get(line) : alterations[pitch.step.toLowerCase()];
+      if (pitch.alter === expected) return null;
+      measureState.set(line, pitch.alter);
+      return ACCIDENTALS[pitch.alter];
+    };
+
+    const xml = [];
+    segments.forEach(segment => {
+      const total = Math.round(segment.beats * beatDivisions);
+      const pieces = this.splitDuration(total, divisions);
+
+      pieces.forEach((piece, i) => {
+        if (segment.rest) {
+          xml.push(this.noteXml({ ...piece, staff, voice, rest: true }));
+          return;
+        }
+
+        segment.notes.forEach((note, noteIndex) => {
+          const pitch = this.spellPitch(note.midi, keySignature);
+          const tieStop = i > 0 || segment.tieStop || note.tieStop;
+          const tieStart = i < pieces.length - 1 || segment.tieStart || note.tieStart;
+          xml.push(this.noteXml({
+            ...piece,
+            pitch,
+            accidental: accidentalFor(pitch, tieStop),
+            staff,
+            voice,
+            chord: noteIndex > 0,
+            tieStart,
+            tieStop
+          }));
+        });
+      });
+    });
+
+    return xml.join('\n');
+  }
+
+  /**
+   * Metronome mark with its playback tempo. <direction> needs a
+   * <direction-type>, so tempo changes get a mark too.
+   */
+  tempoDirectionXml(bpm) {
+    return [
+      '      <direction placement="above">',
+      '        <direction-type>',
+      '          <metronome>',
+      '            <beat-unit>quarter</beat-unit>',
+      `            <per-minute>${Math.round(bpm)}</per-minute>`,
+      '          </metronome>',
+      '        </direction-type>',
+      `        <sound tempo="${Math.round(bpm)}"/>`,
+      '      </direction>'
+    ].join('\n');
+  }
+
+  /**
+   * Build a MusicXML (score-partwise) document from parsed MIDI metadata,
+   * using the same grand-staff measure model as the sheet generator.
+   */
+  buildScoreXml(metadata, title) {
+    const timeSignature = metadata.timeSignature || '4/4';
+    const tempo = metadata.tempo || 120;
+    const keySignature = metadata.keySignature || 'C';
+    const fifths = keyToFifths(keySignature);
+    const isMinor = isMinorKey(keySignature);
+
+    const {
+      measuresTreble,
+      measuresBass,
+      beatsPerMeasure,
+      numerator,
+      beatValue
+    } = sheetGenerator.buildMeasures(metadata.rightNotes, metadata.leftNotes, tempo, timeSignature);
+
+    // Measure model beats are quarter notes, quantized to 16ths
+    const divisions = 4;
+    const beatDivisions = divisions;
+    const measureDivisions = Math.round(beatsPerMeasure * beatDivisions);
+
+    const trebleTimeline = this.buildTimeline(measuresTreble, beatsPerMeasure);
+    const bassTimeline = this.buildTimeline(measuresBass, beatsPerMeasure);
+    const lastEnd = Math.max(
+      0,
+      ...trebleTimeline.map(event => event.end),
+      ...bassTimeline.map(event => event.end)
+    );
+    const totalMeasures = Math.max(
+      1,
+      measuresTreble.length,
+      measuresBass.length,
+      Math.ceil(lastEnd / beatsPerMeasure - 1e-6)
+    );
+
+    const tempoChanges = (metadata.tempos || []).filter(entry => entry.beat > 0);
+
+    const measuresXml = [];
+    for (let m = 0; m < totalMeasures; m++) {
+      const parts = [`    <measure number="${m + 1}">`];
+
+      if (m === 0) {
+        parts.push([
+          '      <attributes>',
+          `        <divisions>${divisions}</divisions>`,
+          '        <key>',
+          `          <fifths>${fifths}</fifths>`,
+          `          <mode>${isMinor ? 'minor' : 'major'}</mode>`,
+          '        </key>',
+          '        <time>',
+          `          <beats>${numerator}</beats>`,
+          `          <beat-type>${beatValue}</beat-type>`,
+          '        </time>',
+          '        <staves>2</staves>',
+          '        <clef number="1">',
+          '          <sign>G</sign>',
+          '          <line>2</line>',
+          '        </clef>',
+          '        <clef number="2">',
+          '          <sign>F</sign>',
+          '          <line>4</line>',
+          '        </clef>',
+          '      </attributes>',
+          this.tempoDirectionXml(tempo)
+        ].join('\n'));
+      }
+
+      // Later tempo map changes, placed at the start of the measure they fall in
+      if (m > 0) {
+        const change = tempoChanges.find(entry => (
+          entry.beat >= m * beatsPerMeasure - 1e-6 && entry.beat < (m + 1) * beatsPerMeasure - 1e-6
+        ));
+        if (change) {
+          parts.push(this.tempoDirectionXml(change.bpm));
+        }
+      }
+
+      const trebleSegments = this.segmentMeasure(trebleTimeline, m, beatsPerMeasure);
+      const bassSegments = this.segmentMeasure(bassTimeline, m, beatsPerMeasure);
+
+      parts.push(this.staffMeasureXml(trebleSegments, 1, keySignature, divisions, beatDivisions, measureDivisions));
+      parts.push(`      <backup>\n        <duration>${measureDivisions}</duration>\n      </backup>`);
+      parts.push(this.staffMeasureXml(bassSegments, 2, keySignature, divisions, beatDivisions, measureDivisions));
+
+      if (m === totalMeasures - 1) {
+        parts.push('      <barline location="right">\n        <bar-style>light-heavy</bar-style>\n      </barline>');
+      }
+
+      parts.push('    </measure>');
+      measuresXml.push(parts.join('\n'));
+    }
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+      '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+      '<score-partwise version="4.0">',
+      '  <work>',
+      `    <work-title>${escapeXml(title || 'Piano Sheet Music')}</work-title>`,
+      '  </work>',
+      '  <identification>',
+      '    <encoding>',
+      '      <software>YouTube Piano Sheets</software>',
+      `      <encoding-date>${new Date().toISOString().slice(0, 10)}</encoding-date>`,
+      '    </encoding>',
+      '  </identification>',
+      '  <part-list>',
+      '    <score-part id="P1">',
+      '      <part-name>Piano</part-name>',
+      '    </score-part>',
+      '  </part-list>',
+      '  <part id="P1">',
+      measuresXml.join('\n'),
+      '  </part>',
+      '</score-partwise>',
+      ''
+    ].join('\n');
+  }
+
+  buildMxl(xml) {
+    const container = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<container>',
+      '  <rootfiles>',
+      `    <rootfile full-path="score.musicxml" media-type="${MXL_MIMETYPE}"/>`,
+      '  </rootfiles>',
+      '</container>',
+      ''
+    ].join('\n');
+
+    return createZip([
+      { name: 'mimetype', data: MXL_MIMETYPE, store: true },
+      { name: 'META-INF/container.xml', data: container },
+      { name: 'score.musicxml', data: xml }
+    ]);
+  }
+
+  /**
+   * Export a MIDI file as MusicXML.
+   * options.format: 'musicxml' (plain XML, default) or 'mxl' (compressed)
+   * options.outputDir: destination folder (defaults to the MIDI's folder)
+   * options.filename: output file name (defaults to the MIDI name)
+   * Returns { filePath, filename }.
+   */
+  async exportMidi(midiPath, title, options = {}) {
+    const format = options.format === 'mxl' ? 'mxl' : 'musicxml';
+    const outputDir = options.outputDir || path.dirname(midiPath);
+    const baseName = path.basename(midiPath, path.extname(midiPath));
+    const filename = fileManager.sanitizeFilename(options.filename || `${baseName}.${format}`);
+
+    try {
+      const metadata = await sheetGenerator.parseMidiFile(midiPath);
+      const xml = this.buildScoreXml(metadata, title || baseName);
+      const data = format === 'mxl' ? this.buildMxl(xml) : xml;
+
+      const outputPath = path.join(outputDir, filename);
+      await fs.ensureDir(outputDir);
+      await fs.writeFile(outputPath, data);
+
+      return {
+        filePath: outputPath,
+        filename
+      };
+    } catch (error) {
+      throw new Error(`MusicXML export failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new MusicXmlExporter();
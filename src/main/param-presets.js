@@ -0,0 +1,70 @@
+const fs = require('fs-extra');
+const appPaths = require('./app-paths');
+const { normalizeTranscriptionParams } = require('./transcription-params');
+
+// Named custom transcription parameter sets, saved in presets.json.
+class ParamPresets {
+  constructor() {
+    this.presetsFile = appPaths.dataFile('presets.json');
+    this.presets = {};
+    this.isLoaded = false;
+  }
+
+  async load() {
+    if (this.isLoaded) return;
+    this.isLoaded = true;
+
+    if (await fs.pathExists(this.presetsFile)) {
+      try {
+        const saved = await fs.readJson(this.presetsFile);
+        this.presets = saved.presets || {};
+      } catch (error) {
+        console.error('Failed to load parameter presets:', error);
+        this.presets = {};
+      }
+    }
+  }
+
+  async save() {
+    await fs.writeJson(this.presetsFile, { presets: this.presets }, { spaces: 2 });
+  }
+
+  /**
+   * All presets as [{ name, params }], sorted by name.
+   */
+  async list() {
+    await this.load();
+    return Object.keys(this.presets)
+      .sort((a, b) => a.localeCompare(b))
+      .map(name => ({ name, params: { ...this.presets[name] } }));
+  }
+
+  async get(name) {
+    await this.load();
+    return this.presets[name] ? { ...this.presets[name] } : null;
+  }
+
+  /**
+   * Create or overwrite a preset. Parameters are validated first.
+   */
+  async put(name, params) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Preset name is required');
+    }
+
+    await this.load();
+    this.presets[trimmed] = normalizeTranscriptionParams(params);
+    await this.save();
+    return this.list();
+  }
+
+  async remove(name) {
+    await this.load();
+    delete this.presets[name];
+    await this.save();
+    return this.list();
+  }
+}
+
+module.exports = new ParamPresets();
@@ -0,0 +1,269 @@
+const fs = require('fs-extra');
+const appPaths = require('./app-paths');
+
+// User settings kept across sessions, saved in settings.json:
+//   conversion  last conversion choices (unset = follow the recommendation)
+//   game        rhythm game preferences
+//   tools       ffmpeg / ffprobe / python paths (unset = automatic discovery)
+//   api         local HTTP/WebSocket API (off unless enabled)
+// The whole file can be exported and imported to share a setup.
+const SETTINGS_FILE = 'settings.json';
+const SETTINGS_VERSION = 1;
+
+// Tool paths were kept in tools.json before the settings store
+const LEGACY_TOOLS_FILE = 'tools.json';
+
+const SETTING_SPECS = {
+  conversion: {
+    qualityMode: { values: ['beginner', 'intermediate', 'advanced'] },
+    sourceType: { values: ['piano-cover', 'original', 'unknown'] },
+    targetPriority: { values: ['accuracy', 'balanced', 'speed'] },
+    useSeparation: { boolean: true },
+    // Required lazily: stem-separator → tool-resolver → settings-store
+    separationBackend: { check: (id) => require('./stem-separator').getBackend(id) },
+    issueOffbeat: { boolean: true },
+    issueWrongNotes: { boolean: true }
+  },
+  game: {
+    noteSpeed: { min: 100, max: 1200, integer: true },
+    audioOffset: { min: -200, max: 200, integer: true },
+    judgeDifficulty: { values: ['easy', 'normal', 'hard', 'very-hard'] }
+  },
+  tools: {
+    ffmpeg: { path: true },
+    ffprobe: { path: true },
+    python: { path: true }
+  },
+  api: {
+    enabled: { boolean: true },
+    port: { min: 1024, max: 65535, integer: true }
+  }
+};
+
+const DEFAULT_SETTINGS = {
+  conversion: {},
+  game: { noteSpeed: 400, audioOffset: 0, judgeDifficulty: 'normal' },
+  tools: { ffmpeg: null, ffprobe: null, python: null },
+  api: { enabled: false, port: 27315 }
+};
+
+function normalizeValue(name, spec, raw) {
+  if (spec.boolean) {
+    if (typeof raw !== 'boolean') {
+      throw new Error(`${name} must be true or false`);
+    }
+    return raw;
+  }
+
+  if (spec.values) {
+    if (!spec.values.includes(raw)) {
+      throw new Error(`${name} must be one of: ${spec.values.join(', ')}`);
+    }
+    return raw;
+  }
+
+  if (spec.path || spec.check) {
+    if (typeof raw !== 'string') {
+      throw new Error(`${name} must be a string`);
+    }
+    const value = raw.trim();
+    if (spec.check) {
+      spec.check(value);
+    }
+    return value;
+  }
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < spec.min || value > spec.max) {
+    throw new Error(`${name} must be between ${spec.min} and ${spec.max}`);
+  }
+  return spec.integer ? Math.round(value) : value;
+}
+
+/**
+ * Validate one section's values. Returns a new object; null or empty values
+ * are kept as null (= back to the default). Throws on unknown names or
+ * invalid values.
+ */
+function normalizeSection(section, values) {
+  const specs = SETTING_SPECS[section];
+  if (!specs) {
+    throw new Error(`Unknown settings section: ${section}`);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`Settings section ${section} must be an object`);
+  }
+
+  const result = {};
+  for (const [name, raw] of Object.entries(values)) {
+    const spec = specs[name];
+    if (!spec) {
+      throw new Error(`Unknown setting: ${section}.${name}`);
+    }
+    result[name] = raw === null || raw === undefined || raw === ''
+      ? null
+      : normalizeValue(`${section}.${name}`, spec, raw);
+  }
+  return result;
+}
+
+class SettingsStore {
+  constructor() {
+    this.settingsFile = appPaths.dataFile(SETTINGS_FILE);
+    this.settings = { conversion: {}, game: {}, tools: {}, api: {} };
+    this.loading = null;
+    this.saving = Promise.resolve();
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = this.read();
+    }
+    return this.loading;
+  }
+
+  async read() {
+    if (await fs.pathExists(this.settingsFile)) {
+      try {
+        this.settings = this.applyChanges(this.settings, await fs.readJson(this.settingsFile), true);
+      } catch (error) {
+        console.error('Failed to load settings:', error);
+      }
+      return;
+    }
+
+    const legacyFile = appPaths.dataFile(LEGACY_TOOLS_FILE);
+    if (await fs.pathExists(legacyFile)) {
+      try {
+        this.settings = this.applyChanges(this.settings, { tools: await fs.readJson(legacyFile) }, true);
+        await this.save();
+        await fs.remove(legacyFile);
+        console.log(`Moved tool paths from ${LEGACY_TOOLS_FILE} to ${SETTINGS_FILE}`);
+      } catch (error) {
+        console.error('Failed to migrate tool paths:', error);
+      }
+    }
+  }
+
+  /**
+   * Write settings.json atomically; writes are queued so that quick
+   * successive updates do not interleave.
+   */
+  save() {
+    const data = { version: SETTINGS_VERSION, ...this.settings };
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      await fs.ensureDir(appPaths.getDataDir());
+      await fs.writeJson(`${this.settingsFile}.tmp`, data, { spaces: 2 });
+      await fs.rename(`${this.settingsFile}.tmp`, this.settingsFile);
+    });
+    return this.saving;
+  }
+
+  /**
+   * Merge { section: { name: value } } changes into settings and return the
+   * result (null values are removed). lenient drops invalid values with a
+   * warning instead of throwing (used for files written by other versions).
+   */
+  applyChanges(settings, changes, lenient = false) {
+    const next = {};
+    Object.keys(SETTING_SPECS).forEach(section => {
+      next[section] = { ...settings[section] };
+    });
+
+    for (const [section, values] of Object.entries(changes || {})) {
+      if (section === 'version' || section === 'exportedAt') continue;
+
+      let normalized = {};
+      if (!lenient) {
+        normalized = normalizeSection(section, values);
+      } else if (SETTING_SPECS[section] && values && typeof values === 'object') {
+        // Keep the valid values of a section with some invalid ones
+        for (const [name, raw] of Object.entries(values)) {
+          try {
+            Object.assign(normalized, normalizeSection(section, { [name]: raw }));
+          } catch (error) {
+            console.warn('Ignoring invalid setting:', error.message);
+          }
+        }
+      } else {
+        console.warn(`Ignoring unknown settings section: ${section}`);
+      }
+
+      for (const [name, value] of Object.entries(normalized)) {
+        if (value === null) {
+          delete next[section][name];
+        } else {
+          next[section][name] = value;
+        }
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * All settings ({ conversion, game, tools, api }) with defaults filled in.
+   */
+  async get() {
+    await this.load();
+    const result = {};
+    Object.keys(SETTING_SPECS).forEach(section => {
+      result[section] = { ...DEFAULT_SETTINGS[section], ...this.settings[section] };
+    });
+    return result;
+  }
+
+  /**
+   * Change some settings ({ section: { name: value } }, null = default).
+   * Everything is validated before anything is saved.
+   */
+  async update(changes) {
+    await this.load();
+    this.settings = this.applyChanges(this.settings, changes);
+    await this.save();
+    return this.get();
+  }
+
+  /**
+   * Write every setting to a JSON file (for sharing a setup).
+   */
+  async exportTo(filePath) {
+    const settings = await this.get();
+    await fs.writeJson(filePath, {
+      version: SETTINGS_VERSION,
+      exportedAt: new Date().toISOString(),
+      ...settings
+    }, { spaces: 2 });
+    return filePath;
+  }
+
+  /**
+   * Replace the sections found in an exported file; sections it does not
+   * contain are kept. Invalid files are rejected without changing anything.
+   */
+  async importFrom(filePath) {
+    let data;
+    try {
+      data = await fs.readJson(filePath);
+    } catch (error) {
+      throw new Error(`Cannot read settings file: ${error.message}`);
+    }
+    if (!data || typeof data !== 'object' || !Object.keys(SETTING_SPECS).some(section => data[section])) {
+      throw new Error('Not a settings file: no conversion, game, tools or api section found');
+    }
+    if (data.version > SETTINGS_VERSION) {
+      throw new Error(`Settings file version ${data.version} is newer than this app supports (${SETTINGS_VERSION})`);
+    }
+
+    await this.load();
+    const cleared = { ...this.settings };
+    Object.keys(SETTING_SPECS).forEach(section => {
+      if (data[section]) cleared[section] = {};
+    });
+    this.settings = this.applyChanges(cleared, data);
+    await this.save();
+    return this.get();
+  }
+}
+
+module.exports = new SettingsStore();
@@ -5,10 +5,45 @@ const { Midi } = require('@tonejs/midi');
 const fs = require('fs-extra');
 const path = require('path');
 const fileManager = require('./file-manager');
+const { keyToFifths, keyAlterations, spellMidi, keyFromMidi } = require('./key-signature');
+
+const ACCIDENTAL_SUFFIX = { '-2': 'bb', '-1': 'b', '0': '', '1': '#', '2': '##' };
+const ACCIDENTAL_GLYPH = { '-2': 'bb', '-1': 'b', '0': 'n', '1': '#', '2': '##' };
+
+// Note value for each length splitBeats() produces. Other lengths (3 beats
+// in 3/4, 1.5 in 6/8) are written as tied notes: VexFlow needs a DOM to
+// attach dots.
+const NOTE_DURATIONS = { 4: 'w', 2: 'h', 1: 'q', 0.5: '8', 0.25: '16' };
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
 
 class SheetGenerator {
   constructor() {
     this.isCancelled = false;
+
+    // Page geometry in canvas pixels (Letter proportions, 8.5 x 11)
+    this.layout = {
+      pageWidth: 800,
+      pageHeight: 1035,
+      margin: 20,
+      headerHeight: 60,
+      footerHeight: 30,
+      systemHeight: 160,
+      bassOffset: 70,
+      clefWidth: 40,
+      keyAccidentalWidth: 10,
+      timeSignatureWidth: 25,
+      minMeasureWidth: 70,
+      widthPerEvent: 18,
+      maxMeasuresPerSystem: 6
+    };
   }
 
   async parseMidiFile(midiPath) {
@@ -26,11 +61,22 @@ class SheetGenerator {
 
       const timeSignature = `${timeSigEntry[0]}/${timeSigEntry[1]}`;
 
+      const keySignature = keyFromMidi(midi);
+
+      // Beat positions come from ticks so tempo changes keep notes on the grid
+      const ppq = midi.header.ppq;
+      const tempos = (midi.header.tempos || []).map(entry => ({
+        bpm: entry.bpm,
+        beat: entry.ticks / ppq
+      }));
+
       const toNote = (note) => ({
         midi: note.midi,
         time: note.time,
         duration: note.duration,
-        velocity: note.velocity
+        velocity: note.velocity,
+        beat: note.ticks / ppq,
+        durationBeats: note.durationTicks / ppq
       });
 
       const rightNotes = [];
@@ -69,7 +115,8 @@ class SheetGenerator {
         leftNotes,
         timeSignature,
         tempo,
-        keySignature: 'C'
+        tempos,
+        keySignature
       };
     } catch (error) {
       throw new Error(`Failed to parse MIDI file: ${error.message}`);
@@ -80,28 +127,6 @@ class SheetGenerator {
     return Math.max(step, Math.round(value / step) * step);
   }
 
-  beatsToDuration(beats) {
-    const options = [
-      { beats: 4, dur: 'w' },
-      { beats: 2, dur: 'h' },
-      { beats: 1, dur: 'q' },
-      { beats: 0.5, dur: '8' },
-      { beats: 0.25, dur: '16' }
-    ];
-
-    let best = options[options.length - 1];
-    let minDiff = Infinity;
-    for (const option of options) {
-      const diff = Math.abs(beats - option.beats);
-      if (diff < minDiff) {
-        minDiff = diff;
-        best = option;
-      }
-    }
-
-    return best;
-  }
-
   splitBeats(beats) {
     const segments = [];
     const options = [4, 2, 1, 0.5, 0.25];
@@ -121,23 +146,38 @@ class SheetGenerator {
     return segments;
   }
 
-  midiToKey(midi) {
-    const names = ['c', 'c#', 'd', 'd#', 'e', 'f', 'f#', 'g', 'g#', 'a', 'a#', 'b'];
-    const name = names[midi % 12];
-    const octave = Math.floor(midi / 12) - 1;
-    return `${name}/${octave}`;
+  midiToKey(midi, keySignature = 'C') {
+    const { letter, alter, octave } = spellMidi(midi, keySignature);
+    return `${letter}${ACCIDENTAL_SUFFIX[alter]}/${octave}`;
   }
 
-  addAccidentals(staveNote, keys) {
-    // VexFlow v5 in node-canvas may not expose addAccidental on StaveNote.
-    // Skip accidentals to avoid runtime errors.
-    return;
+  /**
+   * Draw accidentals that differ from the key signature or from an earlier
+   * accidental on the same line in this measure (measureState).
+   */
+  addAccidentals(staveNote, midis, keySignature, measureState) {
+    const alterations = keyAlterations(keySignature);
+
+    midis.forEach((midi, index) => {
+      const { letter, alter, octave } = spellMidi(midi, keySignature);
+      const line = `${letter}${octave}`;
+      const expected = measureState.has(line) ? measureState.get(line) : alterations[letter];
+      if (alter === expected) {
+        return;
+      }
+
+      // Use addModifier; StaveNote.addAccidental is not available in VexFlow v5
+      staveNote.addModifier(new Vex.Accidental(ACCIDENTAL_GLYPH[alter]), index);
+      measureState.set(line, alter);
+    });
   }
 
   buildMeasures(rightNotes, leftNotes, tempo, timeSignature) {
-    const [numerator, denominator] = timeSignature.split('/').map(Number);
-    const beatsPerMeasure = Number.isFinite(numerator) ? numerator : 4;
-    const beatValue = Number.isFinite(denominator) ? denominator : 4;
+    const [rawNumerator, rawDenominator] = timeSignature.split('/').map(Number);
+    const numerator = Number.isFinite(rawNumerator) ? rawNumerator : 4;
+    const beatValue = Number.isFinite(rawDenominator) ? rawDenominator : 4;
+    // Beats here are quarter notes (MIDI tempo unit): 3/4 = 3, 6/8 = 3, 2/2 = 4
+    const beatsPerMeasure = numerator * 4 / beatValue;
     const beatDuration = 60 / tempo;
     const quantizeStep = 0.25;
 
@@ -145,8 +185,13 @@ class SheetGenerator {
     const bassMap = new Map();
 
     const addToMap = (map, note) => {
-      const startBeat = this.quantize(note.time / beatDuration, quantizeStep);
-      let durationBeats = this.quantize(note.duration / beatDuration, quantizeStep);
+      // Prefer tick-based beats (tempo map aware); fall back to seconds at a fixed tempo
+      const rawStart = Number.isFinite(note.beat) ? note.beat : note.time / beatDuration;
+      const rawDuration = Number.isFinite(note.durationBeats) ? note.durationBeats : note.duration / beatDuration;
+
+      // Onsets may land on beat 0; only durations need the one-step minimum
+      const startBeat = Math.round(rawStart / quantizeStep) * quantizeStep;
+      let durationBeats = this.quantize(rawDuration, quantizeStep);
       durationBeats = Math.max(quantizeStep, durationBeats);
 
       const measureIndex = Math.floor(startBeat / beatsPerMeasure);
@@ -192,25 +237,29 @@ class SheetGenerator {
       measuresTreble: buildArray(trebleMap),
       measuresBass: buildArray(bassMap),
       beatsPerMeasure,
+      numerator,
       beatValue
     };
   }
 
-  buildTickables(events, beatsPerMeasure, restKey) {
+  /**
+   * Notes and rests for one staff of a measure. Notes longer than one note
+   * value are split into tied notes; ties are returned separately because
+   * they are drawn after the voice.
+   */
+  buildTickables(events, beatsPerMeasure, restKey, keySignature = 'C') {
     const tickables = [];
+    const ties = [];
+    const accidentalState = new Map();
     let cursor = 0;
 
     const addRest = (beats) => {
-      let remaining = beats;
-      while (remaining > 1e-3) {
-        const segment = Math.min(remaining, 4);
-        const dur = this.beatsToDuration(segment).dur + 'r';
+      this.splitBeats(beats).forEach(segment => {
         tickables.push(new Vex.StaveNote({
           keys: [restKey],
-          duration: dur
+          duration: `${NOTE_DURATIONS[segment]}r`
         }));
-        remaining -= segment;
-      }
+      });
     };
 
     events.forEach(event => {
@@ -219,30 +268,36 @@ class SheetGenerator {
         cursor = event.startBeat;
       }
 
-      let remaining = Math.min(event.durationBeats, beatsPerMeasure - cursor);
-      if (remaining <= 0) {
+      const length = Math.min(event.durationBeats, beatsPerMeasure - cursor);
+      if (length <= 0) {
         return;
       }
 
-      const keys = event.notes
-        .sort((a, b) => a - b)
-        .map(midi => this.midiToKey(midi));
-
-      while (remaining > 1e-3 && cursor < beatsPerMeasure - 1e-6) {
-        const segment = Math.min(remaining, beatsPerMeasure - cursor);
-        const { dur } = this.beatsToDuration(segment);
+      const midis = event.notes.sort((a, b) => a - b);
+      const keys = midis.map(midi => this.midiToKey(midi, keySignature));
+      const indexes = keys.map((_, index) => index);
+      let previous = null;
 
+      this.splitBeats(length).forEach(segment => {
         const staveNote = new Vex.StaveNote({
           keys,
-          duration: dur
+          duration: NOTE_DURATIONS[segment]
         });
-
-        this.addAccidentals(staveNote, keys);
+        this.addAccidentals(staveNote, midis, keySignature, accidentalState);
         tickables.push(staveNote);
 
-        cursor += segment;
-        remaining -= segment;
-      }
+        if (previous) {
+          ties.push(new Vex.StaveTie({
+            firstNote: previous,
+            lastNote: staveNote,
+            firstIndexes: indexes,
+            lastIndexes: indexes
+          }));
+        }
+        previous = staveNote;
+      });
+
+      cursor += length;
     });
 
     if (cursor < beatsPerMeasure) {
@@ -253,154 +308,309 @@ class SheetGenerator {
       tickables.push(new Vex.StaveNote({ keys: [restKey], duration: 'wr' }));
     }
 
-    return tickables;
+    return { tickables, ties };
   }
 
-  async generatePianoStaff(metadata) {
-    const canvas = createCanvas(800, 1100);
-    const rawContext = canvas.getContext('2d');
-    const context2d = new Vex.CanvasContext(rawContext);
+  /**
+   * Estimate the width a measure needs from its note density.
+   */
+  measureMinWidth(trebleEvents, bassEvents) {
+    const density = Math.max(trebleEvents.length, bassEvents.length);
+    return this.layout.minMeasureWidth + density * this.layout.widthPerEvent;
+  }
 
-    rawContext.fillStyle = 'white';
-    rawContext.fillRect(0, 0, canvas.width, canvas.height);
+  /**
+   * Group measures into systems (lines). Dense measures take more room, so a
+   * line holds as many measures as fit the page width.
+   * Returns [{ start, widths }] where widths include the clef/key/time sig prefix.
+   */
+  layoutSystems(measuresTreble, measuresBass, totalMeasures, keySignature = 'C') {
+    const {
+      pageWidth,
+      margin,
+      clefWidth,
+      keyAccidentalWidth,
+      timeSignatureWidth,
+      maxMeasuresPerSystem
+    } = this.layout;
+    const usableWidth = pageWidth - margin * 2;
+    const keyWidth = Math.abs(keyToFifths(keySignature)) * keyAccidentalWidth;
+    const systems = [];
+    let start = 0;
+
+    while (start < totalMeasures) {
+      const prefix = clefWidth + keyWidth + (systems.length === 0 ? timeSignatureWidth : 0);
+      const widths = [];
+      let used = prefix;
+
+      while (start + widths.length < totalMeasures && widths.length < maxMeasuresPerSystem) {
+        const index = start + widths.length;
+        const width = this.measureMinWidth(measuresTreble[index] || [], measuresBass[index] || []);
+        if (widths.length > 0 && used + width > usableWidth) {
+          break;
+        }
+        widths.push(width);
+        used += width;
+      }
 
-    const timeSignature = metadata.timeSignature || '4/4';
-    const tempo = metadata.tempo || 120;
+      // Stretch measures to fill the line, except a short final line
+      const natural = widths.reduce((sum, width) => sum + width, 0);
+      const available = usableWidth - prefix;
+      const isLastSystem = start + widths.length >= totalMeasures;
+      const scale = isLastSystem && natural < available * 0.6 ? 1 : available / natural;
 
-    const {
-      measuresTreble,
-      measuresBass,
-      beatsPerMeasure,
-      beatValue
-    } = this.buildMeasures(metadata.rightNotes, metadata.leftNotes, tempo, timeSignature);
+      const scaled = widths.map(width => width * scale);
+      scaled[0] += prefix;
 
-    const totalMeasures = Math.max(measuresTreble.length, measuresBass.length);
-    if (totalMeasures === 0) {
-      return canvas;
+      systems.push({ start, widths: scaled });
+      start += widths.length;
     }
 
-    const margin = 20;
-    const measuresPerLine = 4;
-    const measureWidth = (canvas.width - margin * 2) / measuresPerLine;
-    const lineHeight = 160;
+    return systems;
+  }
+
+  /**
+   * Assign systems to pages. The first page reserves room for the title.
+   * Returns an array of pages, each an array of systems with a y position.
+   */
+  paginateSystems(systems) {
+    const { pageHeight, margin, headerHeight, footerHeight, systemHeight } = this.layout;
+    const bottom = pageHeight - margin - footerHeight;
+    const pages = [];
+    let current = [];
+    let y = margin + headerHeight;
+
+    systems.forEach(system => {
+      if (current.length > 0 && y + systemHeight > bottom) {
+        pages.push(current);
+        current = [];
+        y = margin;
+      }
+      current.push({ ...system, y });
+      y += systemHeight;
+    });
+
+    if (current.length > 0 || pages.length === 0) {
+      pages.push(current);
+    }
+
+    return pages;
+  }
+
+  createPageCanvas() {
+    const canvas = createCanvas(this.layout.pageWidth, this.layout.pageHeight);
+    const rawContext = canvas.getContext('2d');
+
+    rawContext.fillStyle = 'white';
+    rawContext.fillRect(0, 0, canvas.width, canvas.height);
+
+    return { canvas, rawContext, context2d: new Vex.CanvasContext(rawContext) };
+  }
 
-    let currentMeasure = 0;
-    let line = 0;
+  drawPageText(rawContext, pageIndex, pageCount, title) {
+    const { pageWidth, pageHeight, margin, headerHeight } = this.layout;
 
-    while (currentMeasure < totalMeasures && margin + line * lineHeight + 120 < canvas.height) {
-      const y = margin + line * lineHeight;
+    rawContext.save();
+    rawContext.fillStyle = 'black';
+    rawContext.textAlign = 'center';
 
-      for (let i = 0; i < measuresPerLine && currentMeasure < totalMeasures; i++) {
-        const x = margin + i * measureWidth;
+    if (pageIndex === 0) {
+      rawContext.font = 'bold 22px Arial';
+      rawContext.fillText(title || 'Piano Sheet Music', pageWidth / 2, margin + headerHeight / 2);
+    }
 
-        const trebleStave = new Vex.Stave(x, y, measureWidth);
-        const bassStave = new Vex.Stave(x, y + 70, measureWidth);
+    rawContext.font = '12px Arial';
+    rawContext.fillStyle = '#666';
+    rawContext.fillText(`${pageIndex + 1} / ${pageCount}`, pageWidth / 2, pageHeight - margin);
+    rawContext.restore();
+  }
 
-        if (currentMeasure === 0 && i === 0) {
-          trebleStave.addClef('treble');
+  drawSystem(context2d, system, score) {
+    const { margin, bassOffset } = this.layout;
+    const {
+      measuresTreble,
+      measuresBass,
+      beatsPerMeasure,
+      numerator,
+      beatValue,
+      timeSignature,
+      keySignature
+    } = score;
+    let x = margin;
+
+    system.widths.forEach((measureWidth, i) => {
+      const measureIndex = system.start + i;
+
+      const trebleStave = new Vex.Stave(x, system.y, measureWidth);
+      const bassStave = new Vex.Stave(x, system.y + bassOffset, measureWidth);
+
+      if (i === 0) {
+        trebleStave.addClef('treble');
+        bassStave.addClef('bass');
+        trebleStave.addKeySignature(keySignature);
+        bassStave.addKeySignature(keySignature);
+        if (measureIndex === 0) {
           trebleStave.addTimeSignature(timeSignature);
-          bassStave.addClef('bass');
           bassStave.addTimeSignature(timeSignature);
+        } else {
+          trebleStave.setMeasure(measureIndex + 1);
         }
+      }
 
-        trebleStave.setContext(context2d).draw();
-        bassStave.setContext(context2d).draw();
-
-        if (i === 0) {
-          new Vex.StaveConnector(trebleStave, bassStave)
-            .setType(Vex.StaveConnector.type.BRACE)
-            .setContext(context2d)
-            .draw();
-          new Vex.StaveConnector(trebleStave, bassStave)
-            .setType(Vex.StaveConnector.type.SINGLE_LEFT)
-            .setContext(context2d)
-            .draw();
-        }
+      trebleStave.setContext(context2d).draw();
+      bassStave.setContext(context2d).draw();
 
+      if (i === 0) {
+        new Vex.StaveConnector(trebleStave, bassStave)
+          .setType(Vex.StaveConnector.type.BRACE)
+          .setContext(context2d)
+          .draw();
         new Vex.StaveConnector(trebleStave, bassStave)
-          .setType(Vex.StaveConnector.type.SINGLE_RIGHT)
+          .setType(Vex.StaveConnector.type.SINGLE_LEFT)
           .setContext(context2d)
           .draw();
+      }
+
+      new Vex.StaveConnector(trebleStave, bassStave)
+        .setType(Vex.StaveConnector.type.SINGLE_RIGHT)
+        .setContext(context2d)
+        .draw();
+
+      const trebleEvents = measuresTreble[measureIndex] || [];
+      const bassEvents = measuresBass[measureIndex] || [];
+
+      const treble = this.buildTickables(trebleEvents, beatsPerMeasure, 'b/4', keySignature);
+      const bass = this.buildTickables(bassEvents, beatsPerMeasure, 'd/3', keySignature);
+
+      const trebleVoice = new Vex.Voice({
+        num_beats: numerator,
+        beat_value: beatValue
+      }).setStrict(false).addTickables(treble.tickables);
+
+      const bassVoice = new Vex.Voice({
+        num_beats: numerator,
+        beat_value: beatValue
+      }).setStrict(false).addTickables(bass.tickables);
+
+      // Format within the space left after clef/time signature modifiers
+      const noteWidth = Math.max(
+        20,
+        Math.min(trebleStave.getNoteEndX(), bassStave.getNoteEndX()) -
+          Math.max(trebleStave.getNoteStartX(), bassStave.getNoteStartX()) - 10
+      );
 
-        const trebleEvents = measuresTreble[currentMeasure] || [];
-        const bassEvents = measuresBass[currentMeasure] || [];
+      const formatter = new Vex.Formatter();
+      formatter.joinVoices([trebleVoice]).format([trebleVoice], noteWidth);
+      formatter.joinVoices([bassVoice]).format([bassVoice], noteWidth);
 
-        const trebleTickables = this.buildTickables(trebleEvents, beatsPerMeasure, 'b/4');
-        const bassTickables = this.buildTickables(bassEvents, beatsPerMeasure, 'd/3');
+      trebleVoice.draw(context2d, trebleStave);
+      bassVoice.draw(context2d, bassStave);
+      [...treble.ties, ...bass.ties].forEach(tie => tie.setContext(context2d).draw());
 
-        const trebleVoice = new Vex.Voice({
-          num_beats: beatsPerMeasure,
-          beat_value: beatValue
-        }).setStrict(false).addTickables(trebleTickables);
+      x += measureWidth;
+    });
+  }
+
+  /**
+   * Lay out the full score and draw one canvas per page.
+   */
+  async generatePianoStaff(metadata) {
+    const timeSignature = metadata.timeSignature || '4/4';
+    const tempo = metadata.tempo || 120;
+    const keySignature = metadata.keySignature || 'C';
 
-        const bassVoice = new Vex.Voice({
-          num_beats: beatsPerMeasure,
-          beat_value: beatValue
-        }).setStrict(false).addTickables(bassTickables);
+    const {
+      measuresTreble,
+      measuresBass,
+      beatsPerMeasure,
+      numerator,
+      beatValue
+    } = this.buildMeasures(metadata.rightNotes, metadata.leftNotes, tempo, timeSignature);
 
-        const formatter = new Vex.Formatter();
-        formatter.joinVoices([trebleVoice]).format([trebleVoice], measureWidth - 10);
-        formatter.joinVoices([bassVoice]).format([bassVoice], measureWidth - 10);
+    const totalMeasures = Math.max(measuresTreble.length, measuresBass.length);
 
-        trebleVoice.draw(context2d, trebleStave);
-        bassVoice.draw(context2d, bassStave);
+    const systems = this.layoutSystems(measuresTreble, measuresBass, totalMeasures, keySignature);
+    const pages = this.paginateSystems(systems);
+    const score = {
+      measuresTreble,
+      measuresBass,
+      beatsPerMeasure,
+      numerator,
+      beatValue,
+      timeSignature,
+      keySignature
+    };
 
-        currentMeasure += 1;
+    const canvases = [];
+    for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
+      if (this.isCancelled) {
+        throw new Error('Sheet generation cancelled');
       }
 
-      line += 1;
+      const { canvas, rawContext, context2d } = this.createPageCanvas();
+      this.drawPageText(rawContext, pageIndex, pages.length, metadata.title);
+      pages[pageIndex].forEach(system => this.drawSystem(context2d, system, score));
+      canvases.push(canvas);
     }
 
-    return canvas;
+    return canvases;
   }
 
   async createVexFlowScore(metadata) {
     try {
-      // Create the piano staff with VexFlow
-      const canvas = await this.generatePianoStaff(metadata);
-      return canvas;
+      // Create the paginated piano staff with VexFlow
+      const pages = await this.generatePianoStaff(metadata);
+      return pages;
     } catch (error) {
       throw new Error(`Failed to create score: ${error.message}`);
     }
   }
 
   async renderToCanvas(score) {
-    // The score is already a canvas from VexFlow
+    // The score is already a list of page canvases from VexFlow
     return score;
   }
 
-  async exportToPdf(canvas, outputPath, videoTitle) {
+  async exportToPdf(pages, outputPath, videoTitle) {
     try {
-      // Convert canvas to data URL
-      const dataUrl = canvas.toDataURL('image/png');
+      const canvases = Array.isArray(pages) ? pages : [pages];
+
+      // One PDF page per canvas page (title is drawn on the first canvas)
+      const pageHtml = canvases
+        .map((canvas, i) => `<div class="page"><img src="${canvas.toDataURL('image/png')}" alt="Sheet Music page ${i + 1}" /></div>`)
+        .join('\n');
 
-      // Create HTML with the image
       const html = `
         <!DOCTYPE html>
         <html>
         <head>
+          <title>${escapeHtml(videoTitle || 'Piano Sheet Music')}</title>
           <style>
+            @page {
+              size: Letter;
+              margin: 0;
+            }
             body {
               margin: 0;
-              padding: 20px;
-              font-family: Arial, sans-serif;
             }
-            h1 {
-              text-align: center;
-              margin-bottom: 20px;
+            .page {
+              width: 8.5in;
+              height: 11in;
+              overflow: hidden;
+              page-break-after: always;
+            }
+            .page:last-child {
+              page-break-after: auto;
             }
             img {
-              max-width: 100%;
+              width: 100%;
               height: auto;
+              display: block;
             }
           </style>
         </head>
         <body>
-          <h1>${videoTitle || 'Piano Sheet Music'}</h1>
-          <img src="${dataUrl}" alt="Sheet Music" />
-          <p style="text-align: center; margin-top: 20px; color: #666;">
-            Generated by YouTube to Piano Sheet Music
-          </p>
+          ${pageHtml}
         </body>
         </html>
       `;
@@ -411,22 +621,26 @@ class SheetGenerator {
         args: ['--no-sandbox', '--disable-setuid-sandbox']
       });
 
-      const page = await browser.newPage();
-      await page.setContent(html, { waitUntil: 'networkidle0' });
-
-      await page.pdf({
-        path: outputPath,
-        format: 'Letter',
-        printBackground: true,
-        margin: {
-          top: '20px',
-          right: '20px',
-          bottom: '20px',
-          left: '20px'
-        }
-      });
-
-      await browser.close();
+      // Close the browser on failure too, or every failed job leaves one running
+      try {
+        const page = await browser.newPage();
+        await page.setContent(html, { waitUntil: 'networkidle0' });
+
+        await page.pdf({
+          path: outputPath,
+          format: 'Letter',
+          printBackground: true,
+          preferCSSPageSize: true,
+          margin: {
+            top: '0px',
+            right: '0px',
+            bottom: '0px',
+            left: '0px'
+          }
+        });
+      } finally {
+        await browser.close();
+      }
 
       return outputPath;
     } catch (error) {
@@ -434,10 +648,15 @@ class SheetGenerator {
     }
   }
 
-  async generateSheetMusic(midiPath, videoTitle, progressCallback) {
+  /**
+   * Render a MIDI file to a PDF score.
+   * options.outputDir: destination folder (defaults to the output root)
+   * options.filename: PDF file name (defaults to "<videoTitle>.pdf")
+   */
+  async generateSheetMusic(midiPath, videoTitle, progressCallback, options = {}) {
     this.isCancelled = false;
 
-    const outputFilename = fileManager.sanitizeFilename(`${videoTitle || 'sheet-music'}.pdf`);
+    const outputFilename = fileManager.sanitizeFilename(options.filename || `${videoTitle || 'sheet-music'}.pdf`);
     const outputPath = fileManager.getTempPath(outputFilename);
 
     try {
@@ -447,6 +666,7 @@ class SheetGenerator {
 
       // Parse MIDI file
       const midiData = await this.parseMidiFile(midiPath);
+      midiData.title = videoTitle;
 
       if (this.isCancelled) {
         throw new Error('Sheet generation cancelled');
@@ -467,8 +687,8 @@ class SheetGenerator {
         progressCallback(60, 'Rendering to canvas...');
       }
 
-      // Render to canvas
-      const canvas = await this.renderToCanvas(score);
+      // Render to page canvases
+      const pages = await this.renderToCanvas(score);
 
       if (this.isCancelled) {
         throw new Error('Sheet generation cancelled');
@@ -479,14 +699,20 @@ class SheetGenerator {
       }
 
       // Export to PDF
-      await this.exportToPdf(canvas, outputPath, videoTitle);
+      await this.exportToPdf(pages, outputPath, videoTitle);
+
+      if (this.isCancelled) {
+        throw new Error('Sheet generation cancelled');
+      }
 
       if (progressCallback) {
         progressCallback(100, 'PDF generation complete');
       }
 
-      // Move to output directory
-      const finalPath = await fileManager.moveToOutput(outputPath, outputFilename);
+      // Move to output directory (or the song's subfolder when given)
+      const finalPath = options.outputDir
+        ? await fileManager.moveToDir(outputPath, options.outputDir, outputFilename)
+        : await fileManager.moveToOutput(outputPath, outputFilename);
 
       return {
         filePath: finalPath,
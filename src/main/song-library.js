@@ -0,0 +1,339 @@
+const fs = require('fs-extra');
+const path = require('path');
+const appPaths = require('./app-paths');
+const fileManager = require('./file-manager');
+const songManifest = require('./song-manifest');
+
+// Song library: one record per output/<folder>/ (and per loose .mid file in
+// output/) with the song.json fields used for search and filtering, plus
+// user tags and favorites. Saved in library.json; a record is re-read from
+// its folder only when the folder or its song.json changed. Paths are
+// resolved against the current output folder, so records survive a move.
+//
+// Record: { id, loose, title, uploader, url, videoId, filePath, fileHash,
+//           duration, bpm, key, timeSignature, charts: [{ file, difficulty }],
+//           audioFile, videoFile, vocal: { instrumental, vocals, chart } | null,
+//           tags, favorite, addedAt, updatedAt, stamp }
+// Version 1 stored absolute folder paths; older records are re-read on load
+const LIBRARY_VERSION = 2;
+
+const SORTS = {
+  recent: (a, b) => b.updatedAt - a.updatedAt,
+  title: (a, b) => a.title.localeCompare(b.title),
+  bpm: (a, b) => (a.bpm ?? Infinity) - (b.bpm ?? Infinity),
+  duration: (a, b) => (a.duration ?? Infinity) - (b.duration ?? Infinity)
+};
+
+function normalizeText(text) {
+  return String(text || '').normalize('NFKC').toLowerCase();
+}
+
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list
+    .map(tag => String(tag).trim().replace(/^#/, ''))
+    .filter(Boolean))];
+}
+
+class SongLibrary {
+  constructor() {
+    this.libraryFile = appPaths.dataFile('library.json');
+    this.songs = {};
+    this.isLoaded = false;
+    this.syncing = null;
+  }
+
+  async load() {
+    if (this.isLoaded) return;
+    this.isLoaded = true;
+
+    if (await fs.pathExists(this.libraryFile)) {
+      try {
+        const saved = await fs.readJson(this.libraryFile);
+        this.songs = saved.songs || {};
+        if ((saved.version || 1) < LIBRARY_VERSION) {
+          Object.values(this.songs).forEach(song => {
+            song.stamp = null;
+          });
+        }
+      } catch (error) {
+        console.error('Failed to load song library:', error);
+        this.songs = {};
+      }
+    }
+  }
+
+  async save() {
+    const tempFile = `${this.libraryFile}.tmp`;
+    try {
+      await fs.writeJson(tempFile, { version: LIBRARY_VERSION, songs: this.songs }, { spaces: 2 });
+      await fs.rename(tempFile, this.libraryFile);
+    } catch (error) {
+      console.error('Failed to save song library:', error);
+    }
+  }
+
+  /**
+   * Bring the library in line with the output folder (concurrent callers
+   * share one pass).
+   */
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this.runSync().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  /**
+   * Run fn (an output folder move) with syncing held off until it is done,
+   * so songs that are mid-move are not dropped along with their tags.
+   */
+  async holdSync(fn) {
+    await this.sync();
+    const run = fn();
+    this.syncing = run
+      .catch(() => {})
+      .then(() => this.runSync())
+      .catch(error => console.error('Song library sync failed:', error))
+      .finally(() => {
+        this.syncing = null;
+      });
+    return run;
+  }
+
+  async runSync() {
+    await this.load();
+    await fileManager.initialize();
+
+    const outputDir = fileManager.getOutputDir();
+    const seen = new Set();
+    let changed = false;
+
+    const entries = await fs.readdir(outputDir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      const fullPath = path.join(outputDir, entry.name);
+      const isLooseMidi = !entry.isDirectory() && path.extname(entry.name).toLowerCase() === '.mid';
+      if (!entry.isDirectory() && !isLooseMidi) continue;
+
+      seen.add(entry.name);
+      const stamp = await this.getStamp(fullPath, entry.isDirectory());
+      const previous = this.songs[entry.name];
+      if (previous && previous.stamp === stamp) continue;
+
+      const record = entry.isDirectory()
+        ? await this.readSongDir(fullPath)
+        : this.readLooseMidi(entry.name);
+
+      if (record) {
+        this.songs[entry.name] = {
+          ...record,
+          id: entry.name,
+          tags: previous ? previous.tags : [],
+          favorite: previous ? previous.favorite : false,
+          addedAt: previous ? previous.addedAt : Date.now(),
+          updatedAt: record.updatedAt || stamp,
+          stamp
+        };
+      } else {
+        delete this.songs[entry.name];
+      }
+      changed = true;
+    }
+
+    for (const id of Object.keys(this.songs)) {
+      if (!seen.has(id)) {
+        delete this.songs[id];
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Change marker for a folder: adding or removing a file changes the
+   * folder's mtime, rewriting song.json changes its own.
+   */
+  async getStamp(fullPath, isDirectory) {
+    const stat = await fs.stat(fullPath);
+    if (!isDirectory) {
+      return Math.round(stat.mtimeMs);
+    }
+
+    const manifestPath = path.join(fullPath, songManifest.MANIFEST_FILE);
+    const manifestStat = await fs.stat(manifestPath).catch(() => null);
+    return Math.round(Math.max(stat.mtimeMs, manifestStat ? manifestStat.mtimeMs : 0));
+  }
+
+  async readSongDir(dir) {
+    const manifest = await songManifest.readManifest(dir);
+    if (!manifest) {
+      return null;
+    }
+
+    // Artifacts whose files were deleted by hand are left out
+    const files = new Set(await fs.readdir(dir));
+    const present = (type) => songManifest.findArtifacts(manifest, type).filter(item => files.has(item.file));
+    const fileOf = (type) => (present(type)[0] ? present(type)[0].file : null);
+
+    const vocal = {
+      instrumental: fileOf('instrumental'),
+      vocals: fileOf('vocals'),
+      chart: fileOf('vocal-chart')
+    };
+
+    return {
+      loose: false,
+      title: manifest.title,
+      uploader: manifest.source.uploader,
+      url: manifest.source.url,
+      videoId: manifest.source.videoId,
+      filePath: manifest.source.filePath,
+      fileHash: manifest.source.fileHash,
+      duration: manifest.source.duration,
+      bpm: manifest.analysis.bpm,
+      key: manifest.analysis.key,
+      timeSignature: manifest.analysis.timeSignature,
+      charts: present('midi').map(item => ({ file: item.file, difficulty: item.difficulty || 'unknown' })),
+      audioFile: fileOf('audio'),
+      videoFile: fileOf('video'),
+      vocal: Object.values(vocal).every(Boolean) ? vocal : null,
+      updatedAt: manifest.updatedAt
+    };
+  }
+
+  readLooseMidi(file) {
+    const tagMatch = file.match(/^\[(.*?)\]/);
+    return {
+      loose: true,
+      title: path.basename(file, path.extname(file)).replace(/^\[.*?\]\s*/, ''),
+      uploader: null,
+      url: null,
+      videoId: null,
+      filePath: null,
+      fileHash: null,
+      duration: null,
+      bpm: null,
+      key: null,
+      timeSignature: null,
+      charts: [{ file, difficulty: tagMatch ? tagMatch[1] : 'unknown' }],
+      audioFile: null,
+      videoFile: null,
+      vocal: null,
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Search the library. filters: { text, tags, favorite, difficulty,
+   * bpmMin, bpmMax, key, durationMin, durationMax (seconds), sort }.
+   * "#tag" words in text filter by tag; other words must all appear in the
+   * title, uploader or tags. Returns { songs, tags, keys }.
+   */
+  async query(filters = {}) {
+    await this.sync();
+
+    const words = normalizeText(filters.text).split(/\s+/).filter(Boolean);
+    const tagFilter = normalizeTags([
+      ...normalizeTags(filters.tags),
+      ...words.filter(word => word.startsWith('#'))
+    ]).map(normalizeText);
+    const textWords = words.filter(word => !word.startsWith('#'));
+    const inRange = (value, min, max) => {
+      if (min == null && max == null) return true;
+      if (value == null) return false;
+      return (min == null || value >= min) && (max == null || value <= max);
+    };
+
+    const allSongs = Object.values(this.songs);
+    const songs = allSongs.filter(song => {
+      const tags = song.tags.map(normalizeText);
+      const haystack = normalizeText(`${song.title} ${song.uploader || ''} ${song.tags.join(' ')}`);
+
+      if (!textWords.every(word => haystack.includes(word))) return false;
+      if (!tagFilter.every(tag => tags.includes(tag))) return false;
+      if (filters.favorite && !song.favorite) return false;
+      if (filters.difficulty === 'vocal') {
+        if (!song.vocal) return false;
+      } else if (filters.difficulty && !song.charts.some(chart => chart.difficulty === filters.difficulty)) {
+        return false;
+      }
+      if (filters.key && song.key !== filters.key) return false;
+      if (!inRange(song.bpm, filters.bpmMin, filters.bpmMax)) return false;
+      if (!inRange(song.duration, filters.durationMin, filters.durationMax)) return false;
+      return true;
+    });
+
+    songs.sort(SORTS[filters.sort] || SORTS.recent);
+
+    return {
+      songs: songs.map(song => this.toResult(song)),
+      tags: [...new Set(allSongs.flatMap(song => song.tags))].sort((a, b) => a.localeCompare(b)),
+      keys: [...new Set(allSongs.map(song => song.key).filter(Boolean))].sort()
+    };
+  }
+
+  /**
+   * Record with absolute paths for the renderer.
+   */
+  toResult(song) {
+    const outputDir = fileManager.getOutputDir();
+    const dir = song.loose ? outputDir : path.join(outputDir, song.id);
+    const resolve = (file) => (file ? path.join(dir, file) : null);
+    return {
+      id: song.id,
+      title: song.title,
+      uploader: song.uploader,
+      url: song.url,
+      videoId: song.videoId,
+      filePath: song.filePath,
+      fileHash: song.fileHash,
+      duration: song.duration,
+      bpm: song.bpm,
+      key: song.key,
+      timeSignature: song.timeSignature,
+      tags: [...song.tags],
+      favorite: song.favorite,
+      updatedAt: song.updatedAt,
+      dir,
+      charts: song.charts.map(chart => ({ ...chart, path: resolve(chart.file) })),
+      audioPath: resolve(song.audioFile),
+      videoPath: resolve(song.videoFile),
+      vocal: song.vocal ? {
+        instrumentalPath: resolve(song.vocal.instrumental),
+        vocalsPath: resolve(song.vocal.vocals),
+        chartPath: resolve(song.vocal.chart)
+      } : null
+    };
+  }
+
+  getSong(id) {
+    const song = this.songs[id];
+    if (!song) {
+      throw new Error('Song not found');
+    }
+    return song;
+  }
+
+  async setFavorite(id, favorite) {
+    await this.load();
+    const song = this.getSong(id);
+    song.favorite = Boolean(favorite);
+    await this.save();
+    return this.toResult(song);
+  }
+
+  async setTags(id, tags) {
+    await this.load();
+    const song = this.getSong(id);
+    song.tags = normalizeTags(tags);
+    await this.save();
+    return this.toResult(song);
+  }
+}
+
+module.exports = new SongLibrary();
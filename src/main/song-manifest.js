@@ -0,0 +1,205 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Per-song manifest: output/<title>/song.json describes where the song came
+// from, what was detected and every file generated into the folder.
+//
+// { version, title, createdAt, updatedAt,
+//   source: { url, videoId, filePath, fileHash, uploader, duration, clip },
+//   analysis: { bpm, key, timeSignature },
+//   artifacts: [{ type, file, ... }] }
+//
+// Artifact types: audio, video, midi, pdf, musicxml, activations,
+// instrumental, vocals, vocal-chart. "file" is relative to the song folder;
+// pdf/musicxml name the MIDI they were rendered from in "chart", and midi
+// artifacts carry { difficulty, settings, params }.
+//
+// Folders converted before song.json existed are read from metadata.json
+// and the file names; the first update writes song.json and removes
+// metadata.json.
+const MANIFEST_FILE = 'song.json';
+const MANIFEST_VERSION = 1;
+const LEGACY_METADATA_FILE = 'metadata.json';
+
+const VOCAL_FILES = {
+  'instrumental.mp3': 'instrumental',
+  'vocals.mp3': 'vocals',
+  'vocal-chart.mid': 'vocal-chart'
+};
+
+function parseVideoId(url) {
+  const match = (url || '').match(/(?:v=|youtu\.be\/)([a-zA-Z0-9_-]{11})/);
+  return match ? match[1] : null;
+}
+
+function createManifest(title) {
+  const now = Date.now();
+  return {
+    version: MANIFEST_VERSION,
+    title,
+    createdAt: now,
+    updatedAt: now,
+    source: {
+      url: null,
+      videoId: null,
+      filePath: null,
+      fileHash: null,
+      uploader: null,
+      duration: null,
+      clip: null
+    },
+    analysis: {
+      bpm: null,
+      key: null,
+      timeSignature: null
+    },
+    artifacts: []
+  };
+}
+
+/**
+ * Read a song folder's manifest. Returns null when the folder has neither
+ * song.json nor any recognizable files.
+ */
+async function readManifest(songDir) {
+  const manifestPath = path.join(songDir, MANIFEST_FILE);
+  if (await fs.pathExists(manifestPath)) {
+    try {
+      const manifest = await fs.readJson(manifestPath);
+      return {
+        ...createManifest(path.basename(songDir)),
+        ...manifest,
+        source: { ...createManifest().source, ...manifest.source },
+        analysis: { ...createManifest().analysis, ...manifest.analysis },
+        artifacts: Array.isArray(manifest.artifacts) ? manifest.artifacts : []
+      };
+    } catch (error) {
+      console.error(`Failed to read ${manifestPath}, rebuilding from files:`, error);
+    }
+  }
+
+  return buildLegacyManifest(songDir);
+}
+
+/**
+ * Manifest for a folder without song.json, from metadata.json (source,
+ * charts) and the file names ("[초급] title.mid", instrumental.mp3, ...).
+ */
+async function buildLegacyManifest(songDir) {
+  let files;
+  try {
+    files = await fs.readdir(songDir);
+  } catch (error) {
+    return null;
+  }
+
+  const metadataPath = path.join(songDir, LEGACY_METADATA_FILE);
+  const metadata = await fs.pathExists(metadataPath)
+    ? await fs.readJson(metadataPath).catch(() => ({}))
+    : {};
+  const charts = metadata.charts || {};
+
+  const manifest = createManifest(metadata.title || path.basename(songDir));
+  manifest.source.url = metadata.url || null;
+  manifest.source.videoId = parseVideoId(metadata.url);
+  manifest.source.filePath = metadata.filePath || null;
+  manifest.source.clip = metadata.clip || null;
+  if (metadata.createdAt) {
+    manifest.createdAt = metadata.createdAt;
+    manifest.updatedAt = metadata.createdAt;
+  }
+
+  for (const file of files) {
+    const ext = path.extname(file).toLowerCase();
+    const base = path.basename(file, path.extname(file));
+
+    if (VOCAL_FILES[file]) {
+      manifest.artifacts.push({ type: VOCAL_FILES[file], file });
+    } else if (ext === '.mid') {
+      const chart = charts[file] || {};
+      const tagMatch = file.match(/^\[(.*?)\]/);
+      manifest.artifacts.push({
+        type: 'midi',
+        file,
+        difficulty: tagMatch ? tagMatch[1] : null,
+        settings: chart.qualityMode ? {
+          qualityMode: chart.qualityMode,
+          issueOffbeat: Boolean(chart.issueOffbeat),
+          issueWrongNotes: Boolean(chart.issueWrongNotes),
+          paramPresetName: chart.paramPresetName || null,
+          customParams: chart.customParams || {}
+        } : null,
+        params: chart.params || null,
+        createdAt: chart.createdAt || null
+      });
+    } else if (ext === '.pdf' || ext === '.musicxml' || ext === '.mxl') {
+      const chartFile = `${base}.mid`;
+      manifest.artifacts.push({
+        type: ext === '.pdf' ? 'pdf' : 'musicxml',
+        file,
+        chart: files.includes(chartFile) ? chartFile : null
+      });
+    } else if (ext === '.mp3') {
+      manifest.artifacts.push({ type: 'audio', file });
+    } else if (ext === '.mp4') {
+      manifest.artifacts.push({ type: 'video', file });
+    }
+  }
+
+  if (await fs.pathExists(path.join(songDir, 'raw', 'activations.json'))) {
+    manifest.artifacts.push({ type: 'activations', file: 'raw/activations.json' });
+  }
+
+  if (manifest.artifacts.length === 0 && !metadata.title) {
+    return null;
+  }
+  return manifest;
+}
+
+/**
+ * Read, change and save a song's manifest. update(manifest) mutates it in
+ * place; the file is written to a temp name and renamed so a crash never
+ * leaves a half-written song.json.
+ */
+async function updateManifest(songDir, update) {
+  const manifest = (await readManifest(songDir)) || createManifest(path.basename(songDir));
+  await update(manifest);
+  manifest.version = MANIFEST_VERSION;
+  manifest.updatedAt = Date.now();
+
+  const manifestPath = path.join(songDir, MANIFEST_FILE);
+  await fs.writeJson(`${manifestPath}.tmp`, manifest, { spaces: 2 });
+  await fs.rename(`${manifestPath}.tmp`, manifestPath);
+
+  // song.json replaces metadata.json (its fields were folded in on read)
+  await fs.remove(path.join(songDir, LEGACY_METADATA_FILE));
+
+  return manifest;
+}
+
+/**
+ * Add an artifact to a manifest, replacing any earlier entry for the same file.
+ */
+function setArtifact(manifest, artifact) {
+  manifest.artifacts = manifest.artifacts.filter(item => item.file !== artifact.file);
+  manifest.artifacts.push({ createdAt: Date.now(), ...artifact });
+}
+
+function findArtifacts(manifest, type) {
+  return manifest.artifacts.filter(item => item.type === type);
+}
+
+function findArtifact(manifest, type) {
+  return findArtifacts(manifest, type)[0] || null;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  parseVideoId,
+  createManifest,
+  readManifest,
+  updateManifest,
+  setArtifact,
+  findArtifacts,
+  findArtifact
+};
@@ -1,4 +1,5 @@
 import argparse
+import os
 import subprocess
 import sys
 
@@ -10,6 +11,18 @@ def main() -> int:
     parser.add_argument("--preset", default="spleeter:2stems")
     args = parser.parse_args()
 
+    print(f"Input file: {args.input}", file=sys.stderr)
+    print(f"Output directory: {args.output}", file=sys.stderr)
+    print(f"Preset: {args.preset}", file=sys.stderr)
+
+    if not os.path.isfile(args.input):
+        print(f"Error: Input file not found: {args.input}", file=sys.stderr)
+        return 1
+
+    os.makedirs(args.output, exist_ok=True)
+
+    # Spleeter 2.x takes the input file as a positional argument and writes
+    # <output>/<input name>/<stem>.wav
     cmd = [
         sys.executable,
         "-m",
@@ -17,12 +30,13 @@ def main() -> int:
         "separate",
         "-p",
         args.preset,
-        "-i",
-        args.input,
         "-o",
         args.output,
+        args.input,
     ]
 
+    print(f"Running command: {' '.join(cmd)}", file=sys.stderr)
+
     return subprocess.call(cmd)
 
 
@@ -1,122 +1,86 @@
 const path = require('path');
 const fs = require('fs-extra');
 const { spawn } = require('child_process');
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const fileManager = require('./file-manager');
+const toolResolver = require('./tool-resolver');
 
-const execAsync = promisify(exec);
+// Separation backends. Demucs writes <out>/<model>/<input>/*.wav,
+// Spleeter writes <out>/<input>/*.wav; both are normalized by normalizeStems.
+// stems = number of WAV files written (used for disk space estimates).
+const BACKENDS = {
+  'demucs:htdemucs': { engine: 'demucs', model: 'htdemucs', label: 'Demucs htdemucs', stems: 4 },
+  'demucs:htdemucs_ft': { engine: 'demucs', model: 'htdemucs_ft', label: 'Demucs htdemucs_ft', stems: 4 },
+  'demucs:mdx': { engine: 'demucs', model: 'mdx', label: 'Demucs mdx', stems: 4 },
+  'spleeter:2stems': { engine: 'spleeter', preset: 'spleeter:2stems', label: 'Spleeter 2 stems', stems: 2 },
+  'spleeter:4stems': { engine: 'spleeter', preset: 'spleeter:4stems', label: 'Spleeter 4 stems', stems: 4 },
+  'spleeter:5stems': { engine: 'spleeter', preset: 'spleeter:5stems', label: 'Spleeter 5 stems', stems: 5 },
+  none: { engine: 'none', label: '분리 안 함', stems: 0 }
+};
+
+const DEFAULT_BACKEND = 'demucs:htdemucs';
+
+const STEM_NAMES = ['vocals', 'drums', 'bass', 'piano', 'other', 'accompaniment'];
+
+// accomp.wav is transcription input, instrumental.mp3 is game BGM
+const ACCOMP_OUTPUT_ARGS = ['-ac', '1', '-ar', '22050'];
+const INSTRUMENTAL_OUTPUT_ARGS = ['-ac', '2', '-ar', '44100', '-b:a', '192k'];
 
 class StemSeparator {
   constructor() {
     this.isCancelled = false;
     this.currentProcess = null;
-    this.ffmpegPath = null;
   }
 
+  /**
+   * Directory containing ffmpeg (added to PATH for Demucs/Spleeter), or null.
+   */
   async findFfmpegPath() {
-    if (this.ffmpegPath) {
-      return this.ffmpegPath;
-    }
-
-    // Common FFmpeg installation paths on Windows
-    const possiblePaths = [
-      'C:\\ffmpeg\\bin\\ffmpeg.exe',
-      'C:\\ffmpeg\\ffmpeg.exe',
-      path.join(process.env.ProgramFiles || 'C:\\Program Files', 'ffmpeg', 'bin', 'ffmpeg.exe'),
-      path.join(process.env.ProgramFiles || 'C:\\Program Files', 'ffmpeg', 'ffmpeg.exe')
-    ];
-
-    for (const ffmpegPath of possiblePaths) {
-      if (await fs.pathExists(ffmpegPath)) {
-        this.ffmpegPath = path.dirname(ffmpegPath);
-        console.log('Found FFmpeg at:', this.ffmpegPath);
-        return this.ffmpegPath;
-      }
-    }
-
-    // Try to find in PATH
-    try {
-      const { stdout } = await execAsync('where ffmpeg');
-      const ffmpegExe = stdout.trim().split('\n')[0];
-      if (ffmpegExe) {
-        this.ffmpegPath = path.dirname(ffmpegExe);
-        console.log('Found FFmpeg in PATH at:', this.ffmpegPath);
-        return this.ffmpegPath;
-      }
-    } catch (error) {
-      console.warn('FFmpeg not found in PATH');
-    }
-
-    return null;
+    const ffmpeg = await toolResolver.tryResolve('ffmpeg');
+    return ffmpeg ? path.dirname(ffmpeg.path) : null;
   }
 
   async getFfmpegBinary() {
-    const dir = await this.findFfmpegPath();
-    if (dir) {
-      return path.join(dir, 'ffmpeg.exe');
-    }
-    return 'ffmpeg';
+    const ffmpeg = await toolResolver.resolve('ffmpeg');
+    return ffmpeg.path;
   }
 
   /**
-   * Mix bass.wav + other.wav into a single accompaniment file using FFmpeg.
+   * Backend definition ({ id, engine, label, ... }) for an id
+   * (default: Demucs htdemucs).
    */
-  async mixStemsToAccompaniment(bassPath, otherPath, outputPath) {
-    const ffmpegBin = await this.getFfmpegBinary();
-
-    return new Promise((resolve, reject) => {
-      const args = [
-        '-y',
-        '-i', bassPath,
-        '-i', otherPath,
-        '-filter_complex', '[0:a][1:a]amix=inputs=2:duration=longest',
-        '-ac', '1',
-        '-ar', '22050',
-        outputPath
-      ];
-
-      const proc = spawn(ffmpegBin, args, { windowsHide: true });
-      let stderr = '';
-      proc.stderr.on('data', (chunk) => { stderr += chunk.toString(); });
-      proc.on('error', (err) => reject(new Error(`FFmpeg mix error: ${err.message}`)));
-      proc.on('close', (code) => {
-        if (code !== 0) {
-          reject(new Error(`FFmpeg mix failed (code ${code}): ${stderr}`));
-        } else {
-          resolve(outputPath);
-        }
-      });
-    });
+  getBackend(id) {
+    const backendId = id || DEFAULT_BACKEND;
+    const backend = BACKENDS[backendId];
+    if (!backend) {
+      throw new Error(`Unknown separation backend: ${id}`);
+    }
+    return { id: backendId, ...backend };
   }
 
   /**
-   * Mix drums + bass + other into a single instrumental file (vocals excluded).
-   * Used for vocal rhythm game mode BGM.
+   * Mix one or more stems into a single file using FFmpeg.
+   * outputArgs sets the output format (channels, sample rate, bitrate).
    */
-  async mixInstrumental(drumsPath, bassPath, otherPath, outputPath) {
+  async mixStems(inputPaths, outputPath, outputArgs) {
     const ffmpegBin = await this.getFfmpegBinary();
 
     return new Promise((resolve, reject) => {
-      const args = [
-        '-y',
-        '-i', drumsPath,
-        '-i', bassPath,
-        '-i', otherPath,
-        '-filter_complex', '[0:a][1:a][2:a]amix=inputs=3:duration=longest',
-        '-ac', '2',
-        '-ar', '44100',
-        '-b:a', '192k',
-        outputPath
-      ];
+      const args = ['-y'];
+      inputPaths.forEach(inputPath => args.push('-i', inputPath));
+
+      if (inputPaths.length > 1) {
+        const labels = inputPaths.map((_, index) => `[${index}:a]`).join('');
+        args.push('-filter_complex', `${labels}amix=inputs=${inputPaths.length}:duration=longest`);
+      }
+      args.push(...outputArgs, outputPath);
 
       const proc = spawn(ffmpegBin, args, { windowsHide: true });
       let stderr = '';
       proc.stderr.on('data', (chunk) => { stderr += chunk.toString(); });
-      proc.on('error', (err) => reject(new Error(`FFmpeg instrumental mix error: ${err.message}`)));
+      proc.on('error', (err) => reject(new Error(`FFmpeg mix error: ${err.message}`)));
       proc.on('close', (code) => {
         if (code !== 0) {
-          reject(new Error(`FFmpeg instrumental mix failed (code ${code}): ${stderr}`));
+          reject(new Error(`FFmpeg mix failed (code ${code}): ${stderr}`));
         } else {
           resolve(outputPath);
         }
@@ -125,15 +89,29 @@ class StemSeparator {
   }
 
   /**
-   * Separate audio into vocals (melody) and accompaniment (bass + other).
-   * Uses full 4-stem Demucs: vocals, drums, bass, other.
-   * Returns { melodyPath, accompPath, cleanupDir }.
+   * Separate audio into vocals (melody) and accompaniment with the chosen
+   * backend (options.backend, see BACKENDS). Every backend returns
+   * { melodyPath, accompPath, drumsPath, instrumentalPath, cleanupDir, backend };
+   * "none" passes the input through with melodyPath = null.
    */
-  async separateStems(inputPath, progressCallback) {
+  async separateStems(inputPath, progressCallback, options = {}) {
     this.isCancelled = false;
 
+    const backend = this.getBackend(options.backend);
+
+    if (backend.engine === 'none') {
+      return {
+        melodyPath: null,
+        accompPath: inputPath,
+        drumsPath: null,
+        instrumentalPath: inputPath,
+        cleanupDir: null,
+        backend: backend.id
+      };
+    }
+
     const runId = Date.now().toString();
-    const outputDir = fileManager.getTempPath(`demucs-${runId}`);
+    const outputDir = fileManager.getTempPath(`stems-${runId}`);
 
     await fs.ensureDir(outputDir);
 
@@ -142,61 +120,79 @@ class StemSeparator {
     const safeInputPath = fileManager.getTempPath(safeInputName);
     await fs.copy(inputPath, safeInputPath);
 
-    // Find FFmpeg path before creating the Promise
-    const ffmpegDir = await this.findFfmpegPath();
+    if (progressCallback) {
+      progressCallback(0, `음원 분리 중 (${backend.label})...`);
+    }
 
-    const runnerPath = path.join(__dirname, 'demucs_runner.py');
+    console.log(`Running ${backend.label} separation`);
+    console.log('Input file:', inputPath);
+    console.log('Output dir:', outputDir);
 
-    // Use Python from virtual environment directly
-    const pythonPath = path.join(fileManager.rootDir, '.venv', 'Scripts', 'python.exe');
+    const baseName = path.parse(safeInputPath).name;
+    let stemDir;
 
-    // Check if Python exists before spawning (must be outside Promise constructor)
-    if (!await fs.pathExists(pythonPath)) {
-      throw new Error(`Python not found at: ${pythonPath}. Please ensure virtual environment is set up.`);
+    try {
+      if (backend.engine === 'demucs') {
+        await this.runPython('demucs_runner.py', [
+          '--input', safeInputPath,
+          '--output', outputDir,
+          '--model', backend.model
+        ], 'Demucs', progressCallback);
+        stemDir = path.join(outputDir, backend.model, baseName);
+      } else {
+        await this.runPython('spleeter_runner.py', [
+          '--input', safeInputPath,
+          '--output', outputDir,
+          '--preset', backend.preset
+        ], 'Spleeter', progressCallback);
+        stemDir = path.join(outputDir, baseName);
+      }
+    } finally {
+      // Delete temp input file
+      await fileManager.deleteFile(safeInputPath);
     }
 
-    // Run Demucs 4-stem separation
-    await new Promise((resolve, reject) => {
-      if (progressCallback) {
-        progressCallback(0, '음원 분리 중 (Demucs AI)...');
-      }
+    const result = await this.normalizeStems(stemDir, backend, progressCallback);
+
+    if (progressCallback) {
+      progressCallback(100, '음원 분리 완료');
+    }
 
-      const args = [
-        runnerPath,
-        '--input', safeInputPath,
-        '--output', outputDir,
-        '--model', 'htdemucs'
-      ];
+    return { ...result, cleanupDir: outputDir, backend: backend.id };
+  }
 
-      console.log('Running Demucs 4-stem with Python:', pythonPath);
-      console.log('Input file:', inputPath);
-      console.log('Output dir:', outputDir);
+  /**
+   * Run a separation runner script with the resolved Python, reporting the
+   * percentages it prints as progress.
+   */
+  async runPython(scriptName, args, engineName, progressCallback) {
+    // Directory of ffmpeg, added to PATH for the separation tools
+    const ffmpegDir = await this.findFfmpegPath();
+    const runnerPath = path.join(__dirname, scriptName);
 
-      // Add FFmpeg to PATH for Demucs
-      const env = { ...process.env };
+    // Python from settings, PYTHON_PATH, the project .venv or PATH
+    // (resolved outside the Promise constructor so a missing tool rejects cleanly)
+    const { path: pythonPath } = await toolResolver.resolve('python');
+    console.log(`Running ${engineName} with Python:`, pythonPath);
 
-      if (ffmpegDir) {
-        env.PATH = `${ffmpegDir};${env.PATH}`;
-      }
+    await new Promise((resolve, reject) => {
+      const env = toolResolver.buildEnv([ffmpegDir]);
 
       try {
-        this.currentProcess = spawn(pythonPath, args, {
+        this.currentProcess = spawn(pythonPath, [runnerPath, ...args], {
           windowsHide: true,
           cwd: fileManager.rootDir,
-          env: env,
-          shell: true
+          env: env
         });
       } catch (spawnError) {
         reject(new Error(`Failed to spawn Python process: ${spawnError.message}`));
         return;
       }
 
-      let stdout = '';
       let stderr = '';
 
-      this.currentProcess.stdout.on('data', (chunk) => {
-        stdout += chunk.toString();
-      });
+      // Drain stdout so a chatty runner cannot block on a full pipe
+      this.currentProcess.stdout.on('data', () => {});
 
       this.currentProcess.stderr.on('data', (chunk) => {
         const data = chunk.toString();
@@ -212,7 +208,7 @@ class StemSeparator {
       });
 
       this.currentProcess.on('error', (error) => {
-        reject(new Error(`Demucs failed to start: ${error.message}`));
+        reject(new Error(`${engineName} failed to start: ${error.message}`));
       });
 
       this.currentProcess.on('close', (code) => {
@@ -229,65 +225,62 @@ class StemSeparator {
             !line.includes('[00:') &&
             line.trim() !== ''
           ).join('\n');
-          reject(new Error(`Demucs failed (code ${code}): ${errorLines}`));
+          reject(new Error(`${engineName} failed (code ${code}): ${errorLines}`));
           return;
         }
 
         resolve();
       });
     });
+  }
 
-    // Delete temp input file
-    await fileManager.deleteFile(safeInputPath);
+  /**
+   * Turn a backend's stem folder into the common contract:
+   * vocals → melody, pitched stems (bass/piano/other or Spleeter's
+   * accompaniment) → accomp.wav for transcription, everything but vocals →
+   * instrumental.mp3 for the vocal rhythm game.
+   */
+  async normalizeStems(stemDir, backend, progressCallback) {
+    const stems = {};
+    for (const name of STEM_NAMES) {
+      const stemPath = path.join(stemDir, `${name}.wav`);
+      stems[name] = await fileManager.fileExists(stemPath) ? stemPath : null;
+    }
 
-    // Verify 4-stem output files exist (use safe input name for stem dir)
-    const baseName = path.parse(safeInputPath).name;
-    const stemDir = path.join(outputDir, 'htdemucs', baseName);
-
-    const vocalsPath = path.join(stemDir, 'vocals.wav');
-    const drumsPath = path.join(stemDir, 'drums.wav');
-    const bassPath = path.join(stemDir, 'bass.wav');
-    const otherPath = path.join(stemDir, 'other.wav');
-
-    const [vocalsExists, drumsExists, bassExists, otherExists] = await Promise.all([
-      fileManager.fileExists(vocalsPath),
-      fileManager.fileExists(drumsPath),
-      fileManager.fileExists(bassPath),
-      fileManager.fileExists(otherPath)
-    ]);
-
-    if (!vocalsExists || !bassExists || !otherExists) {
-      throw new Error('Demucs 4-stem output not found. Please confirm Demucs is installed.');
+    const pitched = ['bass', 'piano', 'other'].map(name => stems[name]).filter(Boolean);
+    if (pitched.length === 0 && stems.accompaniment) {
+      // 2-stem output: the accompaniment still contains drums
+      pitched.push(stems.accompaniment);
+    }
+
+    if (!stems.vocals || pitched.length === 0) {
+      throw new Error(`${backend.label} output not found. Please confirm ${backend.engine === 'demucs' ? 'Demucs' : 'Spleeter'} is installed.`);
     }
 
-    // Mix bass + other → accompaniment (for piano transcription)
+    // Mix pitched stems → accompaniment (for piano transcription)
     if (progressCallback) {
       progressCallback(93, '반주 트랙 합성 중...');
     }
 
     const accompPath = path.join(stemDir, 'accomp.wav');
-    await this.mixStemsToAccompaniment(bassPath, otherPath, accompPath);
-
-    // Mix drums + bass + other → instrumental (for vocal rhythm game BGM)
-    let instrumentalPath = null;
-    if (drumsExists) {
-      if (progressCallback) {
-        progressCallback(96, '인스트루멘탈 합성 중...');
-      }
-      instrumentalPath = path.join(stemDir, 'instrumental.mp3');
-      await this.mixInstrumental(drumsPath, bassPath, otherPath, instrumentalPath);
-    }
+    await this.mixStems(pitched, accompPath, ACCOMP_OUTPUT_ARGS);
 
+    // Mix drums + pitched stems → instrumental (for vocal rhythm game BGM)
     if (progressCallback) {
-      progressCallback(100, '음원 분리 완료');
+      progressCallback(96, '인스트루멘탈 합성 중...');
     }
+    const instrumentalPath = path.join(stemDir, 'instrumental.mp3');
+    await this.mixStems(
+      stems.drums ? [stems.drums, ...pitched] : pitched,
+      instrumentalPath,
+      INSTRUMENTAL_OUTPUT_ARGS
+    );
 
     return {
-      melodyPath: vocalsPath,
+      melodyPath: stems.vocals,
       accompPath: accompPath,
-      drumsPath: drumsExists ? drumsPath : null,
-      instrumentalPath: instrumentalPath,
-      cleanupDir: outputDir
+      drumsPath: stems.drums,
+      instrumentalPath: instrumentalPath
     };
   }
 
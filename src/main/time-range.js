@@ -0,0 +1,115 @@
+// Clip time range helpers shared by the downloader, converter and IPC handlers.
+// Times are seconds; user input may be "90", "1:30", "01:02:03" or "1m30s".
+
+/**
+ * Parse a timestamp to seconds. Returns null for empty input and throws
+ * for anything that is not a valid time.
+ */
+function parseTimestamp(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid time: ${value}`);
+    }
+    return value;
+  }
+
+  const text = String(value).trim();
+  if (!text) {
+    return null;
+  }
+
+  // Plain seconds, optionally with an "s" suffix
+  if (/^\d+(\.\d+)?s?$/.test(text)) {
+    return parseFloat(text);
+  }
+
+  // [hh:]mm:ss[.fff]
+  if (/^\d+(:\d{1,2}){1,2}(\.\d+)?$/.test(text)) {
+    return text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+  }
+
+  // 1h2m3s (YouTube t= style)
+  const match = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/);
+  if (match && (match[1] || match[2] || match[3])) {
+    return (parseInt(match[1] || 0, 10) * 3600) +
+      (parseInt(match[2] || 0, 10) * 60) +
+      parseFloat(match[3] || 0);
+  }
+
+  throw new Error(`Invalid time: ${text}`);
+}
+
+/**
+ * Format seconds as m:ss or h:mm:ss (fractions are dropped).
+ */
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const ss = String(s).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+}
+
+/**
+ * Build { start, end } from clipStart/clipEnd options (end may be null for
+ * "to the end"). Returns null when no clipping is requested.
+ */
+function resolveClipRange(options = {}, defaultStart = null) {
+  const start = parseTimestamp(options.clipStart) ?? defaultStart ?? 0;
+  const end = parseTimestamp(options.clipEnd);
+
+  if (end !== null && end <= start) {
+    throw new Error('Clip end must be after clip start');
+  }
+  if (start === 0 && end === null) {
+    return null;
+  }
+
+  return { start, end };
+}
+
+/**
+ * Filename-safe label for a clip, e.g. "1m30s-2m15s" or "1m30s-end".
+ */
+function formatClipRange(clip) {
+  const label = (seconds) => formatTimestamp(seconds)
+    .split(':')
+    .reverse()
+    .map((part, index) => `${Number(part)}${['s', 'm', 'h'][index]}`)
+    .reverse()
+    .join('');
+  return `${label(clip.start)}-${clip.end === null ? 'end' : label(clip.end)}`;
+}
+
+/**
+ * Suffix added to a cache key so clipped audio is cached apart from the
+ * full audio ("" when not clipped).
+ */
+function clipCacheKey(clip) {
+  return clip ? `#clip=${clip.start}-${clip.end === null ? '' : clip.end}` : '';
+}
+
+/**
+ * Seconds of audio a clip keeps from a source of fullDuration seconds
+ * (fullDuration when not clipped, null when unknown).
+ */
+function clipDuration(clip, fullDuration) {
+  if (!clip) {
+    return fullDuration || null;
+  }
+  const end = clip.end !== null ? clip.end : fullDuration;
+  return end ? Math.max(0, end - clip.start) : null;
+}
+
+module.exports = {
+  parseTimestamp,
+  formatTimestamp,
+  resolveClipRange,
+  formatClipRange,
+  clipCacheKey,
+  clipDuration
+};
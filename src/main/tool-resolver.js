@@ -0,0 +1,304 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const settingsStore = require('./settings-store');
+
+// Locates external tools (ffmpeg, ffprobe, python) on Windows, macOS and Linux.
+// Lookup order: user-configured path (settings store) → environment variable
+// → project .venv (python) → common install locations → PATH. Every candidate
+// is run once to check it works and to read its version.
+
+const IS_WINDOWS = process.platform === 'win32';
+const EXE = IS_WINDOWS ? '.exe' : '';
+const VERSION_TIMEOUT_MS = 10000;
+
+const TOOLS = {
+  ffmpeg: {
+    envVar: 'FFMPEG_PATH',
+    names: ['ffmpeg'],
+    versionArgs: ['-version'],
+    versionPattern: /ffmpeg version (\S+)/
+  },
+  ffprobe: {
+    envVar: 'FFPROBE_PATH',
+    names: ['ffprobe'],
+    versionArgs: ['-version'],
+    versionPattern: /ffprobe version (\S+)/
+  },
+  python: {
+    envVar: 'PYTHON_PATH',
+    names: IS_WINDOWS ? ['python', 'py'] : ['python3', 'python'],
+    versionArgs: ['--version'],
+    versionPattern: /Python (\S+)/
+  }
+};
+
+const INSTALL_HINTS = {
+  win32: {
+    ffmpeg: 'Install FFmpeg (https://ffmpeg.org/download.html) to C:\\ffmpeg\\bin or add it to PATH.',
+    python: 'Create the virtual environment with "uv sync" (or "python -m venv .venv") in the project folder.'
+  },
+  darwin: {
+    ffmpeg: 'Install FFmpeg with "brew install ffmpeg".',
+    python: 'Create the virtual environment with "uv sync" (or "python3 -m venv .venv") in the project folder.'
+  },
+  linux: {
+    ffmpeg: 'Install FFmpeg with your package manager (e.g. "sudo apt-get install ffmpeg").',
+    python: 'Create the virtual environment with "uv sync" (or "python3 -m venv .venv") in the project folder.'
+  }
+};
+
+class ToolResolver {
+  constructor() {
+    this.rootDir = path.join(__dirname, '..', '..');
+    this.configuredPaths = {};
+    this.resolved = {};
+  }
+
+  /**
+   * Read the configured tool paths from the settings store.
+   */
+  async loadConfig() {
+    this.configuredPaths = (await settingsStore.get()).tools;
+  }
+
+  /**
+   * Set user-configured tool paths ({ ffmpeg, ffprobe, python }); empty
+   * values fall back to automatic discovery.
+   */
+  async configure(paths) {
+    const tools = {};
+    Object.keys(TOOLS).forEach(tool => {
+      if (paths[tool] !== undefined) {
+        tools[tool] = paths[tool] || null;
+      }
+    });
+
+    await settingsStore.update({ tools });
+    await this.reload();
+    return this.getConfiguredPaths();
+  }
+
+  /**
+   * Forget resolved tools after the configured paths changed (e.g. a
+   * settings import).
+   */
+  async reload() {
+    this.resolved = {};
+    await this.loadConfig();
+  }
+
+  getConfiguredPaths() {
+    return { ...this.configuredPaths };
+  }
+
+  /**
+   * Resolve a tool to { path, version, source }. Throws an error with a
+   * diagnosis (locations tried + install hint) when it cannot be found.
+   */
+  async resolve(tool) {
+    if (this.resolved[tool]) {
+      return this.resolved[tool];
+    }
+
+    const result = await this.find(tool);
+    if (!result.found) {
+      throw new Error(this.describeMissing(result));
+    }
+
+    this.resolved[tool] = {
+      path: result.path,
+      version: result.version,
+      source: result.source
+    };
+    return this.resolved[tool];
+  }
+
+  /**
+   * Resolve without throwing; returns null when the tool is missing.
+   */
+  async tryResolve(tool) {
+    try {
+      return await this.resolve(tool);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async find(tool) {
+    await this.loadConfig();
+
+    const spec = TOOLS[tool];
+    if (!spec) {
+      throw new Error(`Unknown tool: ${tool}`);
+    }
+
+    const tried = [];
+    for (const candidate of await this.candidates(tool)) {
+      const version = await this.checkVersion(candidate.path, spec);
+      tried.push({ ...candidate, ok: Boolean(version) });
+      if (version) {
+        return { tool, found: true, path: candidate.path, source: candidate.source, version, tried };
+      }
+    }
+
+    return { tool, found: false, tried };
+  }
+
+  async candidates(tool) {
+    const spec = TOOLS[tool];
+    const list = [];
+    const add = (candidatePath, source) => {
+      if (candidatePath && !list.some(item => item.path === candidatePath)) {
+        list.push({ path: candidatePath, source });
+      }
+    };
+
+    add(this.configuredPaths[tool], 'settings');
+    add(process.env[spec.envVar], `env ${spec.envVar}`);
+
+    // ffprobe ships next to ffmpeg
+    if (tool === 'ffprobe') {
+      const ffmpeg = await this.tryResolve('ffmpeg');
+      if (ffmpeg) {
+        add(path.join(path.dirname(ffmpeg.path), `ffprobe${EXE}`), 'next to ffmpeg');
+      }
+    }
+
+    if (tool === 'python') {
+      const venvDir = path.join(this.rootDir, '.venv');
+      add(IS_WINDOWS
+        ? path.join(venvDir, 'Scripts', 'python.exe')
+        : path.join(venvDir, 'bin', 'python'), 'project .venv');
+    }
+
+    for (const dir of this.installDirs(tool)) {
+      for (const name of spec.names) {
+        const candidatePath = path.join(dir, `${name}${EXE}`);
+        if (await fs.pathExists(candidatePath)) {
+          add(candidatePath, 'install location');
+        }
+      }
+    }
+
+    for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+      for (const name of spec.names) {
+        const candidatePath = path.join(dir, `${name}${EXE}`);
+        if (await fs.pathExists(candidatePath)) {
+          add(candidatePath, 'PATH');
+        }
+      }
+    }
+
+    return list;
+  }
+
+  installDirs(tool) {
+    if (tool === 'python') {
+      return [];
+    }
+
+    if (IS_WINDOWS) {
+      const programFiles = process.env.ProgramFiles || 'C:\\Program Files';
+      return [
+        'C:\\ffmpeg\\bin',
+        'C:\\ffmpeg',
+        path.join(programFiles, 'ffmpeg', 'bin'),
+        path.join(programFiles, 'ffmpeg')
+      ];
+    }
+
+    if (process.platform === 'darwin') {
+      return ['/opt/homebrew/bin', '/usr/local/bin', '/opt/local/bin'];
+    }
+
+    return ['/usr/bin', '/usr/local/bin', '/snap/bin'];
+  }
+
+  /**
+   * Run the tool's version command; returns the version string or null.
+   */
+  checkVersion(toolPath, spec) {
+    return new Promise(resolve => {
+      execFile(toolPath, spec.versionArgs, { timeout: VERSION_TIMEOUT_MS, windowsHide: true }, (error, stdout, stderr) => {
+        if (error) {
+          resolve(null);
+          return;
+        }
+        const output = `${stdout}\n${stderr}`;
+        const match = output.match(spec.versionPattern);
+        resolve(match ? match[1] : output.trim().split('\n')[0] || 'unknown');
+      });
+    });
+  }
+
+  describeMissing(result) {
+    const hints = INSTALL_HINTS[process.platform] || INSTALL_HINTS.linux;
+    const hint = hints[result.tool] || hints.ffmpeg;
+    const tried = result.tried.length > 0
+      ? result.tried.map(item => `${item.path} (${item.source})`).join(', ')
+      : 'nothing found in settings, environment, install locations or PATH';
+
+    return `${result.tool} not found. Tried: ${tried}. ${hint} ` +
+      `You can also set the path in settings or the ${TOOLS[result.tool].envVar} environment variable.`;
+  }
+
+  /**
+   * Check every tool; returns [{ tool, found, path, version, source, message }].
+   * Python is also checked for the Demucs and Spleeter packages.
+   */
+  async diagnose() {
+    this.resolved = {};
+    const report = [];
+
+    for (const tool of Object.keys(TOOLS)) {
+      const result = await this.find(tool);
+      const entry = {
+        tool,
+        found: result.found,
+        path: result.path || null,
+        version: result.version || null,
+        source: result.source || null,
+        message: result.found ? `${tool} ${result.version} (${result.source})` : this.describeMissing(result)
+      };
+
+      if (tool === 'python' && result.found) {
+        const hasDemucs = await this.checkPythonModule(result.path, 'demucs');
+        entry.demucs = hasDemucs;
+        if (!hasDemucs) {
+          entry.message += ' - demucs is not installed in this Python (Demucs separation unavailable)';
+        }
+        entry.spleeter = await this.checkPythonModule(result.path, 'spleeter');
+      }
+
+      report.push(entry);
+    }
+
+    return report;
+  }
+
+  checkPythonModule(pythonPath, moduleName) {
+    return new Promise(resolve => {
+      execFile(pythonPath, ['-c', `import ${moduleName}`], { timeout: 60000, windowsHide: true }, (error) => {
+        resolve(!error);
+      });
+    });
+  }
+
+  /**
+   * Environment for child processes with extra directories prepended to PATH
+   * (uses the platform's PATH separator).
+   */
+  buildEnv(extraDirs = []) {
+    const env = { ...process.env };
+    const dirs = extraDirs.filter(Boolean);
+    if (dirs.length > 0) {
+      // Windows spells it "Path"; keep a single key
+      const key = Object.keys(env).find(name => name.toUpperCase() === 'PATH') || 'PATH';
+      env[key] = [...dirs, env[key] || ''].join(path.delimiter);
+    }
+    return env;
+  }
+}
+
+module.exports = new ToolResolver();
@@ -1,12 +1,23 @@
 const { parentPort, workerData } = require('worker_threads');
-const { BasicPitch, addPitchBendsToNoteEvents, outputToNotesPoly, noteFramesToTime } = require('@spotify/basic-pitch');
+const { BasicPitch, outputToNotesPoly, noteFramesToTime } = require('@spotify/basic-pitch');
 const { Midi } = require('@tonejs/midi');
 const tf = require('@tensorflow/tfjs');
 const fs = require('fs-extra');
 const path = require('path');
+const zlib = require('zlib');
 const { spawn } = require('child_process');
 const fileManager = require('./file-manager');
 const audioConverter = require('./audio-converter');
+const { estimateKey, addMidiKeySignature } = require('./key-signature');
+const {
+  DEFAULT_METER,
+  trackBeats,
+  estimateMeter,
+  buildTempoMap,
+  constantTempoMap,
+  timeToBeat,
+  beatToTime
+} = require('./beat-tracker');
 
 let isCancelled = false;
 let currentProcess = null;
@@ -119,10 +130,12 @@ async function decodeAudioToFloat32(audioPath) {
   });
 }
 
-function quantizeTime(time, bpm, subdivision) {
-  const beatDuration = 60.0 / bpm;
-  const stepDuration = beatDuration / subdivision;
-  return Math.round(time / stepDuration) * stepDuration;
+/**
+ * Snap a time to the nearest 1/subdivision beat of the tempo map.
+ * Returns the quantized position in beats.
+ */
+function quantizeBeat(time, tempoMap, subdivision) {
+  return Math.round(timeToBeat(tempoMap, time) * subdivision) / subdivision;
 }
 
 function percentile(values, p) {
@@ -201,9 +214,17 @@ function mergeDuplicateNotes(notes) {
   return merged;
 }
 
-function splitHandsByRegister(notes) {
+function splitHandsByRegister(notes, fixedSplitPitch = null) {
   if (!notes || notes.length === 0) {
-    return { right: [], left: [], splitPitch: 60 };
+    return { right: [], left: [], splitPitch: fixedSplitPitch || 60 };
+  }
+
+  if (fixedSplitPitch) {
+    return {
+      right: notes.filter(note => note.pitchMidi >= fixedSplitPitch),
+      left: notes.filter(note => note.pitchMidi < fixedSplitPitch),
+      splitPitch: fixedSplitPitch
+    };
   }
 
   const pitches = notes.map(note => note.pitchMidi);
@@ -290,9 +311,11 @@ function removeMelodicOutliers(notes, mode) {
   return result;
 }
 
-function applyQualityFilters(notes, mode, hand, bpm, userFlags = {}) {
-  if (!notes || notes.length === 0) return notes;
-
+/**
+ * Filter settings for one hand: the difficulty preset, adjusted by the
+ * issue flags, then any custom values (which win).
+ */
+function getFilterParams(mode, hand, userFlags = {}, custom = {}) {
   let minDuration, minVelocity, maxPolyphony, quantizeSubdivision;
 
   if (mode === 'beginner') {
@@ -326,6 +349,20 @@ function applyQualityFilters(notes, mode, hand, bpm, userFlags = {}) {
     quantizeSubdivision = Math.min(12, quantizeSubdivision * 2);
   }
 
+  const params = { minDuration, minVelocity, maxPolyphony, quantizeSubdivision };
+  Object.keys(params).forEach(name => {
+    if (Number.isFinite(custom[name])) {
+      params[name] = custom[name];
+    }
+  });
+  return params;
+}
+
+function applyQualityFilters(notes, mode, tempoMap, filterParams) {
+  if (!notes || notes.length === 0) return notes;
+
+  const { minDuration, minVelocity, maxPolyphony, quantizeSubdivision } = filterParams;
+
   // Step 1: Remove short and quiet notes
   let filtered = notes.filter(note => (
     note.durationSeconds >= minDuration && note.amplitude >= minVelocity
@@ -337,11 +374,16 @@ function applyQualityFilters(notes, mode, hand, bpm, userFlags = {}) {
   // Step 3: Remove isolated noise-like notes
   filtered = removeMelodicOutliers(filtered, mode);
 
-  // Step 4: Quantize timing
+  // Step 4: Quantize timing to the tempo map grid
+  const step = 1 / quantizeSubdivision;
   filtered = filtered.map(note => {
-    const qStart = quantizeTime(note.startTimeSeconds, bpm, quantizeSubdivision);
-    const qEnd = quantizeTime(note.startTimeSeconds + note.durationSeconds, bpm, quantizeSubdivision);
-    const qDuration = Math.max(qEnd - qStart, 60.0 / bpm / quantizeSubdivision);
+    const startBeat = quantizeBeat(note.startTimeSeconds, tempoMap, quantizeSubdivision);
+    const endBeat = Math.max(
+      startBeat + step,
+      quantizeBeat(note.startTimeSeconds + note.durationSeconds, tempoMap, quantizeSubdivision)
+    );
+    const qStart = beatToTime(tempoMap, startBeat);
+    const qDuration = beatToTime(tempoMap, endBeat) - qStart;
     return { ...note, startTimeSeconds: qStart, durationSeconds: qDuration };
   });
 
@@ -372,10 +414,55 @@ function applyQualityFilters(notes, mode, hand, bpm, userFlags = {}) {
   return reduced.sort((a, b) => a.startTimeSeconds - b.startTimeSeconds);
 }
 
+// Basic Pitch emits 88 note bins per frame (A0..C8)
+const NOTE_BINS = 88;
+const ACTIVATION_SCALE = 65535;
+
+/**
+ * Pack frame/onset activations as 16-bit fixed point and gzip them
+ * (mostly near-zero, so they compress well). Layout: frame count as two
+ * uint16 words (low, high), then frames, then onsets.
+ */
+function encodeActivations(frames, onsets) {
+  const count = frames.length;
+  const values = new Uint16Array(2 + count * NOTE_BINS * 2);
+  values[0] = count & 0xffff;
+  values[1] = count >>> 16;
+  let offset = 2;
+  [frames, onsets].forEach(rows => {
+    rows.forEach(row => {
+      for (let i = 0; i < NOTE_BINS; i++) {
+        values[offset++] = Math.round(Math.max(0, Math.min(1, row[i] || 0)) * ACTIVATION_SCALE);
+      }
+    });
+  });
+  return zlib.gzipSync(Buffer.from(values.buffer), { level: 1 });
+}
+
+function decodeActivations(gzipped) {
+  const buffer = zlib.gunzipSync(gzipped);
+  const values = new Uint16Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 2);
+  const count = values[0] + values[1] * 0x10000;
+  let offset = 2;
+  const readRows = () => {
+    const rows = [];
+    for (let f = 0; f < count; f++) {
+      const row = new Array(NOTE_BINS);
+      for (let i = 0; i < NOTE_BINS; i++) {
+        row[i] = values[offset++] / ACTIVATION_SCALE;
+      }
+      rows.push(row);
+    }
+    return rows;
+  };
+  return { frames: readRows(), onsets: readRows() };
+}
+
 /**
- * Transcribe a single audio file using Basic Pitch.
+ * Run Basic Pitch on an audio file. The output is written to cacheFile
+ * (when given) for the next run.
  */
-async function transcribeAudio(basicPitch, audioPath, qualityMode, progressBase, progressRange, label) {
+async function getModelOutput(basicPitch, audioPath, cacheFile, progressBase, progressRange, label) {
   sendProgress(progressBase, `${label}: 오디오 디코딩...`);
   const audioData = await decodeAudioToFloat32(audioPath);
 
@@ -383,16 +470,15 @@ async function transcribeAudio(basicPitch, audioPath, qualityMode, progressBase,
 
   const frames = [];
   const onsets = [];
-  const contours = [];
 
   sendProgress(progressBase + 5, `${label}: AI 분석 중...`);
 
+  // Contours only feed pitch bends, which are not written to the MIDI
   await basicPitch.evaluateModel(
     audioData,
-    (f, o, c) => {
+    (f, o) => {
       frames.push(...f);
       onsets.push(...o);
-      contours.push(...c);
     },
     (percent) => {
       if (isCancelled) return;
@@ -403,69 +489,127 @@ async function transcribeAudio(basicPitch, audioPath, qualityMode, progressBase,
 
   if (isCancelled) throw new Error('Cancelled');
 
-  let onsetThresh, frameThresh, minNoteLen;
-  if (qualityMode === 'beginner') {
-    onsetThresh = 0.55; frameThresh = 0.45; minNoteLen = 13;
-  } else if (qualityMode === 'intermediate') {
-    onsetThresh = 0.45; frameThresh = 0.40; minNoteLen = 11;
-  } else if (qualityMode === 'advanced') {
-    onsetThresh = 0.30; frameThresh = 0.30; minNoteLen = 7;
-  } else {
-    onsetThresh = 0.45; frameThresh = 0.40; minNoteLen = 11;
+  // Always go through the encoded form so cached and fresh runs give the same notes
+  const encoded = encodeActivations(frames, onsets);
+  if (cacheFile) {
+    try {
+      await fs.ensureDir(path.dirname(cacheFile));
+      await fs.writeFile(`${cacheFile}.tmp`, encoded);
+      await fs.move(`${cacheFile}.tmp`, cacheFile, { overwrite: true });
+    } catch (error) {
+      console.warn('Failed to cache model output:', error.message);
+    }
   }
 
-  const rawNotes = outputToNotesPoly(frames, onsets, onsetThresh, frameThresh, minNoteLen);
-  const notesWithBends = addPitchBendsToNoteEvents(contours, rawNotes);
-  const timedNotes = noteFramesToTime(notesWithBends);
+  return decodeActivations(encoded);
+}
+
+// Note detection thresholds per difficulty (Basic Pitch onset/frame
+// thresholds, minimum note length in frames)
+const DETECTION_PRESETS = {
+  beginner: { onsetThresh: 0.55, frameThresh: 0.45, minNoteLen: 13 },
+  intermediate: { onsetThresh: 0.45, frameThresh: 0.40, minNoteLen: 11 },
+  advanced: { onsetThresh: 0.30, frameThresh: 0.30, minNoteLen: 7 }
+};
+
+// Full piano range (A0..C8)
+const DEFAULT_PITCH_RANGE = { minPitch: 21, maxPitch: 108 };
+
+/**
+ * Detection thresholds and pitch range for the quality mode, with any
+ * custom values from options.transcriptionParams taking precedence.
+ */
+function getDetectionParams(options) {
+  const params = {
+    ...(DETECTION_PRESETS[options.qualityMode] || DETECTION_PRESETS.intermediate),
+    ...DEFAULT_PITCH_RANGE
+  };
+  const custom = options.transcriptionParams || {};
+  Object.keys(params).forEach(name => {
+    if (Number.isFinite(custom[name])) {
+      params[name] = custom[name];
+    }
+  });
+  return params;
+}
+
+/**
+ * Turn Basic Pitch activations into timed note events within the pitch range.
+ */
+function extractNotes({ frames, onsets }, detection) {
+  const rawNotes = outputToNotesPoly(frames, onsets, detection.onsetThresh, detection.frameThresh, detection.minNoteLen);
+  const timedNotes = noteFramesToTime(rawNotes);
 
-  return timedNotes.filter(note => note.pitchMidi >= 21 && note.pitchMidi <= 108);
+  return timedNotes.filter(note => note.pitchMidi >= detection.minPitch && note.pitchMidi <= detection.maxPitch);
 }
 
 async function run() {
   try {
     await fileManager.initialize();
 
-    sendProgress(5, 'AI 모델 로딩...');
     const options = workerData.options || {};
     const outputFilename = fileManager.generateUniqueFilename('.mid');
     const outputPath = fileManager.getTempPath(outputFilename);
+    const detection = getDetectionParams(options);
+    const customParams = options.transcriptionParams || {};
+    const fixedSplitPitch = Number.isFinite(customParams.splitPitch) ? customParams.splitPitch : null;
+    let splitPitch = null;
+
+    // Model output comes from saved activations ({ melody, accomp } or { mix }
+    // file paths, used to regenerate a difficulty), the activation cache, or
+    // a Basic Pitch run; the model is only loaded when it has to run
+    const saved = options.savedActivations || null;
+    let basicPitch = null;
+
+    const transcribeAudio = async (role, audioPath, progressBase, progressRange, label) => {
+      const cacheItem = (options.activationCache || {})[audioPath] || null;
+      let activations;
+
+      if (saved) {
+        sendProgress(progressBase, `${label}: 저장된 AI 분석 결과 사용`);
+        activations = decodeActivations(await fs.readFile(saved[role]));
+      } else if (cacheItem && cacheItem.hit) {
+        sendProgress(progressBase + progressRange - 5, `${label}: 캐시된 AI 분석 결과 사용`);
+        activations = decodeActivations(await fs.readFile(cacheItem.file));
+      } else {
+        if (!basicPitch) {
+          sendProgress(5, 'AI 모델 로딩...');
+          basicPitch = new BasicPitch(await loadModelFromDisk());
+        }
+        activations = await getModelOutput(
+          basicPitch, audioPath, cacheItem ? cacheItem.file : null,
+          progressBase, progressRange, label
+        );
+      }
 
-    const model = await loadModelFromDisk();
-    const basicPitch = new BasicPitch(model);
+      return extractNotes(activations, detection);
+    };
 
     let rightHandNotes, leftHandNotes;
 
-    const hasStemPaths = options.melodyPath && options.accompPath;
+    const hasStemPaths = saved ? Boolean(saved.melody && saved.accomp) : options.melodyPath && options.accompPath;
 
     if (hasStemPaths) {
       // ====== 2-PASS MODE: Vocals → right hand, Accompaniment → left hand ======
       sendProgress(10, '보컬(멜로디) 전사 중...');
 
       // Pass 1: Transcribe vocals → melody (right hand)
-      const melodyNotes = await transcribeAudio(
-        basicPitch, options.melodyPath, options.qualityMode,
-        10, 40, '멜로디'
-      );
+      const melodyNotes = await transcribeAudio('melody', options.melodyPath, 10, 40, '멜로디');
 
       if (isCancelled) throw new Error('Cancelled');
 
       // Check if vocal stem has enough notes (fallback for instrumental songs)
       if (melodyNotes.length < 10) {
         console.log(`Vocal stem has only ${melodyNotes.length} notes — falling back to pitch-based split`);
-        const allNotes = await transcribeAudio(
-          basicPitch, options.accompPath, options.qualityMode,
-          50, 40, '전체 전사'
-        );
-        const split = splitHandsByRegister(allNotes);
+        const allNotes = await transcribeAudio('accomp', options.accompPath, 50, 40, '전체 전사');
+        const split = splitHandsByRegister(allNotes, fixedSplitPitch);
         rightHandNotes = split.right;
         leftHandNotes = split.left;
+        splitPitch = split.splitPitch;
       } else {
         // Pass 2: Transcribe accompaniment → left hand
         sendProgress(50, '반주(베이스+기타) 전사 중...');
-        const accompNotes = await transcribeAudio(
-          basicPitch, options.accompPath, options.qualityMode,
-          50, 40, '반주'
-        );
+        const accompNotes = await transcribeAudio('accomp', options.accompPath, 50, 40, '반주');
 
         // Right hand: melody notes (vocals, keep notes >= 48 = C3)
         rightHandNotes = melodyNotes.filter(n => n.pitchMidi >= 45);
@@ -475,26 +619,30 @@ async function run() {
       }
     } else {
       // ====== SINGLE-PASS MODE: Split by pitch (no separation) ======
-      const audioPath = workerData.audioPath;
       sendProgress(10, 'AI 전사 중...');
 
-      const allNotes = await transcribeAudio(
-        basicPitch, audioPath, options.qualityMode,
-        10, 80, '전사'
-      );
+      const allNotes = await transcribeAudio('mix', workerData.audioPath, 10, 80, '전사');
 
-      const split = splitHandsByRegister(allNotes);
+      const split = splitHandsByRegister(allNotes, fixedSplitPitch);
       rightHandNotes = split.right;
       leftHandNotes = split.left;
+      splitPitch = split.splitPitch;
     }
 
     if (isCancelled) throw new Error('Cancelled');
 
     sendProgress(92, 'MIDI 생성 중...');
 
-    // Estimate BPM from all notes combined
+    // Track beats from all notes combined, estimate the meter and downbeat,
+    // and build a tempo map in quarter notes
+    // (falls back to a single estimated BPM in 4/4 when there are too few onsets)
     const allNotes = [...(rightHandNotes || []), ...(leftHandNotes || [])];
-    const bpm = estimateBPM(allNotes);
+    const beatInfo = trackBeats(allNotes);
+    const meter = beatInfo ? estimateMeter(beatInfo.beats, allNotes) : { ...DEFAULT_METER };
+    const tempoMap = beatInfo
+      ? buildTempoMap(beatInfo.beats, meter.beatsPerBar, meter.downbeatPhase, meter.quartersPerBeat)
+      : constantTempoMap(estimateBPM(allNotes));
+    const bpm = beatInfo ? Math.round(beatInfo.bpm * meter.quartersPerBeat) : tempoMap[0].bpm;
 
     // Apply quality filters per hand
     const filterFlags = {
@@ -502,14 +650,34 @@ async function run() {
       issueWrongNotes: Boolean(options.issueWrongNotes)
     };
 
-    const filteredRight = applyQualityFilters(rightHandNotes, options.qualityMode, 'right', bpm, filterFlags);
-    const filteredLeft = applyQualityFilters(leftHandNotes, options.qualityMode, 'left', bpm, filterFlags);
+    const rightParams = getFilterParams(options.qualityMode, 'right', filterFlags, customParams);
+    const leftParams = getFilterParams(options.qualityMode, 'left', filterFlags, customParams);
+    const filteredRight = applyQualityFilters(rightHandNotes, options.qualityMode, tempoMap, rightParams);
+    const filteredLeft = applyQualityFilters(leftHandNotes, options.qualityMode, tempoMap, leftParams);
 
-    console.log(`BPM: ${bpm}, Right hand: ${filteredRight.length} notes, Left hand: ${filteredLeft.length} notes`);
+    // Estimate key from the notes that will actually be written
+    const keyInfo = estimateKey([...filteredRight, ...filteredLeft]);
+
+    console.log(`BPM: ${bpm} (${tempoMap.length} tempo segments), Meter: ${meter.numerator}/${meter.denominator}, Key: ${keyInfo.key} (${keyInfo.confidence.toFixed(2)}), Right hand: ${filteredRight.length} notes, Left hand: ${filteredLeft.length} notes`);
 
     // Create 2-track MIDI
     const midi = new Midi();
-    midi.header.setTempo(bpm);
+
+    // Tempo map: one tempo event per segment, each starting on a whole beat
+    midi.header.setTempo(tempoMap[0].bpm);
+    tempoMap.slice(1).forEach(segment => {
+      midi.header.tempos.push({
+        bpm: segment.bpm,
+        ticks: Math.round(segment.beat * midi.header.ppq)
+      });
+    });
+
+    // Time signature; the tempo map already puts downbeats on bar lines
+    midi.header.timeSignatures.push({
+      ticks: 0,
+      timeSignature: [meter.numerator, meter.denominator]
+    });
+    midi.header.update();
 
     const rightTrack = midi.addTrack();
     rightTrack.name = 'Right Hand';
@@ -539,14 +707,23 @@ async function run() {
       });
     });
 
-    const midiData = Buffer.from(midi.toArray());
+    // The key signature is added after encoding (see addMidiKeySignature)
+    const midiData = addMidiKeySignature(midi.toArray(), keyInfo.fifths, keyInfo.scale);
 
     await fs.writeFile(outputPath, midiData);
     sendProgress(100, '전사 완료');
 
+    // Effective parameters, recorded next to the MIDI in the output folder
+    // (splitPitch is null when the hands come from separated stems)
     sendResult({
       filePath: outputPath,
-      filename: outputFilename
+      filename: outputFilename,
+      params: {
+        ...detection,
+        splitPitch,
+        right: rightParams,
+        left: leftParams
+      }
     });
   } catch (error) {
     sendError(error.message || String(error));
@@ -30,7 +30,9 @@ class Transcriber {
       };
 
       const cleanup = () => {
-        this.worker = null;
+        if (this.worker === worker) {
+          this.worker = null;
+        }
       };
 
       worker.on('message', (message) => {
@@ -55,15 +57,14 @@ class Transcriber {
         reject(new Error(`Transcription failed: ${error.message}`));
       });
 
+      // Always settles: a no-op when a result or error came first
       worker.on('exit', (code) => {
+        cleanup();
         if (this.isCancelled) {
-          cleanup();
+          reject(new Error('Transcription cancelled'));
           return;
         }
-        if (code !== 0) {
-          cleanup();
-          reject(new Error(`Transcription failed: worker exited with code ${code}`));
-        }
+        reject(new Error(`Transcription failed: worker exited with code ${code}`));
       });
     });
   }
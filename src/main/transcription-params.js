@@ -0,0 +1,62 @@
+// Custom transcription parameters from the advanced settings panel.
+// Every value is optional; anything left out falls back to the difficulty
+// preset in transcribe-worker.js.
+//   onsetThresh, frameThresh, minNoteLen   Basic Pitch note detection
+//   minDuration, minVelocity, maxPolyphony,
+//   quantizeSubdivision                    applyQualityFilters (both hands)
+//   minPitch, maxPitch                     MIDI pitch range kept
+//   splitPitch                             fixed hand split point (MIDI note)
+const PARAM_SPECS = {
+  onsetThresh: { min: 0.05, max: 0.95 },
+  frameThresh: { min: 0.05, max: 0.95 },
+  minNoteLen: { min: 1, max: 50, integer: true },
+  minDuration: { min: 0, max: 2 },
+  minVelocity: { min: 0, max: 1 },
+  maxPolyphony: { min: 1, max: 10, integer: true },
+  quantizeSubdivision: { values: [1, 2, 3, 4, 6, 8, 12, 16] },
+  minPitch: { min: 21, max: 108, integer: true },
+  maxPitch: { min: 21, max: 108, integer: true },
+  splitPitch: { min: 21, max: 108, integer: true }
+};
+
+/**
+ * Validate custom parameters and drop empty ones. Returns a new object with
+ * numbers only; throws on unknown names or out-of-range values.
+ */
+function normalizeTranscriptionParams(params) {
+  const result = {};
+  if (!params) {
+    return result;
+  }
+
+  for (const [name, raw] of Object.entries(params)) {
+    const spec = PARAM_SPECS[name];
+    if (!spec) {
+      throw new Error(`Unknown transcription parameter: ${name}`);
+    }
+    if (raw === null || raw === undefined || raw === '') {
+      continue;
+    }
+
+    const value = Number(raw);
+    const valid = Number.isFinite(value) && (spec.values
+      ? spec.values.includes(value)
+      : value >= spec.min && value <= spec.max && (!spec.integer || Number.isInteger(value)));
+    if (!valid) {
+      const range = spec.values ? spec.values.join(', ') : `${spec.min}-${spec.max}`;
+      throw new Error(`Invalid transcription parameter ${name}: ${raw} (allowed: ${range})`);
+    }
+    result[name] = value;
+  }
+
+  if (result.minPitch !== undefined && result.maxPitch !== undefined && result.minPitch >= result.maxPitch) {
+    throw new Error('Transcription parameter minPitch must be below maxPitch');
+  }
+
+  return result;
+}
+
+module.exports = {
+  PARAM_SPECS,
+  normalizeTranscriptionParams
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+
+// Just enough of the WebSocket protocol (RFC 6455) for the local API's event
+// stream: the upgrade handshake, text messages to the client, and the
+// client's ping and close frames. Messages sent by clients are read only to
+// keep the stream in sync; the API does not use them.
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+  text: 0x1,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xA
+};
+
+// Client frames larger than this close the connection (1009 message too big)
+const MAX_CLIENT_PAYLOAD = 64 * 1024;
+
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = payload.length;
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  header[0] = 0x80 | opcode; // FIN: messages are never fragmented
+  return Buffer.concat([header, payload]);
+}
+
+function closePayload(code) {
+  const payload = Buffer.alloc(2);
+  payload.writeUInt16BE(code, 0);
+  return payload;
+}
+
+/**
+ * One accepted connection. send() queues a JSON message; onClose is called
+ * once when the connection ends for any reason.
+ */
+class WebSocketConnection {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.closed = false;
+    this.onClose = null;
+
+    socket.on('data', (chunk) => this.receive(chunk));
+    socket.on('close', () => this.finish());
+    socket.on('error', () => this.finish());
+  }
+
+  send(message) {
+    if (this.closed) return;
+    this.socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+  }
+
+  close(code = 1000) {
+    if (this.closed) return;
+    this.socket.end(encodeFrame(OPCODES.close, closePayload(code)));
+    this.finish();
+  }
+
+  finish() {
+    if (this.closed) return;
+    this.closed = true;
+    if (this.onClose) {
+      this.onClose();
+    }
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (!this.closed) {
+      const frame = this.readFrame();
+      if (!frame) return;
+
+      if (frame.opcode === OPCODES.close) {
+        this.close();
+      } else if (frame.opcode === OPCODES.ping) {
+        this.socket.write(encodeFrame(OPCODES.pong, frame.payload));
+      }
+    }
+  }
+
+  /**
+   * Take one complete frame off the buffer ({ opcode, payload }), or null
+   * when more data is needed. Protocol errors close the connection.
+   */
+  readFrame() {
+    const buffer = this.buffer;
+    if (buffer.length < 2) return null;
+
+    const opcode = buffer[0] & 0x0F;
+    const masked = Boolean(buffer[1] & 0x80);
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buffer.length < 4) return null;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return null;
+      const longLength = buffer.readBigUInt64BE(2);
+      length = longLength > BigInt(MAX_CLIENT_PAYLOAD) ? Infinity : Number(longLength);
+      offset = 10;
+    }
+
+    // Clients must mask their frames
+    if (!masked) {
+      this.close(1002);
+      return null;
+    }
+    if (length > MAX_CLIENT_PAYLOAD) {
+      this.close(1009);
+      return null;
+    }
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+
+    this.buffer = buffer.subarray(offset + 4 + length);
+    return { opcode, payload };
+  }
+}
+
+/**
+ * Whether an HTTP request asks for a WebSocket upgrade.
+ */
+function isWebSocketRequest(req) {
+  return (req.headers.upgrade || '').toLowerCase() === 'websocket';
+}
+
+/**
+ * Answer the upgrade request on its socket and return the connection, or
+ * null (after a 400 response) when the handshake headers are invalid.
+ */
+function acceptWebSocket(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (!isWebSocketRequest(req) || !key || req.headers['sec-websocket-version'] !== '13') {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  return new WebSocketConnection(socket);
+}
+
+module.exports = {
+  isWebSocketRequest,
+  acceptWebSocket
+};
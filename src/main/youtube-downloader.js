@@ -2,6 +2,7 @@ const YTDlpWrap = require('yt-dlp-wrap').default;
 const path = require('path');
 const fs = require('fs-extra');
 const fileManager = require('./file-manager');
+const { parseTimestamp } = require('./time-range');
 
 class YouTubeDownloader {
   constructor() {
@@ -47,6 +48,88 @@ class YouTubeDownloader {
     return patterns.some(pattern => pattern.test(url));
   }
 
+  /**
+   * Start time from a shared link (?t=90, &t=1m30s, ?start=90), or null.
+   */
+  parseStartTime(url) {
+    const match = (url || '').match(/[?&#](?:t|start)=([\dhms.:]+)/);
+    if (!match) {
+      return null;
+    }
+
+    try {
+      return parseTimestamp(match[1]);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Playlist (list=) and channel (@handle, /channel/, /c/, /user/) URLs
+   * that should be expanded into one job per video.
+   */
+  isPlaylistUrl(url) {
+    const patterns = [
+      /^(https?:\/\/)?(www\.|m\.)?youtube\.com\/(playlist|watch)\?.*\blist=[\w-]+/,
+      /^(https?:\/\/)?(www\.|m\.)?youtube\.com\/(@[\w.-]+|channel\/[\w-]+|c\/[\w.-]+|user\/[\w.-]+)(\/(videos|streams|shorts|playlists))?\/?$/
+    ];
+
+    return patterns.some(pattern => pattern.test(url));
+  }
+
+  /**
+   * List the videos of a playlist or channel without downloading them
+   * (yt-dlp --flat-playlist). Returns [{ url, title, duration }].
+   */
+  async expandPlaylist(url) {
+    if (!this.isPlaylistUrl(url)) {
+      throw new Error('Invalid YouTube playlist or channel URL');
+    }
+
+    if (!this.ytDlpPath) {
+      await this.initialize();
+    }
+
+    // watch?v=...&list=... → expand the whole list, not just the video
+    const listMatch = url.match(/[?&]list=([\w-]+)/);
+    if (listMatch) {
+      url = `https://www.youtube.com/playlist?list=${listMatch[1]}`;
+    } else if (!/\/(videos|streams|shorts|playlists)\/?$/.test(url)) {
+      // Channel root lists its tabs; the uploads tab lists the videos
+      url = url.replace(/\/?$/, '/videos');
+    }
+
+    try {
+      console.log('Expanding playlist:', url);
+
+      const infoString = await this.ytDlp.execPromise([
+        url,
+        '--flat-playlist',
+        '--dump-single-json',
+        '--no-warnings'
+      ]);
+
+      const info = JSON.parse(infoString);
+      const entries = (info.entries || [])
+        .filter(entry => entry && entry.id && /^[\w-]{11}$/.test(entry.id))
+        .map(entry => ({
+          url: `https://www.youtube.com/watch?v=${entry.id}`,
+          title: entry.title || entry.id,
+          duration: entry.duration || 0
+        }));
+
+      console.log(`Playlist "${info.title}": ${entries.length} videos`);
+
+      return {
+        title: info.title || 'Playlist',
+        entries
+      };
+    } catch (error) {
+      console.error('Failed to expand playlist:', error);
+      throw new Error('Failed to retrieve playlist: ' + (error.message || error.toString()));
+    }
+  }
+
   async getVideoInfo(url) {
     try {
       console.log('Fetching video info for:', url);
@@ -76,6 +159,7 @@ class YouTubeDownloader {
       });
 
       return {
+        id: info.id || null,
         title: info.title || 'Unknown Title',
         duration: info.duration || 0,
         uploader: info.uploader || 'Unknown'
@@ -94,7 +178,13 @@ class YouTubeDownloader {
     }
   }
 
-  async downloadVideo(url, progressCallback) {
+  /**
+   * Download a video to temp/. options.clip = { start, end } downloads only
+   * that section (end null = to the end), cut at exact times.
+   * options.beforeDownload(videoInfo) runs once the info is known and may
+   * throw to stop before anything is downloaded.
+   */
+  async downloadVideo(url, progressCallback, options = {}) {
     if (!this.validateYouTubeUrl(url)) {
       throw new Error('Invalid YouTube URL');
     }
@@ -119,13 +209,16 @@ class YouTubeDownloader {
     try {
       // Get video info first
       const videoInfo = await this.getVideoInfo(url);
+      if (options.beforeDownload) {
+        await options.beforeDownload(videoInfo);
+      }
 
       if (progressCallback) {
         progressCallback(0, 'Downloading video...');
       }
 
       // Download options - simplified and more robust
-      const options = [
+      const args = [
         url,
         '-f', 'best[ext=mp4]/best',
         '-o', outputPath,
@@ -134,14 +227,22 @@ class YouTubeDownloader {
         '--newline'
       ];
 
+      if (options.clip) {
+        const { start, end } = options.clip;
+        args.push(
+          '--download-sections', `*${start}-${end === null ? 'inf' : end}`,
+          '--force-keyframes-at-cuts'
+        );
+      }
+
       return new Promise((resolve, reject) => {
-        this.currentProcess = this.ytDlp.exec(options);
+        this.currentProcess = this.ytDlp.exec(args);
 
         let lastProgress = 0;
 
         this.currentProcess.on('progress', (progress) => {
           if (this.isCancelled) {
-            this.currentProcess.kill();
+            this.cancel();
             return;
           }
 
@@ -155,6 +256,7 @@ class YouTubeDownloader {
         });
 
         this.currentProcess.on('close', (code) => {
+          this.currentProcess = null;
           if (this.isCancelled) {
             reject(new Error('Download cancelled'));
             return;
@@ -172,6 +274,7 @@ class YouTubeDownloader {
         });
 
         this.currentProcess.on('error', (error) => {
+          this.currentProcess = null;
           reject(new Error(`Download error: ${error.message}`));
         });
       });
@@ -183,8 +286,9 @@ class YouTubeDownloader {
 
   cancel() {
     this.isCancelled = true;
+    // exec() returns an EventEmitter; the child process is its ytDlpProcess
     if (this.currentProcess) {
-      this.currentProcess.kill();
+      this.currentProcess.ytDlpProcess.kill('SIGKILL');
     }
   }
 }
@@ -1,8 +1,11 @@
 // Main application logic for renderer process
-let isProcessing = false;
+let isProcessing = false; // a queued job is running
 let generatedPdfPath = null;
 let generatedOutputDir = null;
+let generatedMusicXmlPath = null;
+let runningJobId = null;
 let latestRecommendation = null;
+let paramPresets = []; // saved advanced settings ([{ name, params }])
 
 function getRadioValue(name, fallback = '') {
   const checked = document.querySelector(`input[name="${name}"]:checked`);
@@ -14,10 +17,154 @@ function setRadioValue(name, value) {
   if (target) target.checked = true;
 }
 
-function setRadioGroupDisabled(name, disabled) {
-  document.querySelectorAll(`input[name="${name}"]`).forEach(el => {
-    el.disabled = disabled;
+function getConversionOptions() {
+  return {
+    useSeparation: document.getElementById('use-separation')?.checked ?? false,
+    separationBackend: document.getElementById('separation-backend')?.value || 'demucs:htdemucs',
+    qualityMode: getRadioValue('quality-mode', 'intermediate'),
+    sourceType: getRadioValue('source-type', 'unknown'),
+    targetPriority: getRadioValue('target-priority', 'balanced'),
+    issueOffbeat: document.getElementById('issue-offbeat')?.checked ?? false,
+    issueWrongNotes: document.getElementById('issue-wrong-notes')?.checked ?? false,
+    clipStart: document.getElementById('clip-start')?.value.trim() || null,
+    clipEnd: document.getElementById('clip-end')?.value.trim() || null,
+    transcriptionParams: getTranscriptionParams(),
+    paramPresetName: document.getElementById('param-preset-select')?.value || null
+  };
+}
+
+// Conversion choices restored on launch (settings store); the rest of the
+// options (clip, advanced parameters) are per song
+const CONVERSION_RADIOS = { qualityMode: 'quality-mode', sourceType: 'source-type', targetPriority: 'target-priority' };
+const CONVERSION_TOGGLES = { useSeparation: 'use-separation', issueOffbeat: 'issue-offbeat', issueWrongNotes: 'issue-wrong-notes' };
+
+function getConversionSettings() {
+  const options = getConversionOptions();
+  const settings = { separationBackend: options.separationBackend };
+  [...Object.keys(CONVERSION_RADIOS), ...Object.keys(CONVERSION_TOGGLES)].forEach(name => {
+    settings[name] = options[name];
+  });
+  return settings;
+}
+
+function applyConversionSettings(conversion = {}) {
+  Object.entries(CONVERSION_RADIOS).forEach(([name, radioName]) => {
+    if (conversion[name]) setRadioValue(radioName, conversion[name]);
+  });
+  Object.entries(CONVERSION_TOGGLES).forEach(([name, id]) => {
+    const toggle = document.getElementById(id);
+    if (toggle && typeof conversion[name] === 'boolean') toggle.checked = conversion[name];
+  });
+  const backendSelect = document.getElementById('separation-backend');
+  if (backendSelect && conversion.separationBackend) backendSelect.value = conversion.separationBackend;
+
+  // Sync the backend select and the recommendation text
+  document.getElementById('use-separation')?.dispatchEvent(new Event('change'));
+  document.querySelector('input[name="source-type"]:checked')?.dispatchEvent(new Event('change'));
+}
+
+async function saveConversionSettings() {
+  try {
+    await window.electronAPI.updateSettings({ conversion: getConversionSettings() });
+  } catch (error) {
+    addLog(`설정 저장 실패: ${error.message}`, 'error');
+  }
+}
+
+// Advanced settings: only filled-in fields are sent (the rest use the difficulty preset)
+function getTranscriptionParams() {
+  const params = {};
+  document.querySelectorAll('[data-param]').forEach(input => {
+    const value = input.value.trim();
+    if (value !== '') {
+      params[input.dataset.param] = Number(value);
+    }
+  });
+  return params;
+}
+
+function setTranscriptionParams(params = {}) {
+  document.querySelectorAll('[data-param]').forEach(input => {
+    const value = params[input.dataset.param];
+    input.value = value === undefined || value === null ? '' : String(value);
+  });
+}
+
+async function loadParamPresets(selectedName = '') {
+  const select = document.getElementById('param-preset-select');
+  if (!select) return;
+
+  try {
+    paramPresets = await window.electronAPI.getParamPresets();
+    select.innerHTML = '<option value="">프리셋 없음</option>' + paramPresets
+      .map(preset => `<option value="${escapeAttr(preset.name)}">${escapeAttr(preset.name)}</option>`)
+      .join('');
+    select.value = paramPresets.some(preset => preset.name === selectedName) ? selectedName : '';
+  } catch (error) {
+    addLog(`프리셋 불러오기 실패: ${error.message}`, 'error');
+  }
+}
+
+function initializeParamPresets() {
+  const select = document.getElementById('param-preset-select');
+  const nameInput = document.getElementById('param-preset-name');
+  if (!select) return;
+
+  select.addEventListener('change', () => {
+    const preset = paramPresets.find(item => item.name === select.value);
+    setTranscriptionParams(preset ? preset.params : {});
+    nameInput.value = preset ? preset.name : '';
+  });
+
+  // Editing a value turns the selection back into unnamed custom settings
+  document.querySelectorAll('[data-param]').forEach(input => {
+    input.addEventListener('input', () => { select.value = ''; });
   });
+
+  document.getElementById('save-param-preset-btn').addEventListener('click', async () => {
+    const name = nameInput.value.trim();
+    if (!name) {
+      addLog('프리셋 이름을 입력하세요.', 'error');
+      return;
+    }
+    try {
+      await window.electronAPI.saveParamPreset(name, getTranscriptionParams());
+      await loadParamPresets(name);
+      addLog(`프리셋 저장: ${name}`, 'success');
+    } catch (error) {
+      addLog(`프리셋 저장 실패: ${error.message}`, 'error');
+    }
+  });
+
+  document.getElementById('delete-param-preset-btn').addEventListener('click', async () => {
+    if (!select.value) return;
+    const name = select.value;
+    try {
+      await window.electronAPI.deleteParamPreset(name);
+      await loadParamPresets();
+      nameInput.value = '';
+      addLog(`프리셋 삭제: ${name}`, 'info');
+    } catch (error) {
+      addLog(`프리셋 삭제 실패: ${error.message}`, 'error');
+    }
+  });
+
+  loadParamPresets();
+}
+
+// 90, 1:30, 01:02:03, 1m30s (same formats the main process accepts)
+function isValidClipTime(value) {
+  if (!value) return true;
+  return /^(\d+(\.\d+)?s?|\d+(:\d{1,2}){1,2}(\.\d+)?|(\d+h)?(\d+m)?(\d+s)?)$/.test(value);
+}
+
+function validateClipInputs() {
+  const { clipStart, clipEnd } = getConversionOptions();
+  if (!isValidClipTime(clipStart) || !isValidClipTime(clipEnd)) {
+    showUrlError('구간 시간은 1:30 또는 90 형식으로 입력하세요');
+    return false;
+  }
+  return true;
 }
 
 function escapeAttr(value) {
@@ -32,6 +179,9 @@ function escapeAttr(value) {
 // Initialize app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
   initializeEventListeners();
+  initializeParamPresets();
+  initializeSettings();
+  initializeLibrary();
   setupIPCListeners();
   loadHistory();
 });
@@ -43,7 +193,10 @@ function initializeEventListeners() {
   const clearLogBtn = document.getElementById('clear-log-btn');
   const openPdfBtn = document.getElementById('open-pdf-btn');
   const openFolderBtn = document.getElementById('open-folder-btn');
+  const openMusicXmlBtn = document.getElementById('open-musicxml-btn');
+  const openFileBtn = document.getElementById('open-file-btn');
   const useSeparationToggle = document.getElementById('use-separation');
+  const separationBackendSelect = document.getElementById('separation-backend');
   const qualityModeRadios = document.querySelectorAll('input[name="quality-mode"]');
   const sourceTypeRadios = document.querySelectorAll('input[name="source-type"]');
   const targetPriorityRadios = document.querySelectorAll('input[name="target-priority"]');
@@ -65,12 +218,22 @@ function initializeEventListeners() {
   startBtn.addEventListener('click', async () => {
     const url = urlInput.value.trim();
 
-    if (!validateYouTubeUrl(url)) {
+    // Playlist/channel: convert every video (watch?v=...&list=... asks first)
+    const isSingleVideo = validateYouTubeUrl(url);
+    if (isPlaylistUrl(url) && (!isSingleVideo || window.confirm('재생목록 전체를 변환할까요?\n(취소하면 이 영상만 변환합니다)'))) {
+      clearUrlError();
+      if (!validateClipInputs()) return;
+      await startBatch(url, getConversionOptions());
+      return;
+    }
+
+    if (!isSingleVideo) {
       showUrlError('유효한 YouTube URL을 입력하세요');
       return;
     }
 
     clearUrlError();
+    if (!validateClipInputs()) return;
 
     if (!latestRecommendation) {
       refreshRecommendation();
@@ -80,26 +243,74 @@ function initializeEventListeners() {
       addLog(`권장: ${latestRecommendation.summary}`, 'info');
     }
 
-    await startProcessing(url, {
-      useSeparation: useSeparationToggle ? useSeparationToggle.checked : false,
-      qualityMode: getRadioValue('quality-mode', 'intermediate'),
-      sourceType: getRadioValue('source-type', 'unknown'),
-      targetPriority: getRadioValue('target-priority', 'balanced'),
-      issueOffbeat: issueOffbeatToggle ? issueOffbeatToggle.checked : false,
-      issueWrongNotes: issueWrongNotesToggle ? issueWrongNotesToggle.checked : false
-    });
+    await startProcessing({ url }, getConversionOptions());
+  });
+
+  // Convert a local audio/video file picked via dialog
+  openFileBtn.addEventListener('click', async () => {
+    const selected = await window.electronAPI.importMediaFile();
+    if (!selected) return;
+    clearUrlError();
+    if (!validateClipInputs()) return;
+    await startProcessing({ filePath: selected.filePath }, getConversionOptions());
+  });
+
+  // Drag-and-drop a local file onto the window
+  document.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    document.body.classList.add('drag-over');
   });
 
-  // Cancel processing
+  document.addEventListener('dragleave', (e) => {
+    if (!e.relatedTarget) document.body.classList.remove('drag-over');
+  });
+
+  document.addEventListener('drop', async (e) => {
+    e.preventDefault();
+    document.body.classList.remove('drag-over');
+
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    const filePath = window.electronAPI.getPathForFile(file);
+    if (!filePath) return;
+
+    clearUrlError();
+    if (!validateClipInputs()) return;
+    await startProcessing({ filePath }, getConversionOptions());
+  });
+
+  // Cancel the running job (queued jobs keep going)
   cancelBtn.addEventListener('click', async () => {
     await window.electronAPI.cancelProcessing();
     addLog('처리가 취소되었습니다.', 'warning');
-    resetUI();
+  });
+
+  // Queue item actions: reorder, cancel, remove
+  document.getElementById('queue-list').addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+
+    const { action, id } = btn.dataset;
+    try {
+      if (action === 'up' || action === 'down') {
+        await window.electronAPI.moveJob(id, Number(btn.dataset.toIndex));
+      } else if (action === 'cancel') {
+        await window.electronAPI.cancelJob(id);
+      } else if (action === 'remove') {
+        await window.electronAPI.removeJob(id);
+      }
+    } catch (error) {
+      addLog(`대기열 오류: ${error.message}`, 'error');
+    }
+  });
+
+  document.getElementById('clear-finished-btn').addEventListener('click', async () => {
+    await window.electronAPI.clearFinishedJobs();
   });
 
   // Enter key in URL input
   urlInput.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter' && !isProcessing) {
+    if (e.key === 'Enter') {
       startBtn.click();
     }
   });
@@ -116,6 +327,13 @@ function initializeEventListeners() {
     }
   });
 
+  // Open generated MusicXML (in MuseScore/Finale, whichever is associated)
+  openMusicXmlBtn.addEventListener('click', async () => {
+    if (generatedMusicXmlPath) {
+      await window.electronAPI.openPdf(generatedMusicXmlPath);
+    }
+  });
+
   // Open output folder (open the song's subfolder if available)
   openFolderBtn.addEventListener('click', async () => {
     const dir = generatedOutputDir || await window.electronAPI.getOutputDir();
@@ -124,6 +342,40 @@ function initializeEventListeners() {
     }
   });
 
+  // Rebuild the last song at another difficulty from its saved analysis
+  const regenerateBtn = document.getElementById('regenerate-btn');
+  regenerateBtn.addEventListener('click', async () => {
+    if (!generatedOutputDir) return;
+
+    const { issueOffbeat, issueWrongNotes, transcriptionParams, paramPresetName } = getConversionOptions();
+    const qualityMode = document.getElementById('regenerate-quality').value;
+    regenerateBtn.disabled = true;
+    addLog(`다른 난이도로 다시 만드는 중: ${qualityMode}`, 'info');
+
+    try {
+      const result = await window.electronAPI.regenerateDifficulty({
+        outputDir: generatedOutputDir,
+        qualityMode,
+        issueOffbeat,
+        issueWrongNotes,
+        transcriptionParams,
+        paramPresetName
+      });
+      generatedPdfPath = result.pdfPath;
+      generatedMusicXmlPath = result.musicXmlPath;
+      document.getElementById('open-pdf-btn').disabled = !generatedPdfPath;
+      document.getElementById('open-musicxml-btn').disabled = !generatedMusicXmlPath;
+      document.getElementById('result-message').textContent = result.pdfPath
+        ? '새 난이도의 MIDI 파일과 PDF 악보가 생성되었습니다.'
+        : '새 난이도의 MIDI 파일이 생성되었습니다. (PDF 악보 생성 실패)';
+      addLog(`생성 완료: ${result.midiPath}`, 'success');
+    } catch (error) {
+      addLog(`오류 발생: ${error.message}`, 'error');
+    } finally {
+      regenerateBtn.disabled = false;
+    }
+  });
+
   // Help and about links
   document.getElementById('help-link').addEventListener('click', (e) => {
     e.preventDefault();
@@ -154,6 +406,7 @@ function initializeEventListeners() {
         refreshRecommendation();
       }
       applyRecommendation(latestRecommendation, useSeparationToggle);
+      saveConversionSettings();
     });
   }
 
@@ -162,8 +415,31 @@ function initializeEventListeners() {
     el.addEventListener('change', refreshRecommendation);
   });
 
+  // The backend only matters while separation is on
+  const syncBackendSelect = () => {
+    if (separationBackendSelect && useSeparationToggle) {
+      separationBackendSelect.disabled = !useSeparationToggle.checked;
+    }
+  };
+  if (useSeparationToggle) {
+    useSeparationToggle.addEventListener('change', syncBackendSelect);
+  }
+
   refreshRecommendation();
   applyRecommendation(latestRecommendation, useSeparationToggle, false);
+  syncBackendSelect();
+
+  // The last session's choices replace the recommendation; save changes
+  // only once they are restored so the defaults do not overwrite them
+  window.electronAPI.getSettings()
+    .then(settings => applyConversionSettings(settings.conversion))
+    .catch(error => addLog(`설정 불러오기 실패: ${error.message}`, 'error'))
+    .finally(() => {
+      [...sourceTypeRadios, ...targetPriorityRadios, ...qualityModeRadios, useSeparationToggle,
+        separationBackendSelect, issueOffbeatToggle, issueWrongNotesToggle].forEach(el => {
+        if (el) el.addEventListener('change', saveConversionSettings);
+      });
+    });
 }
 
 function setupIPCListeners() {
@@ -172,36 +448,120 @@ function setupIPCListeners() {
     updateProgress(data.step, data.percentage, data.message);
   });
 
-  // Error events
+  // Error events (the failed job is marked in the queue; the next one continues)
   window.electronAPI.onError((data) => {
     addLog(`오류: ${data.message}`, 'error');
-    resetUI();
-    isProcessing = false;
+    resetProgress();
   });
 
   // Completion events
   window.electronAPI.onComplete((data) => {
     generatedPdfPath = data.pdfPath;
     generatedOutputDir = data.outputDir || null;
+    generatedMusicXmlPath = data.musicXmlPath || null;
     showSuccess(data.pdfPath, data.filename);
-    isProcessing = false;
   });
+
+  // Difficulty regeneration progress (shown in the result card)
+  window.electronAPI.onRegenerateProgress(({ percent, message }) => {
+    document.getElementById('result-message').textContent = `다시 만드는 중 (${percent}%): ${message}`;
+  });
+
+  // Queue changes
+  window.electronAPI.onQueueUpdate(({ jobs }) => {
+    renderQueue(jobs);
+  });
+
+  window.electronAPI.getQueue().then(renderQueue);
 }
 
-async function startProcessing(url, options) {
-  if (isProcessing) return;
+// source: { url } for YouTube, { filePath } for a local audio/video file
+async function startProcessing(source, options) {
+  try {
+    const job = await window.electronAPI.startProcessing({ ...source, options });
+    addLog(`대기열에 추가: ${job.title}`, 'info');
+  } catch (error) {
+    addLog(`오류 발생: ${error.message}`, 'error');
+  }
+}
 
-  isProcessing = true;
-  prepareUI();
-  addLog(`처리 시작: ${url}`, 'info');
+async function startBatch(url, options) {
+  addLog(`재생목록 불러오는 중: ${url}`, 'info');
 
   try {
-    await window.electronAPI.startProcessing({ url, options });
+    const result = await window.electronAPI.startBatch({ url, options });
+    addLog(`재생목록 '${result.title}': ${result.jobs.length}개 영상을 대기열에 추가했습니다.`, 'success');
   } catch (error) {
     addLog(`오류 발생: ${error.message}`, 'error');
+  }
+}
+
+function renderQueue(jobs) {
+  const statusLabel = {
+    pending: '대기',
+    running: '진행 중',
+    done: '완료',
+    failed: '실패',
+    cancelled: '취소'
+  };
+
+  // Progress steps restart for each job
+  const running = jobs.find(job => job.status === 'running');
+  if (running && running.id !== runningJobId) {
+    runningJobId = running.id;
+    prepareUI();
+    addLog(`처리 시작: ${running.title}`, 'info');
+  } else if (!running && runningJobId) {
+    runningJobId = null;
     resetUI();
-    isProcessing = false;
   }
+  isProcessing = Boolean(running);
+
+  const count = (status) => jobs.filter(job => job.status === status).length;
+  document.getElementById('queue-section').classList.toggle('active', jobs.length > 0);
+  document.getElementById('queue-summary').textContent =
+    `대기 ${count('pending')} · 완료 ${count('done')} · 실패 ${count('failed')}`;
+
+  // Reorder targets are the neighbouring pending jobs
+  const pendingIndexes = jobs
+    .map((job, index) => (job.status === 'pending' ? index : -1))
+    .filter(index => index !== -1);
+
+  document.getElementById('queue-list').innerHTML = jobs.map((job, index) => {
+    const pendingPos = pendingIndexes.indexOf(index);
+    const actions = [];
+
+    if (job.status === 'pending') {
+      if (pendingPos > 0) {
+        actions.push(`<button class="history-action" data-action="up" data-id="${job.id}" data-to-index="${pendingIndexes[pendingPos - 1]}" type="button">▲</button>`);
+      }
+      if (pendingPos < pendingIndexes.length - 1) {
+        actions.push(`<button class="history-action" data-action="down" data-id="${job.id}" data-to-index="${pendingIndexes[pendingPos + 1]}" type="button">▼</button>`);
+      }
+    }
+    if (job.status === 'pending' || job.status === 'running') {
+      actions.push(`<button class="history-action" data-action="cancel" data-id="${job.id}" type="button">취소</button>`);
+    } else {
+      actions.push(`<button class="history-action" data-action="remove" data-id="${job.id}" type="button">삭제</button>`);
+    }
+
+    return `<div class="queue-item" title="${escapeAttr(job.error || job.url || job.filePath)}">
+      <span class="queue-item-title">${escapeAttr(job.title)}</span>
+      <span class="queue-status ${job.status}">${statusLabel[job.status] || job.status}</span>
+      <div class="queue-actions">${actions.join('')}</div>
+    </div>`;
+  }).join('');
+}
+
+function isPlaylistUrl(url) {
+  if (!url) return false;
+
+  const patterns = [
+    /^(https?:\/\/)?(www\.|m\.)?youtube\.com\/(playlist|watch)\?.*\blist=[\w-]+/,
+    /^(https?:\/\/)?(www\.|m\.)?youtube\.com\/(@[\w.-]+|channel\/[\w-]+|c\/[\w.-]+|user\/[\w.-]+)(\/(videos|streams|shorts|playlists))?\/?$/
+  ];
+
+  return patterns.some(pattern => pattern.test(url));
 }
 
 function validateYouTubeUrl(url) {
@@ -217,17 +577,7 @@ function validateYouTubeUrl(url) {
 }
 
 function prepareUI() {
-  // Disable input and controls
-  document.getElementById('youtube-url').disabled = true;
-  document.getElementById('start-btn').disabled = true;
   document.getElementById('cancel-btn').disabled = false;
-  ['use-separation', 'issue-offbeat', 'issue-wrong-notes', 'apply-recommended-btn'].forEach(id => {
-    const el = document.getElementById(id);
-    if (el) el.disabled = true;
-  });
-  setRadioGroupDisabled('quality-mode', true);
-  setRadioGroupDisabled('source-type', true);
-  setRadioGroupDisabled('target-priority', true);
 
   // Show progress section
   document.getElementById('progress-section').classList.add('active');
@@ -240,22 +590,10 @@ function prepareUI() {
 }
 
 function resetUI() {
-  // Enable input and controls
-  document.getElementById('youtube-url').disabled = false;
-  document.getElementById('start-btn').disabled = false;
   document.getElementById('cancel-btn').disabled = true;
-  ['use-separation', 'issue-offbeat', 'issue-wrong-notes', 'apply-recommended-btn'].forEach(id => {
-    const el = document.getElementById(id);
-    if (el) el.disabled = false;
-  });
-  setRadioGroupDisabled('quality-mode', false);
-  setRadioGroupDisabled('source-type', false);
-  setRadioGroupDisabled('target-priority', false);
 
   // Reset progress
   resetProgress();
-
-  isProcessing = false;
 }
 
 function showSuccess(pdfPath, filename) {
@@ -266,19 +604,12 @@ function showSuccess(pdfPath, filename) {
   const resultSection = document.getElementById('result-section');
   const resultMessage = document.getElementById('result-message');
   resultSection.classList.add('active');
-  resultMessage.textContent = `${filename} 파일이 생성되었습니다.`;
-
-  // Enable input
-  document.getElementById('youtube-url').disabled = false;
-  document.getElementById('start-btn').disabled = false;
-  document.getElementById('cancel-btn').disabled = true;
-  ['use-separation', 'issue-offbeat', 'issue-wrong-notes', 'apply-recommended-btn'].forEach(id => {
-    const el = document.getElementById(id);
-    if (el) el.disabled = false;
-  });
-  setRadioGroupDisabled('quality-mode', false);
-  setRadioGroupDisabled('source-type', false);
-  setRadioGroupDisabled('target-priority', false);
+  resultMessage.textContent = pdfPath
+    ? `${filename} 파일과 PDF 악보가 생성되었습니다.`
+    : `${filename} 파일이 생성되었습니다. (PDF 악보 생성 실패)`;
+  document.getElementById('open-pdf-btn').disabled = !pdfPath;
+  document.getElementById('open-musicxml-btn').disabled = !generatedMusicXmlPath;
+  document.getElementById('regenerate-btn').disabled = !generatedOutputDir;
 
   addLog(`변환 완료: ${filename}`, 'success');
   loadHistory();
@@ -300,94 +631,413 @@ function clearUrlError() {
   errorSpan.textContent = '';
 }
 
+// ─── Song library (history panel) ─────────────────
+
+let librarySearchTimer = null;
+
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function initializeLibrary() {
+  const listEl = document.getElementById('history-list');
+  const searchInput = document.getElementById('library-search');
+
+  searchInput.addEventListener('input', () => {
+    clearTimeout(librarySearchTimer);
+    librarySearchTimer = setTimeout(loadHistory, 200);
+  });
+  document.getElementById('library-filters').addEventListener('change', (e) => {
+    if (e.target !== searchInput) loadHistory();
+  });
+
+  listEl.addEventListener('click', async (e) => {
+    const item = e.target.closest('.history-item');
+    if (!item || e.target.closest('.history-tag-input')) return;
+
+    const tag = e.target.closest('.history-tag');
+    const button = e.target.closest('[data-action]');
+
+    if (tag) {
+      searchInput.value = `#${tag.dataset.tag}`;
+      await loadHistory();
+    } else if (button) {
+      await handleLibraryAction(button.dataset.action, item);
+    } else if (item.dataset.url) {
+      // Click to fill URL input
+      const urlInput = document.getElementById('youtube-url');
+      urlInput.value = item.dataset.url;
+      clearUrlError();
+      urlInput.focus();
+    }
+  });
+
+  listEl.addEventListener('keydown', async (e) => {
+    const input = e.target.closest('.history-tag-input');
+    if (!input) return;
+    if (e.key === 'Escape') {
+      await loadHistory();
+    } else if (e.key === 'Enter') {
+      try {
+        await window.electronAPI.setSongTags(input.dataset.id, input.value);
+      } catch (error) {
+        addLog(`태그 저장 실패: ${error.message}`, 'error');
+      }
+      await loadHistory();
+    }
+  });
+}
+
+function getLibraryFilters() {
+  const number = (id, scale = 1) => {
+    const value = parseFloat(document.getElementById(id).value);
+    return Number.isFinite(value) ? value * scale : null;
+  };
+  return {
+    text: document.getElementById('library-search').value,
+    favorite: document.getElementById('library-favorite').checked,
+    difficulty: document.getElementById('library-difficulty').value || null,
+    key: document.getElementById('library-key').value || null,
+    bpmMin: number('library-bpm-min'),
+    bpmMax: number('library-bpm-max'),
+    durationMin: number('library-duration-min', 60),
+    durationMax: number('library-duration-max', 60),
+    sort: document.getElementById('library-sort').value
+  };
+}
+
+function renderLibraryKeys(keys) {
+  const select = document.getElementById('library-key');
+  const current = select.value;
+  select.innerHTML = '<option value="">모든 조성</option>' +
+    keys.map(key => `<option value="${escapeAttr(key)}">${escapeAttr(key)}</option>`).join('');
+  select.value = keys.includes(current) ? current : '';
+}
+
+async function handleLibraryAction(action, item) {
+  const id = item.dataset.id;
+  const title = item.getAttribute('title') || '이 항목';
+
+  if (action === 'favorite') {
+    await window.electronAPI.setSongFavorite(id, item.dataset.favorite !== 'true');
+    await loadHistory();
+  } else if (action === 'tags') {
+    if (item.querySelector('.history-tag-input')) return;
+    const input = document.createElement('input');
+    input.className = 'history-tag-input';
+    input.dataset.id = id;
+    input.value = item.dataset.tags;
+    input.placeholder = '쉼표로 구분, Enter로 저장';
+    item.querySelector('.history-main').appendChild(input);
+    input.focus();
+  } else if (action === 'reconvert') {
+    const { url, filePath } = item.dataset;
+    if (!url && !filePath) return;
+    addLog(`히스토리 재변환 시작: ${title}`, 'info');
+    await startProcessing(url ? { url } : { filePath }, getConversionOptions());
+  } else if (action === 'delete') {
+    if (isProcessing) return;
+    const ok = window.confirm(`'${title}' 변환 기록과 생성 파일을 삭제할까요?`);
+    if (!ok) return;
+
+    try {
+      const result = await window.electronAPI.deleteHistoryEntry({ id });
+      if (result && result.removed) {
+        addLog(`삭제 완료: ${title}`, 'success');
+        await loadHistory();
+      } else {
+        addLog(`삭제 실패: ${result?.message || '알 수 없는 오류'}`, 'error');
+      }
+    } catch (err) {
+      addLog(`삭제 실패: ${err.message}`, 'error');
+    }
+  }
+}
+
 async function loadHistory() {
   try {
-    const history = await window.electronAPI.getHistory();
+    const filters = getLibraryFilters();
+    const { songs, keys } = await window.electronAPI.queryLibrary(filters);
     const listEl = document.getElementById('history-list');
+    renderLibraryKeys(keys);
 
-    if (!history || history.length === 0) {
-      listEl.innerHTML = '<div class="history-empty">변환 기록이 없습니다.</div>';
+    if (songs.length === 0) {
+      const filtered = document.getElementById('library-search').value.trim() ||
+        filters.favorite || filters.difficulty || filters.key ||
+        [filters.bpmMin, filters.bpmMax, filters.durationMin, filters.durationMax].some(value => value !== null);
+      listEl.innerHTML = `<div class="history-empty">${filtered ? '검색 결과가 없습니다.' : '변환 기록이 없습니다.'}</div>`;
       return;
     }
 
-    listEl.innerHTML = history.map(entry => {
-      const date = new Date(entry.timestamp);
+    listEl.innerHTML = songs.map(song => {
+      const date = new Date(song.updatedAt);
       const dateStr = `${date.getFullYear()}.${String(date.getMonth() + 1).padStart(2, '0')}.${String(date.getDate()).padStart(2, '0')}`;
-      const title = entry.title.length > 40 ? entry.title.slice(0, 40) + '...' : entry.title;
-      const canReconvert = Boolean(entry.url);
-      const safeUrl = escapeAttr(entry.url || '');
-      const safeTitle = escapeAttr(entry.title || '');
-      const safeTitleText = escapeAttr(title);
-      return `<div class="history-item" data-url="${safeUrl}" title="${safeTitle}">
-        <span class="history-title">${safeTitleText}</span>
+      const title = song.title.length > 40 ? song.title.slice(0, 40) + '...' : song.title;
+      const canReconvert = Boolean(song.url || song.filePath);
+      const meta = [
+        song.uploader,
+        song.bpm ? `${Math.round(song.bpm)} BPM` : null,
+        song.key,
+        song.duration ? formatDuration(song.duration) : null,
+        song.charts.map(chart => chart.difficulty).join('/') || (song.vocal ? '보컬' : null)
+      ].filter(Boolean).join(' · ');
+      const tags = song.tags.map(tag =>
+        `<button class="history-tag" data-tag="${escapeAttr(tag)}" type="button">#${escapeAttr(tag)}</button>`).join('');
+      return `<div class="history-item" data-id="${escapeAttr(song.id)}" data-url="${escapeAttr(song.url || '')}" data-file-path="${escapeAttr(song.filePath || '')}" data-favorite="${song.favorite}" data-tags="${escapeAttr(song.tags.join(', '))}" title="${escapeAttr(song.title)}">
+        <div class="history-main">
+          <span class="history-title">${escapeAttr(title)}</span>
+          <span class="history-meta">${escapeAttr(meta)}</span>
+          ${tags ? `<div class="history-tags">${tags}</div>` : ''}
+        </div>
         <div class="history-right">
+          <button class="history-favorite" data-action="favorite" type="button" title="즐겨찾기">${song.favorite ? '★' : '☆'}</button>
           <span class="history-date">${dateStr}</span>
-          <button class="history-action history-reconvert" data-url="${safeUrl}" data-title="${safeTitle}" type="button" ${canReconvert ? '' : 'disabled'}>${canReconvert ? '재변환' : 'URL없음'}</button>
-          <button class="history-action history-delete" data-url="${safeUrl}" data-title="${safeTitle}" type="button">삭제</button>
+          <button class="history-action" data-action="tags" type="button">태그</button>
+          <button class="history-action history-reconvert" data-action="reconvert" type="button" ${canReconvert ? '' : 'disabled'}>${canReconvert ? '재변환' : 'URL없음'}</button>
+          <button class="history-action history-delete" data-action="delete" type="button">삭제</button>
         </div>
       </div>`;
     }).join('');
+  } catch (error) {
+    console.error('Failed to load history:', error);
+  }
+}
 
-    // Click to fill URL input
-    listEl.querySelectorAll('.history-item').forEach(item => {
-      item.addEventListener('click', () => {
-        if (isProcessing) return;
-        if (!item.dataset.url) return;
-        const urlInput = document.getElementById('youtube-url');
-        urlInput.value = item.dataset.url;
-        clearUrlError();
-        urlInput.focus();
-      });
-    });
+// ─── Settings screen ───────────────────────────────
 
-    listEl.querySelectorAll('.history-reconvert').forEach(btn => {
-      btn.addEventListener('click', async (e) => {
-        e.stopPropagation();
-        if (isProcessing) return;
-        const url = btn.dataset.url;
-        if (!url) return;
-        addLog(`히스토리 재변환 시작: ${btn.dataset.title || url}`, 'info');
-        await startProcessing(url, {
-          useSeparation: document.getElementById('use-separation')?.checked ?? false,
-          qualityMode: getRadioValue('quality-mode', 'intermediate'),
-          sourceType: getRadioValue('source-type', 'unknown'),
-          targetPriority: getRadioValue('target-priority', 'balanced'),
-          issueOffbeat: document.getElementById('issue-offbeat')?.checked ?? false,
-          issueWrongNotes: document.getElementById('issue-wrong-notes')?.checked ?? false
-        });
-      });
-    });
+const CACHE_KIND_LABELS = {
+  audio: '오디오',
+  stems: '음원 분리',
+  activations: '전사 데이터'
+};
 
-    listEl.querySelectorAll('.history-delete').forEach(btn => {
-      btn.addEventListener('click', async (e) => {
-        e.stopPropagation();
-        if (isProcessing) return;
-        const url = btn.dataset.url;
-        const title = btn.dataset.title || '이 항목';
-
-        const ok = window.confirm(`'${title}' 변환 기록과 생성 파일을 삭제할까요?`);
-        if (!ok) return;
-
-        try {
-          const result = await window.electronAPI.deleteHistoryEntry({ url, title });
-          if (result && result.removed) {
-            addLog(`삭제 완료: ${title}`, 'success');
-            await loadHistory();
-          } else {
-            addLog(`삭제 실패: ${result?.message || '알 수 없는 오류'}`, 'error');
-          }
-        } catch (err) {
-          addLog(`삭제 실패: ${err.message}`, 'error');
-        }
-      });
-    });
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function initializeSettings() {
+  const overlay = document.getElementById('settings-overlay');
+  const limitInput = document.getElementById('cache-limit-input');
+
+  document.getElementById('settings-link').addEventListener('click', async (e) => {
+    e.preventDefault();
+    overlay.classList.add('active');
+    await loadStorageInfo();
+    await loadCacheInfo();
+    await loadApiStatus();
+  });
+
+  document.getElementById('change-output-dir-btn').addEventListener('click', async () => {
+    const dir = await window.electronAPI.chooseOutputDir();
+    if (dir) await moveOutputDir(dir);
+  });
+
+  document.getElementById('reset-output-dir-btn').addEventListener('click', () => moveOutputDir(null));
+
+  document.getElementById('settings-close-btn').addEventListener('click', () => {
+    overlay.classList.remove('active');
+  });
+
+  document.getElementById('export-settings-btn').addEventListener('click', async () => {
+    try {
+      const filePath = await window.electronAPI.exportSettings();
+      if (filePath) addLog(`설정 내보내기: ${filePath}`, 'success');
+    } catch (error) {
+      addLog(`설정 내보내기 실패: ${error.message}`, 'error');
+    }
+  });
+
+  document.getElementById('import-settings-btn').addEventListener('click', async () => {
+    try {
+      const settings = await window.electronAPI.importSettings();
+      if (!settings) return;
+      applyConversionSettings(settings.conversion);
+      if (typeof rhythmGameUI !== 'undefined') rhythmGameUI.applyGameSettings(settings.game);
+      addLog('설정을 가져왔습니다.', 'success');
+    } catch (error) {
+      addLog(`설정 가져오기 실패: ${error.message}`, 'error');
+    }
+  });
+
+  document.getElementById('save-api-settings-btn').addEventListener('click', async () => {
+    const port = parseInt(document.getElementById('api-port-input').value, 10);
+    const enabled = document.getElementById('api-enabled-input').checked;
+    try {
+      const status = await window.electronAPI.setApiSettings({ enabled, port });
+      addLog(status.running ? `로컬 API 실행 중: ${status.url}` : '로컬 API를 껐습니다.', 'success');
+    } catch (error) {
+      addLog(`로컬 API 설정 실패: ${error.message}`, 'error');
+    }
+    await loadApiStatus();
+  });
+
+  document.getElementById('copy-api-token-btn').addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(document.getElementById('api-token').textContent);
+      addLog('API 토큰을 복사했습니다.', 'success');
+    } catch (error) {
+      addLog(`토큰 복사 실패: ${error.message}`, 'error');
+    }
+  });
+
+  document.getElementById('regenerate-api-token-btn').addEventListener('click', async () => {
+    if (!window.confirm('토큰을 새로 만들까요? 기존 토큰을 쓰는 프로그램은 다시 설정해야 합니다.')) return;
+    try {
+      await window.electronAPI.regenerateApiToken();
+      addLog('API 토큰을 새로 만들었습니다.', 'success');
+    } catch (error) {
+      addLog(`토큰 재발급 실패: ${error.message}`, 'error');
+    }
+    await loadApiStatus();
+  });
+
+  document.getElementById('save-cache-limit-btn').addEventListener('click', async () => {
+    const gb = parseFloat(limitInput.value);
+    if (!(gb > 0)) return;
+    try {
+      await window.electronAPI.setCacheLimit(Math.round(gb * 1024 * 1024 * 1024));
+      addLog(`캐시 최대 크기: ${gb} GB`, 'success');
+    } catch (error) {
+      addLog(`캐시 설정 실패: ${error.message}`, 'error');
+    }
+    await loadCacheInfo();
+  });
+
+  document.getElementById('clear-cache-btn').addEventListener('click', async () => {
+    if (!window.confirm('캐시를 모두 삭제할까요? 고정한 항목도 삭제됩니다.')) return;
+    try {
+      await window.electronAPI.clearCache();
+      addLog('캐시를 모두 삭제했습니다.', 'success');
+    } catch (error) {
+      addLog(`캐시 삭제 실패: ${error.message}`, 'error');
+    }
+    await loadCacheInfo();
+  });
+
+  document.getElementById('cache-list').addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+
+    const { action, key } = btn.dataset;
+    try {
+      if (action === 'pin' || action === 'unpin') {
+        await window.electronAPI.setCachePinned(key, action === 'pin');
+      } else if (action === 'delete') {
+        await window.electronAPI.deleteCacheEntry(key);
+      }
+    } catch (error) {
+      addLog(`캐시 오류: ${error.message}`, 'error');
+    }
+    await loadCacheInfo();
+  });
+}
+
+async function loadStorageInfo() {
+  try {
+    const info = await window.electronAPI.getStorageInfo();
+    const outputEl = document.getElementById('output-dir-path');
+    outputEl.textContent = info.outputDir;
+    outputEl.title = info.outputDir;
+    document.getElementById('data-dir-path').textContent = info.dataDir;
+    document.getElementById('data-dir-path').title = info.dataDir;
+    document.getElementById('reset-output-dir-btn').disabled = info.outputDir === info.defaultOutputDir;
   } catch (error) {
-    console.error('Failed to load history:', error);
+    console.error('Failed to load storage info:', error);
   }
 }
 
-function showHelpDialog() {
+async function loadApiStatus() {
+  try {
+    const status = await window.electronAPI.getApiStatus();
+    document.getElementById('api-enabled-input').checked = status.enabled;
+    document.getElementById('api-port-input').value = status.port;
+    document.getElementById('api-token').textContent = status.token;
+    document.getElementById('api-token').title = status.tokenFile;
+
+    const statusEl = document.getElementById('api-status');
+    if (status.running) {
+      statusEl.textContent = `실행 중 · ${status.url}`;
+    } else if (status.error) {
+      statusEl.textContent = `오류 · ${status.error}`;
+    } else {
+      statusEl.textContent = '꺼짐';
+    }
+  } catch (error) {
+    console.error('Failed to load API status:', error);
+  }
+}
+
+async function moveOutputDir(dir) {
+  const buttons = [document.getElementById('change-output-dir-btn'), document.getElementById('reset-output-dir-btn')];
+  buttons.forEach(btn => { btn.disabled = true; });
+  addLog(`출력 폴더 이동 중: ${dir || '기본 위치'}`, 'info');
+  try {
+    const result = await window.electronAPI.setOutputDir(dir);
+    addLog(`출력 폴더: ${result.outputDir} (${result.moved}개 항목 이동)`, 'success');
+  } catch (error) {
+    addLog(`출력 폴더 변경 실패: ${error.message}`, 'error');
+  }
+  buttons.forEach(btn => { btn.disabled = false; });
+  await loadStorageInfo();
+  await loadHistory();
+}
+
+async function loadCacheInfo() {
+  const listEl = document.getElementById('cache-list');
+
+  try {
+    const info = await window.electronAPI.getCacheInfo();
+
+    document.getElementById('cache-summary').textContent =
+      `${info.entries.length}개 · ${formatBytes(info.totalSize)} / ${formatBytes(info.maxCacheSize)}`;
+    document.getElementById('cache-limit-input').value =
+      (info.maxCacheSize / (1024 * 1024 * 1024)).toFixed(1);
+
+    if (info.entries.length === 0) {
+      listEl.innerHTML = '<div class="history-empty">캐시가 비어 있습니다.</div>';
+      return;
+    }
+
+    listEl.innerHTML = info.entries.map(entry => {
+      const date = new Date(entry.lastAccess);
+      const dateStr = `${date.getFullYear()}.${String(date.getMonth() + 1).padStart(2, '0')}.${String(date.getDate()).padStart(2, '0')}`;
+      const label = `[${CACHE_KIND_LABELS[entry.kind] || entry.kind}] ${entry.title || '(제목 없음)'}${entry.detail ? ` · ${entry.detail}` : ''}`;
+      // Derived entries are pinned through their audio entry
+      const pinButton = entry.pinned && !entry.pinnedSelf
+        ? '<button class="history-action cache-pinned" type="button" disabled>고정됨</button>'
+        : `<button class="history-action${entry.pinned ? ' cache-pinned' : ''}" data-action="${entry.pinned ? 'unpin' : 'pin'}" data-key="${escapeAttr(entry.key)}" type="button">${entry.pinned ? '고정 해제' : '고정'}</button>`;
+
+      return `<div class="queue-item" title="${escapeAttr(entry.key)}">
+        <span class="queue-item-title">${escapeAttr(label)}</span>
+        <span class="cache-meta">${formatBytes(entry.size)} · ${dateStr}</span>
+        <div class="queue-actions">
+          ${pinButton}
+          <button class="history-action history-delete" data-action="delete" data-key="${escapeAttr(entry.key)}" type="button">삭제</button>
+        </div>
+      </div>`;
+    }).join('');
+  } catch (error) {
+    listEl.innerHTML = '';
+    addLog(`캐시 정보를 불러오지 못했습니다: ${error.message}`, 'error');
+  }
+}
+
+async function showHelpDialog() {
   addLog('도움말: FFmpeg가 시스템에 설치되어 있어야 합니다. https://ffmpeg.org/download.html', 'info');
+  addLog('필수 도구 확인 중...', 'info');
+
+  try {
+    const report = await window.electronAPI.diagnoseTools();
+    report.forEach(entry => {
+      const ok = entry.found && entry.demucs !== false;
+      addLog(`${entry.found ? '✓' : '✗'} ${entry.message}`, ok ? 'success' : (entry.found ? 'warning' : 'error'));
+    });
+  } catch (error) {
+    addLog(`도구 확인 실패: ${error.message}`, 'error');
+  }
 }
 
 function showAboutDialog() {
@@ -468,6 +1118,7 @@ function applyRecommendation(recommendation, useSeparationToggle, withLog = true
 
   if (useSeparationToggle) {
     useSeparationToggle.checked = recommendation.useSeparation;
+    useSeparationToggle.dispatchEvent(new Event('change'));
   }
 
   setRadioValue('quality-mode', recommendation.qualityMode);
@@ -10,6 +10,10 @@ class RhythmGameUI {
     this._judgmentTimeout = null;
     this._bgVideo = null;
     this._vocalProgressUnsub = null;
+    this._librarySearchTimer = null;
+    this._saveSettingsTimer = null;
+    this.noteSpeed = 400;
+    this.audioOffset = 0;
     this._calibrationRunning = false;
     this._calibrationInterval = null;
     this._calibrationAudioCtx = null;
@@ -49,6 +53,7 @@ class RhythmGameUI {
     this._bgVideo = document.getElementById('game-bg-video');
 
     this._setupEventListeners();
+    this._loadGameSettings();
   }
 
   _setupEventListeners() {
@@ -63,18 +68,23 @@ class RhythmGameUI {
     const speedSlider = document.getElementById('note-speed');
     speedSlider.addEventListener('input', () => {
       this._setNoteSpeed(parseInt(speedSlider.value, 10), 'main');
+      this._saveGameSettings();
     });
 
     // Audio offset slider
     const offsetSlider = document.getElementById('audio-offset');
     offsetSlider.addEventListener('input', () => {
       this._setAudioOffset(parseInt(offsetSlider.value, 10), 'main');
+      this._saveGameSettings();
     });
 
+    document.getElementById('judge-difficulty').addEventListener('change', () => this._saveGameSettings());
+
     const pauseSpeedSlider = document.getElementById('pause-note-speed');
     if (pauseSpeedSlider) {
       pauseSpeedSlider.addEventListener('input', () => {
         this._setNoteSpeed(parseInt(pauseSpeedSlider.value, 10), 'pause');
+        this._saveGameSettings();
       });
     }
 
@@ -82,6 +92,7 @@ class RhythmGameUI {
     if (pauseOffsetSlider) {
       pauseOffsetSlider.addEventListener('input', () => {
         this._setAudioOffset(parseInt(pauseOffsetSlider.value, 10), 'pause');
+        this._saveGameSettings();
       });
     }
 
@@ -96,6 +107,15 @@ class RhythmGameUI {
       });
     }
 
+    // Song library search (filters both song lists)
+    document.getElementById('game-library-search').addEventListener('input', () => {
+      clearTimeout(this._librarySearchTimer);
+      this._librarySearchTimer = setTimeout(() => this._reloadSongList(), 200);
+    });
+    ['game-library-difficulty', 'game-library-sort', 'game-library-favorite'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this._reloadSongList());
+    });
+
     // Import MIDI button
     document.getElementById('game-import-btn').addEventListener('click', async () => {
       const item = await window.electronAPI.importMidiFile();
@@ -169,12 +189,14 @@ class RhythmGameUI {
           const newSpeed = Math.min(1200, this.game.noteSpeed + 50);
           this._setNoteSpeed(newSpeed, 'main');
           this._showSpeedIndicator(newSpeed);
+          this._saveGameSettings();
         }
         if (e.key === 'ArrowDown') {
           e.preventDefault();
           const newSpeed = Math.max(100, this.game.noteSpeed - 50);
           this._setNoteSpeed(newSpeed, 'main');
           this._showSpeedIndicator(newSpeed);
+          this._saveGameSettings();
         }
       }
     });
@@ -188,6 +210,7 @@ class RhythmGameUI {
     document.getElementById('mode-tab-vocal').classList.toggle('active', mode === 'vocal');
     document.getElementById('piano-song-panel').style.display = mode === 'piano' ? 'block' : 'none';
     document.getElementById('vocal-song-panel').style.display = mode === 'vocal' ? 'block' : 'none';
+    document.getElementById('game-library-difficulty').disabled = mode === 'vocal';
 
     if (mode === 'vocal') {
       this._loadVocalSongList();
@@ -247,6 +270,7 @@ class RhythmGameUI {
     if (speedLabel) speedLabel.textContent = String(safe);
     if (pauseSpeedLabel) pauseSpeedLabel.textContent = String(safe);
 
+    this.noteSpeed = safe;
     if (this.game) this.game.setNoteSpeed(safe);
   }
 
@@ -264,9 +288,44 @@ class RhythmGameUI {
     if (offsetLabel) offsetLabel.textContent = text;
     if (pauseOffsetLabel) pauseOffsetLabel.textContent = text;
 
+    this.audioOffset = safe;
     if (this.game) this.game.setAudioOffset(safe);
   }
 
+  // ─── Saved Preferences ───────────────────────────
+
+  async _loadGameSettings() {
+    try {
+      const settings = await window.electronAPI.getSettings();
+      this.applyGameSettings(settings.game);
+    } catch (error) {
+      console.error('Failed to load game settings:', error);
+    }
+  }
+
+  /**
+   * Show saved preferences ({ noteSpeed, audioOffset, judgeDifficulty }).
+   */
+  applyGameSettings(game = {}) {
+    if (game.noteSpeed !== undefined) this._setNoteSpeed(game.noteSpeed, 'settings');
+    if (game.audioOffset !== undefined) this._setAudioOffset(game.audioOffset, 'settings');
+    if (game.judgeDifficulty) document.getElementById('judge-difficulty').value = game.judgeDifficulty;
+  }
+
+  // Sliders fire on every step; save once they settle
+  _saveGameSettings() {
+    clearTimeout(this._saveSettingsTimer);
+    this._saveSettingsTimer = setTimeout(() => {
+      window.electronAPI.updateSettings({
+        game: {
+          noteSpeed: this.noteSpeed,
+          audioOffset: this.audioOffset,
+          judgeDifficulty: document.getElementById('judge-difficulty').value || 'normal'
+        }
+      }).catch(error => console.error('Failed to save game settings:', error));
+    }, 300);
+  }
+
   _startSyncCalibration() {
     if (this._calibrationRunning) return;
 
@@ -414,7 +473,8 @@ class RhythmGameUI {
     // If taps are late (+), game offset should move negative.
     const recommended = Math.max(-200, Math.min(200, Math.round((-mean) / 10) * 10));
 
-    this._setAudioOffset(recommended, 'main');
+    this._setAudioOffset(recommended, 'settings');
+    this._saveGameSettings();
 
     this._setCalibrationStatus(`완료: ${recommended >= 0 ? '+' : ''}${recommended}ms 적용`);
   }
@@ -469,6 +529,37 @@ class RhythmGameUI {
     if (playingEl) playingEl.classList.remove('has-video');
   }
 
+  // ─── Song Library ──────────────────────────────
+
+  _getLibraryFilters() {
+    return {
+      text: document.getElementById('game-library-search').value,
+      difficulty: document.getElementById('game-library-difficulty').value || null,
+      sort: document.getElementById('game-library-sort').value,
+      favorite: document.getElementById('game-library-favorite').checked
+    };
+  }
+
+  _isFiltered(filters) {
+    return Boolean(filters.text.trim() || filters.favorite || filters.difficulty);
+  }
+
+  _reloadSongList() {
+    if (document.getElementById('vocal-song-panel').style.display === 'block') {
+      this._loadVocalSongList();
+    } else {
+      this._loadSongList();
+    }
+  }
+
+  _formatSongMeta(song) {
+    const parts = [];
+    if (song.favorite) parts.push('★');
+    if (song.bpm) parts.push(`${Math.round(song.bpm)} BPM`);
+    if (song.key) parts.push(song.key);
+    return parts.join(' · ');
+  }
+
   // ─── Piano Song List ───────────────────────────
 
   async _loadSongList() {
@@ -476,30 +567,35 @@ class RhythmGameUI {
     songList.innerHTML = '<div class="song-loading">MIDI 파일 검색 중...</div>';
 
     try {
-      const files = await window.electronAPI.listMidiFiles();
-      const pianoFiles = files ? files.filter(f => !f.vocalOnly) : [];
-
-      if (pianoFiles.length === 0) {
-        songList.innerHTML = '<div class="song-empty">변환된 MIDI 파일이 없습니다.<br>먼저 YouTube 영상을 변환해주세요.</div>';
+      const filters = this._getLibraryFilters();
+      const { songs } = await window.electronAPI.queryLibrary(filters);
+      const pianoSongs = songs.filter(song => song.charts.length > 0);
+
+      if (pianoSongs.length === 0) {
+        songList.innerHTML = this._isFiltered(filters)
+          ? '<div class="song-empty">검색 결과가 없습니다.</div>'
+          : '<div class="song-empty">변환된 MIDI 파일이 없습니다.<br>먼저 YouTube 영상을 변환해주세요.</div>';
         return;
       }
 
-      const groups = {};
-      for (const file of pianoFiles) {
-        if (!groups[file.folder]) groups[file.folder] = [];
-        groups[file.folder].push(file);
-      }
-
       let html = '';
-      for (const [folder, items] of Object.entries(groups)) {
+      for (const song of pianoSongs) {
+        const meta = this._formatSongMeta(song);
         html += `<div class="song-group">`;
-        html += `<div class="song-group-title">${this._escapeHtml(folder)}</div>`;
-        for (const item of items) {
-          const diffClass = this._getDifficultyClass(item.difficulty);
-          html += `<div class="song-item" data-path="${this._escapeHtml(item.path)}" data-audio="${this._escapeHtml(item.audioPath || '')}" data-video="${this._escapeHtml(item.videoPath || '')}">`;
-          html += `<span class="song-difficulty ${diffClass}">${this._escapeHtml(item.difficulty)}</span>`;
-          html += `<span class="song-name">${this._escapeHtml(item.name)}</span>`;
-          if (item.videoPath) {
+        html += `<div class="song-group-title">${this._escapeHtml(song.title)}`;
+        if (meta) {
+          html += `<span class="song-group-meta">${this._escapeHtml(meta)}</span>`;
+        }
+        html += `</div>`;
+        const charts = filters.difficulty
+          ? song.charts.filter(chart => chart.difficulty === filters.difficulty)
+          : song.charts;
+        for (const chart of charts) {
+          const diffClass = this._getDifficultyClass(chart.difficulty);
+          html += `<div class="song-item" data-path="${this._escapeHtml(chart.path)}" data-audio="${this._escapeHtml(song.audioPath || '')}" data-video="${this._escapeHtml(song.videoPath || '')}">`;
+          html += `<span class="song-difficulty ${diffClass}">${this._escapeHtml(chart.difficulty)}</span>`;
+          html += `<span class="song-name">${this._escapeHtml(chart.file)}</span>`;
+          if (song.videoPath) {
             html += `<span class="song-video-badge">MV</span>`;
           }
           html += `</div>`;
@@ -530,30 +626,22 @@ class RhythmGameUI {
     vocalList.innerHTML = '<div class="song-loading">원곡 데이터 검색 중...</div>';
 
     try {
-      const files = await window.electronAPI.listMidiFiles();
-      const vocalFiles = files ? files.filter(f => f.hasVocalData) : [];
+      const filters = { ...this._getLibraryFilters(), difficulty: 'vocal' };
+      const { songs } = await window.electronAPI.queryLibrary(filters);
 
-      if (vocalFiles.length === 0) {
-        vocalList.innerHTML = '<div class="song-empty">보컬 데이터가 있는 변환 결과가 없습니다.<br>변환된 곡 중 vocal-chart/instrumental/vocals 파일이 있는 항목만 표시됩니다.</div>';
+      if (songs.length === 0) {
+        vocalList.innerHTML = filters.text.trim() || filters.favorite
+          ? '<div class="song-empty">검색 결과가 없습니다.</div>'
+          : '<div class="song-empty">보컬 데이터가 있는 변환 결과가 없습니다.<br>변환된 곡 중 vocal-chart/instrumental/vocals 파일이 있는 항목만 표시됩니다.</div>';
         return;
       }
 
-      // Deduplicate by folder (one entry per song)
-      const seen = new Set();
-      const uniqueFiles = [];
-      for (const f of vocalFiles) {
-        if (!seen.has(f.folder)) {
-          seen.add(f.folder);
-          uniqueFiles.push(f);
-        }
-      }
-
       let html = '';
-      for (const item of uniqueFiles) {
-        html += `<div class="song-item vocal-song-item" data-instrumental="${this._escapeHtml(item.instrumentalPath || '')}" data-vocals="${this._escapeHtml(item.vocalsAudioPath || '')}" data-chart="${this._escapeHtml(item.vocalChartPath || '')}" data-video="${this._escapeHtml(item.videoPath || '')}">`;
+      for (const song of songs) {
+        html += `<div class="song-item vocal-song-item" data-instrumental="${this._escapeHtml(song.vocal.instrumentalPath)}" data-vocals="${this._escapeHtml(song.vocal.vocalsPath)}" data-chart="${this._escapeHtml(song.vocal.chartPath)}" data-video="${this._escapeHtml(song.videoPath || '')}">`;
         html += `<span class="song-difficulty diff-vocal">VOCAL</span>`;
-        html += `<span class="song-name">${this._escapeHtml(item.folder)}</span>`;
-        if (item.videoPath) {
+        html += `<span class="song-name">${this._escapeHtml(song.title)}</span>`;
+        if (song.videoPath) {
           html += `<span class="song-video-badge">MV</span>`;
         }
         html += `</div>`;
@@ -662,11 +750,8 @@ class RhythmGameUI {
     this.currentChartKey = this._getCurrentChartKey();
 
     // Apply settings
-    const speed = parseInt(document.getElementById('note-speed').value, 10) || 400;
-    this._setNoteSpeed(speed, 'main');
-
-    const offset = parseInt(document.getElementById('audio-offset').value, 10) || 0;
-    this._setAudioOffset(offset, 'main');
+    this._setNoteSpeed(this.noteSpeed, 'settings');
+    this._setAudioOffset(this.audioOffset, 'settings');
 
     const judgeDiff = document.getElementById('judge-difficulty').value || 'normal';
     this.game.setJudgeDifficulty(judgeDiff);
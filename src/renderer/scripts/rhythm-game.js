@@ -81,6 +81,9 @@ class RhythmGame {
     this.songDuration = 0;
     this.audioOffset = 0;
 
+    // Beat/bar guide lines from the chart's tempo map
+    this.beatLines = [];
+
     // Vocal mode audio
     this.vocalBuffer = null;
     this.vocalSource = null;
@@ -168,6 +171,8 @@ class RhythmGame {
     // drop the short note so hold patterns stay playable and readable.
     this.notes = this._resolveLongNoteConflicts(this.notes);
 
+    this.beatLines = midiData.header.beatLines || [];
+
     this.songDuration = midiData.header.duration || 0;
     if (this.notes.length > 0) {
       const lastNote = this.notes[this.notes.length - 1];
@@ -919,6 +924,7 @@ class RhythmGame {
     this._drawKeyIndicators(ctx);
 
     if (this.gameState === 'playing' || this.gameState === 'paused') {
+      this._drawBeatLines(ctx, w);
       this._drawNotes(ctx);
     }
 
@@ -967,6 +973,21 @@ class RhythmGame {
     }
   }
 
+  _drawBeatLines(ctx, w) {
+    for (const line of this.beatLines) {
+      const y = this._getNoteY(line.time);
+      if (y > this.hitLineY) continue;
+      if (y < 0) break;
+
+      ctx.strokeStyle = line.downbeat ? 'rgba(255,255,255,0.22)' : 'rgba(255,255,255,0.07)';
+      ctx.lineWidth = line.downbeat ? 2 : 1;
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(w, y);
+      ctx.stroke();
+    }
+  }
+
   _drawNotes(ctx) {
     const lookAhead = (this.displayHeight / this.noteSpeed) + 0.5;
     const lookBehind = 0.3;
@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Keep the token and settings out of the real data folder
+process.env.XDG_CONFIG_HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'api-server-test-'));
+process.env.APPDATA = process.env.XDG_CONFIG_HOME;
+
+// The server reaches the sheet generator (through the pipeline), which loads canvas
+let skip = false;
+try {
+  require('canvas');
+} catch (error) {
+  skip = `canvas is not available (${error.message.split('\n')[0]})`;
+}
+
+let apiServer;
+let port;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port: freeOne } = server.address();
+      server.close(() => resolve(freeOne));
+    });
+  });
+}
+
+/**
+ * Send a request to the API; resolves with { status, body } or, for a
+ * WebSocket upgrade, { status: 101 }.
+ */
+function request(pathname, { host = `127.0.0.1:${port}`, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: pathname, headers: { host, ...headers } });
+    req.on('upgrade', (res, socket) => {
+      socket.destroy();
+      resolve({ status: res.statusCode });
+    });
+    req.on('response', (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: body ? JSON.parse(body) : null }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function bearer(token) {
+  return { authorization: `Bearer ${token}` };
+}
+
+before(async () => {
+  if (skip) return;
+  apiServer = require('../src/main/api-server');
+  const settingsStore = require('../src/main/settings-store');
+  port = await freePort();
+  await settingsStore.update({ api: { enabled: true, port } });
+  await apiServer.start();
+});
+
+after(async () => {
+  if (apiServer) await apiServer.stop();
+});
+
+test('requests without the token are refused', { skip }, async () => {
+  assert.strictEqual((await request('/api/status')).status, 401);
+  assert.strictEqual((await request('/api/status', { headers: bearer('0'.repeat(64)) })).status, 401);
+  assert.strictEqual((await request('/api/status?token=short')).status, 401);
+});
+
+test('the token is accepted as a bearer header or a query parameter', { skip }, async () => {
+  const token = await apiServer.getToken();
+  assert.strictEqual(fs.readFileSync(apiServer.tokenFile, 'utf8').trim(), token);
+
+  const status = await request('/api/status', { headers: bearer(token) });
+  assert.strictEqual(status.status, 200);
+  assert.strictEqual(status.body.version, require('../package.json').version);
+  assert.strictEqual((await request(`/api/jobs?token=${token}`)).status, 200);
+  assert.strictEqual((await request('/api/status', { host: `localhost:${port}`, headers: bearer(token) })).status, 200);
+});
+
+test('requests naming another host are refused even with the token', { skip }, async () => {
+  const token = await apiServer.getToken();
+  const headers = bearer(token);
+
+  assert.strictEqual((await request('/api/status', { host: `attacker.example:${port}`, headers })).status, 403);
+  assert.strictEqual((await request('/api/status', { host: '127.0.0.1', headers })).status, 403);
+  assert.strictEqual((await request('/api/status', { host: `127.0.0.1:${port + 1}`, headers })).status, 403);
+});
+
+test('the event stream checks the token and Host before upgrading', { skip }, async () => {
+  const token = await apiServer.getToken();
+  const upgrade = {
+    connection: 'Upgrade',
+    upgrade: 'websocket',
+    'sec-websocket-version': '13',
+    'sec-websocket-key': crypto.randomBytes(16).toString('base64')
+  };
+
+  assert.strictEqual((await request('/api/events', { headers: upgrade })).status, 401);
+  assert.strictEqual((await request('/api/events', { host: `evil.example:${port}`, headers: { ...upgrade, ...bearer(token) } })).status, 403);
+  assert.strictEqual((await request('/api/events', { headers: { ...upgrade, ...bearer(token) } })).status, 101);
+});
+
+test('a regenerated token replaces the old one', { skip }, async () => {
+  const oldToken = await apiServer.getToken();
+  const { token } = await apiServer.regenerateToken();
+
+  assert.notStrictEqual(token, oldToken);
+  assert.strictEqual((await request('/api/status', { headers: bearer(oldToken) })).status, 401);
+  assert.strictEqual((await request('/api/status', { headers: bearer(token) })).status, 200);
+});
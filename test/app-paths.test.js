@@ -0,0 +1,103 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the data folder out of the real one
+process.env.XDG_CONFIG_HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'app-paths-test-'));
+process.env.APPDATA = process.env.XDG_CONFIG_HOME;
+
+const appPaths = require('../src/main/app-paths');
+
+function writeFiles(dir, files) {
+  Object.entries(files).forEach(([name, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  });
+}
+
+beforeEach(() => {
+  // An app folder as older versions left it
+  appPaths.appDir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-paths-app-'));
+  fs.rmSync(appPaths.getDataDir(), { recursive: true, force: true });
+  appPaths.config = {};
+});
+
+test('data files, songs and the cache move from the app folder to the data folder', async () => {
+  writeFiles(appPaths.appDir, {
+    'queue.json': '{"jobs":[]}',
+    'presets.json': '{}',
+    'package.json': '{}',
+    'output/.gitkeep': '',
+    'output/Song/song.json': '{"title":"Song"}',
+    'output/Song/Song.mid': 'midi',
+    'output/Loose.mid': 'midi',
+    'output/notes.txt': 'not a song',
+    'cache/index.json': '{}',
+    'cache/audio/abc.mp3': 'audio'
+  });
+
+  await appPaths.migrateLegacyData();
+
+  const dataDir = appPaths.getDataDir();
+  assert.strictEqual(fs.readFileSync(path.join(dataDir, 'queue.json'), 'utf8'), '{"jobs":[]}');
+  assert.ok(fs.existsSync(path.join(dataDir, 'presets.json')));
+  assert.strictEqual(fs.existsSync(path.join(dataDir, 'package.json')), false);
+
+  const outputDir = appPaths.getOutputDir();
+  assert.ok(fs.existsSync(path.join(outputDir, 'Song', 'Song.mid')));
+  assert.ok(fs.existsSync(path.join(outputDir, 'Loose.mid')));
+  assert.strictEqual(fs.existsSync(path.join(outputDir, 'notes.txt')), false);
+  assert.ok(fs.existsSync(path.join(appPaths.appDir, 'output', 'notes.txt')));
+  assert.ok(fs.existsSync(path.join(appPaths.appDir, 'output', '.gitkeep')));
+
+  assert.ok(fs.existsSync(path.join(appPaths.getCacheDir(), 'audio', 'abc.mp3')));
+  assert.strictEqual(fs.existsSync(path.join(appPaths.appDir, 'cache', 'audio', 'abc.mp3')), false);
+});
+
+test('files already in the data folder are not overwritten', async () => {
+  writeFiles(appPaths.appDir, {
+    'queue.json': 'old',
+    'output/Song/song.json': '{"title":"Song"}',
+    'output/Song/old.mid': 'old'
+  });
+  writeFiles(appPaths.getDataDir(), {
+    'queue.json': 'new',
+    'output/Song/song.json': '{"title":"Song (new)"}'
+  });
+
+  await appPaths.migrateLegacyData();
+
+  assert.strictEqual(fs.readFileSync(appPaths.dataFile('queue.json'), 'utf8'), 'new');
+  assert.strictEqual(fs.readFileSync(path.join(appPaths.appDir, 'queue.json'), 'utf8'), 'old');
+  // Song folders on both sides are merged file by file
+  const songDir = path.join(appPaths.getOutputDir(), 'Song');
+  assert.strictEqual(fs.readFileSync(path.join(songDir, 'song.json'), 'utf8'), '{"title":"Song (new)"}');
+  assert.ok(fs.existsSync(path.join(songDir, 'old.mid')));
+});
+
+test('the output folder can be moved and moved back to the default', async () => {
+  writeFiles(appPaths.getDefaultOutputDir(), { 'Song/song.json': '{"title":"Song"}' });
+  const newDir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-paths-output-'));
+
+  const result = await appPaths.setOutputDir(newDir);
+  assert.deepStrictEqual(result, { outputDir: newDir, moved: 1 });
+  assert.strictEqual(appPaths.getOutputDir(), newDir);
+  assert.ok(fs.existsSync(path.join(newDir, 'Song', 'song.json')));
+  assert.strictEqual(fs.existsSync(appPaths.getDefaultOutputDir()), false);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(appPaths.configFile, 'utf8')), { outputDir: newDir });
+
+  await appPaths.setOutputDir(null);
+  assert.strictEqual(appPaths.getOutputDir(), appPaths.getDefaultOutputDir());
+  assert.ok(fs.existsSync(path.join(appPaths.getDefaultOutputDir(), 'Song', 'song.json')));
+  assert.ok(fs.existsSync(newDir), 'a chosen folder stays even when empty');
+});
+
+test('the output folder cannot move inside itself', async () => {
+  const current = appPaths.getOutputDir();
+  fs.mkdirSync(current, { recursive: true });
+
+  await assert.rejects(appPaths.setOutputDir(path.join(current, 'inner')), /cannot be inside/);
+  assert.strictEqual(appPaths.getOutputDir(), current);
+});
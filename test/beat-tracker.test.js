@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildTempoMap, beatToTime } = require('../src/main/beat-tracker');
+
+/**
+ * Evenly spaced tracked beats starting after a lead-in.
+ */
+function steadyBeats(leadIn, bpm, count = 32) {
+  return Array.from({ length: count }, (_, i) => leadIn + i * 60 / bpm);
+}
+
+/**
+ * Every segment stays near the real tempo and, from the second bar on,
+ * bar lines fall on tracked downbeats.
+ */
+function assertSteadyMap(map, beats, bpm, beatsPerBar, tolerance = 0.25) {
+  assert.strictEqual(map[0].time, 0);
+  assert.strictEqual(map[0].beat, 0);
+  map.forEach(segment => {
+    assert.ok(Math.abs(segment.bpm / bpm - 1) <= tolerance, `segment at ${segment.time}s is ${segment.bpm} BPM, expected about ${bpm}`);
+  });
+  for (let bar = 1; bar < 6; bar++) {
+    const time = beatToTime(map, bar * beatsPerBar);
+    assert.ok(beats.some(beat => Math.abs(beat - time) < 0.01), `bar ${bar} at ${time}s is not on a tracked beat`);
+  }
+  assert.ok(Math.abs(map[map.length - 1].bpm - bpm) < 0.5);
+}
+
+test('3/4 with a short lead-in keeps the first bar near the tracked tempo', () => {
+  const beats = steadyBeats(0.5, 90);
+  assertSteadyMap(buildTempoMap(beats, 3, 0), beats, 90, 3);
+});
+
+test('4/4 with a short lead-in keeps the first bar near the tracked tempo', () => {
+  const beats = steadyBeats(0.5, 120);
+  assertSteadyMap(buildTempoMap(beats, 4, 0), beats, 120, 4);
+});
+
+test('a short lead-in before a mid-bar first beat is not squeezed', () => {
+  // Two beats' worth of time before the downbeat: no grid fits it exactly
+  const beats = steadyBeats(0.5, 120);
+  assertSteadyMap(buildTempoMap(beats, 4, 1), beats, 120, 4, 0.35);
+});
+
+test('a lead-in of whole bars becomes bars at the tracked tempo', () => {
+  const beats = steadyBeats(2, 120);
+  const map = buildTempoMap(beats, 4, 0);
+  assert.deepStrictEqual(map.map(segment => Math.round(segment.bpm)), [120]);
+  assert.ok(Math.abs(beatToTime(map, 4) - 2) < 1e-9);
+});
@@ -0,0 +1,225 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the cache out of the real data folder
+process.env.XDG_CONFIG_HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-manager-test-'));
+process.env.APPDATA = process.env.XDG_CONFIG_HOME;
+
+const cacheManager = require('../src/main/cache-manager');
+
+const AUDIO_SIZE = 1000;
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-manager-audio-'));
+
+/**
+ * A converted audio file whose contents are determined by seed.
+ */
+function audioFile(seed) {
+  const filePath = path.join(workDir, `${seed}-${Math.random().toString(36).slice(2)}.mp3`);
+  fs.writeFileSync(filePath, Buffer.alloc(AUDIO_SIZE, seed));
+  return filePath;
+}
+
+async function cacheAudio(url, seed, lastAccess) {
+  await cacheManager.cacheAudio(url, audioFile(seed), url);
+  cacheManager.cacheIndex[cacheManager.generateUrlHash(url)].lastAccess = lastAccess;
+}
+
+beforeEach(async () => {
+  await cacheManager.initialize();
+  await cacheManager.clearAllCache();
+  cacheManager.settings.maxCacheSize = 10 * AUDIO_SIZE;
+});
+
+test('videos with the same audio share one file that is counted once', async () => {
+  await cacheAudio('https://example.com/a', 1, 1);
+  await cacheAudio('https://example.com/b', 1, 2);
+  assert.strictEqual(fs.readdirSync(cacheManager.audioDir).length, 1);
+
+  // Room for the one shared file only
+  cacheManager.settings.maxCacheSize = 1.5 * AUDIO_SIZE;
+  const { evicted, totalSize } = await cacheManager.enforceSizeLimit();
+
+  assert.strictEqual(evicted, 0);
+  assert.strictEqual(totalSize, AUDIO_SIZE);
+  assert.strictEqual((await cacheManager.getCacheStats()).totalSize, AUDIO_SIZE);
+  assert.ok(await cacheManager.getCachedAudio('https://example.com/a'));
+  assert.ok(await cacheManager.getCachedAudio('https://example.com/b'));
+});
+
+test('the least recently used unpinned entries are evicted first', async () => {
+  await cacheAudio('https://example.com/old-pinned', 1, 1);
+  await cacheAudio('https://example.com/old', 2, 2);
+  await cacheAudio('https://example.com/recent', 3, 3);
+  await cacheManager.setPinned(cacheManager.generateUrlHash('https://example.com/old-pinned'), true);
+
+  cacheManager.settings.maxCacheSize = 2 * AUDIO_SIZE;
+  const { evicted, totalSize } = await cacheManager.enforceSizeLimit();
+
+  assert.strictEqual(evicted, 1);
+  assert.strictEqual(totalSize, 2 * AUDIO_SIZE);
+  assert.strictEqual(await cacheManager.getCachedAudio('https://example.com/old'), null);
+  assert.ok(await cacheManager.getCachedAudio('https://example.com/old-pinned'));
+  assert.ok(await cacheManager.getCachedAudio('https://example.com/recent'));
+});
+
+test('evicting one of two entries sharing a file keeps the file', async () => {
+  await cacheAudio('https://example.com/a', 1, 1);
+  await cacheAudio('https://example.com/b', 1, 2);
+  await cacheAudio('https://example.com/c', 2, 3);
+
+  cacheManager.settings.maxCacheSize = 1.5 * AUDIO_SIZE;
+  await cacheManager.enforceSizeLimit();
+
+  // The shared file only goes once both of its entries are gone
+  assert.strictEqual(await cacheManager.getCachedAudio('https://example.com/a'), null);
+  assert.strictEqual(await cacheManager.getCachedAudio('https://example.com/b'), null);
+  assert.ok(await cacheManager.getCachedAudio('https://example.com/c'));
+  assert.strictEqual(fs.readdirSync(cacheManager.audioDir).length, 1);
+});
+
+/**
+ * Stem files as the stem separator leaves them in its temp folder.
+ */
+function separatedStems(seed) {
+  const dir = fs.mkdtempSync(path.join(workDir, 'stems-'));
+  const stems = {};
+  ['melodyPath', 'accompPath'].forEach((name, index) => {
+    stems[name] = path.join(dir, `${name}.wav`);
+    fs.writeFileSync(stems[name], Buffer.alloc(100, seed + index));
+  });
+  return stems;
+}
+
+test('stems are cached per audio hash and separation backend', async () => {
+  const separation = separatedStems(1);
+  const cached = await cacheManager.cacheStems('audiohash', 'htdemucs', separation);
+
+  assert.strictEqual(cached.backend, 'htdemucs');
+  assert.ok(cached.melodyPath.startsWith(cacheManager.stemsDir));
+  assert.ok(fs.existsSync(cached.accompPath));
+  assert.strictEqual(fs.existsSync(separation.melodyPath), false, 'stems are moved, not copied');
+  assert.strictEqual(cached.drumsPath, null);
+
+  assert.deepStrictEqual(await cacheManager.getCachedStems('audiohash', 'htdemucs'), cached);
+  assert.strictEqual(await cacheManager.getCachedStems('audiohash', 'spleeter:2stems'), null);
+  assert.strictEqual(await cacheManager.getCachedStems('otherhash', 'htdemucs'), null);
+});
+
+test('stems whose files are gone are dropped from the cache', async () => {
+  const cached = await cacheManager.cacheStems('audiohash', 'htdemucs', separatedStems(1));
+  fs.rmSync(cached.accompPath);
+
+  assert.strictEqual(await cacheManager.getCachedStems('audiohash', 'htdemucs'), null);
+  assert.strictEqual(cacheManager.cacheIndex['stems:audiohash:htdemucs'], undefined);
+});
+
+test('Basic Pitch output is reused for stems with the same content', async () => {
+  const stem = audioFile(5);
+  const first = (await cacheManager.prepareActivationCache([stem], 'audiohash'))[stem];
+  assert.strictEqual(first.hit, false);
+
+  // The worker writes the activations to the planned file
+  fs.writeFileSync(first.file, 'activations');
+  await cacheManager.commitActivationCache({ [stem]: first });
+
+  const sameContent = audioFile(5);
+  const second = (await cacheManager.prepareActivationCache([sameContent], 'audiohash'))[sameContent];
+  assert.strictEqual(second.hit, true);
+  assert.strictEqual(second.file, first.file);
+
+  const otherContent = audioFile(6);
+  assert.strictEqual((await cacheManager.prepareActivationCache([otherContent], 'audiohash'))[otherContent].hit, false);
+});
+
+test('removing an audio entry removes the stems and activations made from it', async () => {
+  await cacheAudio('https://example.com/a', 1, 1);
+  const { audioHash } = cacheManager.cacheIndex[cacheManager.generateUrlHash('https://example.com/a')];
+  const cached = await cacheManager.cacheStems(audioHash, 'htdemucs', separatedStems(2));
+  const plan = await cacheManager.prepareActivationCache([cached.melodyPath], audioHash);
+  fs.writeFileSync(plan[cached.melodyPath].file, 'activations');
+  await cacheManager.commitActivationCache(plan);
+
+  await cacheManager.removeByUrl('https://example.com/a');
+
+  assert.deepStrictEqual(Object.keys(cacheManager.cacheIndex), []);
+  assert.strictEqual(fs.existsSync(cached.melodyPath), false);
+  assert.strictEqual(fs.existsSync(plan[cached.melodyPath].file), false);
+});
+
+/**
+ * A title-named audio file as versions before index v3 wrote it.
+ */
+function legacyAudio(title, seed) {
+  const filePath = path.join(cacheManager.cacheDir, `${title}.mp3`);
+  const data = Buffer.alloc(AUDIO_SIZE, seed);
+  fs.writeFileSync(filePath, data);
+  return { filePath, audioHash: crypto.createHash('md5').update(data).digest('hex') };
+}
+
+async function readIndexFile(data) {
+  fs.writeFileSync(cacheManager.cacheIndexFile, JSON.stringify(data));
+  return cacheManager.readIndex();
+}
+
+test('a v1 index gains LRU fields and content-addressed audio', async () => {
+  const { filePath, audioHash } = legacyAudio('Song', 1);
+  const entries = await readIndexFile({
+    key1: { url: 'https://example.com/a', audioPath: filePath, videoTitle: 'Song', timestamp: 100 }
+  });
+
+  assert.deepStrictEqual(entries.key1, {
+    url: 'https://example.com/a',
+    audioPath: cacheManager.audioPathFor(audioHash),
+    audioHash,
+    videoTitle: 'Song',
+    timestamp: 100,
+    lastAccess: 100,
+    pinned: false
+  });
+  assert.ok(fs.existsSync(cacheManager.audioPathFor(audioHash)));
+  assert.strictEqual(fs.existsSync(filePath), false);
+});
+
+test('v2 entries that shared a title-named file keep only the newest video', async () => {
+  const { filePath, audioHash } = legacyAudio('Intro', 2);
+  const entries = await readIndexFile({
+    version: 2,
+    cacheDir: cacheManager.cacheDir,
+    entries: {
+      older: { audioPath: filePath, videoTitle: 'Intro', timestamp: 1, lastAccess: 1, pinned: false },
+      newer: { audioPath: filePath, videoTitle: 'Intro', timestamp: 2, lastAccess: 2, pinned: true }
+    }
+  });
+
+  assert.deepStrictEqual(Object.keys(entries), ['newer']);
+  assert.strictEqual(entries.newer.audioHash, audioHash);
+  assert.strictEqual(entries.newer.pinned, true);
+});
+
+test('a v2 entry whose recorded audio hash no longer matches is dropped', async () => {
+  const { filePath, audioHash } = legacyAudio('Outro', 3);
+  const entries = await readIndexFile({
+    version: 2,
+    cacheDir: cacheManager.cacheDir,
+    entries: {
+      overwritten: { audioPath: filePath, audioHash: 'f'.repeat(32), timestamp: 1 },
+      current: { audioPath: filePath, audioHash, timestamp: 2 },
+      missing: { audioPath: path.join(cacheManager.cacheDir, 'Gone.mp3'), timestamp: 3 }
+    }
+  });
+
+  assert.deepStrictEqual(Object.keys(entries), ['current']);
+  assert.strictEqual(entries.current.audioPath, cacheManager.audioPathFor(audioHash));
+});
+
+test('an index from a newer version is set aside instead of being read', async () => {
+  const entries = await readIndexFile({ version: 99, entries: {} });
+
+  assert.deepStrictEqual(entries, {});
+  assert.strictEqual(fs.existsSync(cacheManager.cacheIndexFile), false);
+  assert.ok(fs.readdirSync(cacheManager.cacheDir).some(name => name.startsWith('index.json.broken-')));
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep queue.json out of the real data folder
+process.env.XDG_CONFIG_HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-test-'));
+process.env.APPDATA = process.env.XDG_CONFIG_HOME;
+fs.mkdirSync(require('../src/main/app-paths').getDataDir(), { recursive: true });
+
+const jobQueue = require('../src/main/job-queue');
+const transcriber = require('../src/main/transcriber');
+
+/**
+ * Start the queue with runners keyed by job URL and resolve once
+ * done(jobs) is true for a queue update.
+ */
+function runQueue(runners, cancelRunner, done) {
+  return new Promise((resolve) => {
+    jobQueue.initialize({
+      runner: (job) => runners[job.url](job),
+      cancelRunner,
+      onChange: (jobs) => {
+        if (done(jobs)) resolve(jobs);
+      }
+    });
+  });
+}
+
+test('cancelling during transcription fails the job and starts the next one', async () => {
+  const finished = runQueue({
+    'transcribe://first': () => transcriber.transcribeToMidi(path.join(os.tmpdir(), 'missing.mp3')),
+    'transcribe://second': async () => ({ title: 'second' })
+  }, async () => transcriber.cancel(), (jobs) => jobs.some(job => job.url === 'transcribe://second' && job.status === 'done'));
+
+  const first = await jobQueue.enqueue({ url: 'transcribe://first' });
+  await jobQueue.enqueue({ url: 'transcribe://second' });
+  assert.ok(transcriber.worker, 'transcription worker is running');
+  await jobQueue.cancel(first.id);
+
+  const jobs = await finished;
+  const cancelled = jobs.find(job => job.id === first.id);
+  assert.strictEqual(cancelled.status, 'cancelled');
+  assert.strictEqual(cancelled.error, 'Transcription cancelled');
+  assert.strictEqual(transcriber.worker, null);
+  assert.strictEqual(jobQueue.isBusy(), false);
+});
+
+test('the next job waits for a cancelled runner to settle', async () => {
+  let finishFirst;
+  const started = [];
+  const finished = runQueue({
+    'slow://first': () => new Promise((resolve) => { finishFirst = resolve; }),
+    'slow://second': async () => {
+      started.push('second');
+      return { title: 'second' };
+    }
+  }, async () => {}, (jobs) => jobs.some(job => job.url === 'slow://second' && job.status === 'done'));
+
+  const first = await jobQueue.enqueue({ url: 'slow://first' });
+  await jobQueue.enqueue({ url: 'slow://second' });
+  await jobQueue.cancel(first.id);
+
+  // The cancelled runner still owns the pipeline
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepStrictEqual(started, []);
+  assert.strictEqual(jobQueue.getJob(first.id).status, 'running');
+
+  // Finishing after the cancel does not count as done
+  finishFirst({ title: 'first' });
+  const jobs = await finished;
+  const cancelled = jobs.find(job => job.id === first.id);
+  assert.strictEqual(cancelled.status, 'cancelled');
+  assert.strictEqual(cancelled.error, 'Job cancelled');
+  assert.deepStrictEqual(started, ['second']);
+});
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Midi } = require('@tonejs/midi');
+const { parseMidi } = require('midi-file');
+const { addMidiKeySignature, keyFromMidi, estimateKey, spellMidi } = require('../src/main/key-signature');
+
+/**
+ * Encode a one-note MIDI file with the given key signature, the way the
+ * transcribe worker writes its output.
+ */
+function writeMidiInKey(fifths, scale) {
+  const midi = new Midi();
+  midi.header.setTempo(120);
+  midi.addTrack().addNote({ midi: 60, time: 0, duration: 0.5, velocity: 0.8 });
+  return addMidiKeySignature(midi.toArray(), fifths, scale);
+}
+
+function keySignatureEvent(buffer) {
+  return parseMidi(buffer).tracks[0].find(event => event.type === 'keySignature');
+}
+
+[
+  { name: 'a sharp major key', fifths: 2, scale: 'major', key: 'D' },
+  { name: 'a flat major key', fifths: -2, scale: 'major', key: 'Bb' },
+  { name: 'a sharp minor key', fifths: 3, scale: 'minor', key: 'F#m' },
+  { name: 'a flat minor key', fifths: -6, scale: 'minor', key: 'Ebm' }
+].forEach(({ name, fifths, scale, key }) => {
+  test(`${name} is written as sf = fifths and read back as ${key}`, () => {
+    const buffer = writeMidiInKey(fifths, scale);
+
+    const event = keySignatureEvent(buffer);
+    assert.strictEqual(event.key, fifths);
+    assert.strictEqual(event.scale, scale === 'minor' ? 1 : 0);
+
+    const midi = new Midi(buffer);
+    assert.strictEqual(keyFromMidi(midi), key);
+    assert.strictEqual(midi.tracks[0].notes.length, 1);
+    assert.strictEqual(midi.tracks[0].notes[0].midi, 60);
+  });
+});
+
+test('a file without a key signature reads as C major', () => {
+  const midi = new Midi();
+  midi.addTrack().addNote({ midi: 60, time: 0, duration: 0.5 });
+  assert.strictEqual(keyFromMidi(new Midi(midi.toArray())), 'C');
+});
+
+/**
+ * Basic Pitch style note events: [midi, seconds] pairs at one velocity.
+ */
+function noteEvents(pairs) {
+  return pairs.map(([pitchMidi, durationSeconds]) => ({ pitchMidi, durationSeconds, amplitude: 0.8 }));
+}
+
+test('estimateKey finds a major key from its scale and tonic triad', () => {
+  // D major scale with long D, F# and A
+  const notes = noteEvents([
+    [62, 2], [64, 0.5], [66, 1.5], [67, 0.5], [69, 1.5], [71, 0.5], [73, 0.5], [74, 2],
+    [50, 2], [57, 1]
+  ]);
+  const key = estimateKey(notes);
+  assert.strictEqual(key.key, 'D');
+  assert.strictEqual(key.scale, 'major');
+  assert.strictEqual(key.fifths, 2);
+});
+
+test('estimateKey finds a minor key and reports its signature', () => {
+  // C minor: C, Eb and G held, with the raised leading tone B
+  const notes = noteEvents([
+    [60, 2], [62, 0.5], [63, 1.5], [65, 0.5], [67, 1.5], [68, 0.5], [71, 0.5], [72, 2],
+    [48, 2], [55, 1]
+  ]);
+  const key = estimateKey(notes);
+  assert.strictEqual(key.key, 'Cm');
+  assert.strictEqual(key.scale, 'minor');
+  assert.strictEqual(key.fifths, -3);
+});
+
+test('estimateKey falls back to C major with too few notes', () => {
+  assert.deepStrictEqual(estimateKey(noteEvents([[66, 1], [73, 1]])), {
+    key: 'C', scale: 'major', fifths: 0, confidence: 0
+  });
+});
+
+test('spellMidi uses the key signature letters', () => {
+  assert.deepStrictEqual(spellMidi(63, 'Bb'), { letter: 'e', alter: -1, octave: 4 });
+  assert.deepStrictEqual(spellMidi(65, 'F#'), { letter: 'e', alter: 1, octave: 4 });
+  assert.deepStrictEqual(spellMidi(71, 'Gb'), { letter: 'c', alter: -1, octave: 5 });
+});
+
+test('spellMidi spells the raised seventh of a minor key as a sharpened leading tone', () => {
+  assert.deepStrictEqual(spellMidi(66, 'Gm'), { letter: 'f', alter: 1, octave: 4 });
+  assert.deepStrictEqual(spellMidi(68, 'Am'), { letter: 'g', alter: 1, octave: 4 });
+});
+
+test('spellMidi writes chromatic notes as naturals or in the key direction', () => {
+  // B natural in F major
+  assert.deepStrictEqual(spellMidi(71, 'F'), { letter: 'b', alter: 0, octave: 4 });
+  // Sharps in sharp keys, flats in flat keys
+  assert.deepStrictEqual(spellMidi(70, 'G'), { letter: 'a', alter: 1, octave: 4 });
+  assert.deepStrictEqual(spellMidi(66, 'Eb'), { letter: 'g', alter: -1, octave: 4 });
+});
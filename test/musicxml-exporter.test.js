@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Midi } = require('@tonejs/midi');
+const { addMidiKeySignature } = require('../src/main/key-signature');
+
+// The exporter reads MIDI through the sheet generator, which loads canvas
+let skip = false;
+try {
+  require('canvas');
+} catch (error) {
+  skip = `canvas is not available (${error.message.split('\n')[0]})`;
+}
+
+/**
+ * Write a right-hand MIDI file in D major at 120 BPM (one beat = 0.5 s).
+ * notes: [midi, startBeat, beats]
+ */
+function writeMidi(notes) {
+  const midi = new Midi();
+  midi.header.setTempo(120);
+  midi.header.timeSignatures.push({ ticks: 0, timeSignature: [4, 4] });
+  midi.header.update();
+
+  const track = midi.addTrack();
+  track.name = 'Right Hand';
+  track.channel = 0;
+  notes.forEach(([pitch, start, beats]) => {
+    track.addNote({ midi: pitch, time: start * 0.5, duration: beats * 0.5, velocity: 0.8 });
+  });
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'musicxml-test-'));
+  const midiPath = path.join(dir, 'song.mid');
+  fs.writeFileSync(midiPath, addMidiKeySignature(midi.toArray(), 2, 'major'));
+  return { dir, midiPath };
+}
+
+async function exportXml(notes) {
+  const musicXmlExporter = require('../src/main/musicxml-exporter');
+  const { dir, midiPath } = writeMidi(notes);
+  const { filePath } = await musicXmlExporter.exportMidi(midiPath, 'Test', { outputDir: dir });
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+function trebleNotes(xml) {
+  return [...xml.matchAll(/<note>([\s\S]*?)<\/note>/g)]
+    .map(match => match[1])
+    .filter(note => note.includes('<staff>1</staff>') && note.includes('<pitch>'));
+}
+
+test('the key, pitches and durations come from the MIDI file', { skip }, async () => {
+  // F#4 quarter, then A4 half
+  const xml = await exportXml([[66, 0, 1], [69, 1, 2]]);
+
+  assert.match(xml, /<key>\s*<fifths>2<\/fifths>\s*<mode>major<\/mode>\s*<\/key>/);
+  assert.match(xml, /<divisions>4<\/divisions>/);
+
+  const [fSharp, a] = trebleNotes(xml);
+  assert.match(fSharp, /<step>F<\/step>\s*<alter>1<\/alter>\s*<octave>4<\/octave>/);
+  assert.match(fSharp, /<duration>4<\/duration>/);
+  assert.match(fSharp, /<type>quarter<\/type>/);
+  assert.doesNotMatch(fSharp, /<accidental>/);
+  assert.match(a, /<step>A<\/step>\s*<octave>4<\/octave>/);
+  assert.match(a, /<duration>8<\/duration>/);
+});
+
+test('notes outside the key get accidentals once per measure', { skip }, async () => {
+  // C natural twice in D major, then C#
+  const xml = await exportXml([[72, 0, 1], [72, 1, 1], [73, 2, 1]]);
+  const [first, second, third] = trebleNotes(xml);
+
+  assert.match(first, /<step>C<\/step>/);
+  assert.match(first, /<accidental>natural<\/accidental>/);
+  assert.doesNotMatch(second, /<accidental>/);
+  assert.match(third, /<alter>1<\/alter>/);
+  assert.match(third, /<accidental>sharp<\/accidental>/);
+});
+
+test('a note held under a later one is tied, not cut short', { skip }, async () => {
+  // A4 for two beats, D5 entering on beat 2
+  const xml = await exportXml([[69, 0, 2], [74, 1, 1]]);
+  const notes = trebleNotes(xml);
+
+  const held = notes.filter(note => note.includes('<step>A</step>'));
+  assert.strictEqual(held.length, 2);
+  assert.match(held[0], /<tie type="start"\/>/);
+  assert.match(held[1], /<tie type="stop"\/>/);
+  held.forEach(note => assert.match(note, /<duration>4<\/duration>/));
+  assert.match(notes[2], /<chord\/>/);
+});
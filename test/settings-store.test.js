@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep settings.json out of the real data folder
+process.env.XDG_CONFIG_HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-store-test-'));
+process.env.APPDATA = process.env.XDG_CONFIG_HOME;
+
+const appPaths = require('../src/main/app-paths');
+const settingsStore = require('../src/main/settings-store');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-store-files-'));
+
+function writeJson(name, data) {
+  const filePath = path.join(workDir, name);
+  fs.writeFileSync(filePath, typeof data === 'string' ? data : JSON.stringify(data));
+  return filePath;
+}
+
+function savedSettings() {
+  return JSON.parse(fs.readFileSync(appPaths.dataFile('settings.json'), 'utf8'));
+}
+
+// Runs first: the store loads once per process
+test('tool paths from tools.json move into settings.json', async () => {
+  fs.mkdirSync(appPaths.getDataDir(), { recursive: true });
+  fs.writeFileSync(appPaths.dataFile('tools.json'), JSON.stringify({ ffmpeg: '/opt/ffmpeg/bin/ffmpeg', bogus: 1 }));
+
+  const settings = await settingsStore.get();
+
+  assert.strictEqual(settings.tools.ffmpeg, '/opt/ffmpeg/bin/ffmpeg');
+  assert.strictEqual(settings.tools.python, null);
+  assert.strictEqual(fs.existsSync(appPaths.dataFile('tools.json')), false);
+  assert.strictEqual(savedSettings().tools.ffmpeg, '/opt/ffmpeg/bin/ffmpeg');
+});
+
+test('updates are validated before anything is saved', async () => {
+  await settingsStore.update({ game: { noteSpeed: 600 } });
+
+  await assert.rejects(settingsStore.update({ game: { noteSpeed: 700, audioOffset: 500 } }), /audioOffset must be between -200 and 200/);
+  await assert.rejects(settingsStore.update({ game: { speed: 1 } }), /Unknown setting: game.speed/);
+  await assert.rejects(settingsStore.update({ conversion: { qualityMode: 'expert' } }), /must be one of/);
+  await assert.rejects(settingsStore.update({ conversion: { useSeparation: 'yes' } }), /must be true or false/);
+  await assert.rejects(settingsStore.update({ conversion: { separationBackend: 'bogus' } }), /Unknown separation backend/);
+  await assert.rejects(settingsStore.update({ theme: {} }), /Unknown settings section: theme/);
+
+  assert.strictEqual((await settingsStore.get()).game.noteSpeed, 600);
+  assert.strictEqual(savedSettings().game.noteSpeed, 600);
+});
+
+test('values are normalized and null goes back to the default', async () => {
+  const settings = await settingsStore.update({
+    game: { noteSpeed: '450.4', audioOffset: null },
+    conversion: { separationBackend: 'demucs:htdemucs', useSeparation: true },
+    api: { port: 30000 }
+  });
+  assert.strictEqual(settings.game.noteSpeed, 450);
+  assert.strictEqual(settings.game.audioOffset, 0);
+  assert.strictEqual(settings.conversion.separationBackend, 'demucs:htdemucs');
+  assert.strictEqual(settings.api.port, 30000);
+
+  const reset = await settingsStore.update({ game: { noteSpeed: null } });
+  assert.strictEqual(reset.game.noteSpeed, 400);
+  assert.strictEqual('noteSpeed' in savedSettings().game, false);
+});
+
+test('an exported file imports back to the same settings', async () => {
+  await settingsStore.update({ game: { judgeDifficulty: 'hard' }, api: { enabled: true } });
+  const exported = await settingsStore.get();
+  const filePath = await settingsStore.exportTo(path.join(workDir, 'export.json'));
+
+  await settingsStore.update({ game: { judgeDifficulty: 'easy' }, api: { enabled: false } });
+  assert.deepStrictEqual(await settingsStore.importFrom(filePath), exported);
+});
+
+test('importing replaces only the sections in the file', async () => {
+  await settingsStore.update({ game: { noteSpeed: 800, audioOffset: 20 }, api: { port: 31000 } });
+
+  const settings = await settingsStore.importFrom(writeJson('game.json', { version: 1, game: { noteSpeed: 300 } }));
+
+  assert.strictEqual(settings.game.noteSpeed, 300);
+  assert.strictEqual(settings.game.audioOffset, 0, 'values missing from an imported section are reset');
+  assert.strictEqual(settings.api.port, 31000);
+});
+
+test('invalid settings files are rejected without changing anything', async () => {
+  await settingsStore.update({ game: { noteSpeed: 500 } });
+  const before = await settingsStore.get();
+
+  await assert.rejects(settingsStore.importFrom(writeJson('broken.json', '{ nope')), /Cannot read settings file/);
+  await assert.rejects(settingsStore.importFrom(writeJson('other.json', { name: 'package' })), /Not a settings file/);
+  await assert.rejects(settingsStore.importFrom(writeJson('newer.json', { version: 2, game: {} })), /newer than this app supports/);
+  await assert.rejects(settingsStore.importFrom(writeJson('invalid.json', { version: 1, game: { noteSpeed: 5 } })), /noteSpeed must be between/);
+
+  assert.deepStrictEqual(await settingsStore.get(), before);
+  assert.strictEqual(savedSettings().game.noteSpeed, 500);
+});
@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const songManifest = require('../src/main/song-manifest');
+
+function songFolder(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'song-manifest-test-'));
+  Object.entries(files).forEach(([name, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+  });
+  return dir;
+}
+
+test('song.json is read with defaults for missing fields', async () => {
+  const dir = songFolder({
+    'song.json': {
+      version: 1,
+      title: 'Song',
+      source: { url: 'https://www.youtube.com/watch?v=abcdefghijk' },
+      analysis: { bpm: 96 },
+      artifacts: [{ type: 'midi', file: 'Song.mid' }]
+    }
+  });
+
+  const manifest = await songManifest.readManifest(dir);
+  assert.strictEqual(manifest.title, 'Song');
+  assert.strictEqual(manifest.source.url, 'https://www.youtube.com/watch?v=abcdefghijk');
+  assert.strictEqual(manifest.source.filePath, null);
+  assert.deepStrictEqual(manifest.analysis, { bpm: 96, key: null, timeSignature: null });
+  assert.deepStrictEqual(manifest.artifacts, [{ type: 'midi', file: 'Song.mid' }]);
+});
+
+test('a folder without song.json is described from metadata.json and its files', async () => {
+  const dir = songFolder({
+    'metadata.json': {
+      title: 'Old Song',
+      url: 'https://youtu.be/abcdefghijk',
+      createdAt: 1000,
+      clip: { start: 10, end: 40 },
+      charts: {
+        '[초급] Old Song.mid': { qualityMode: 'beginner', params: { onsetThreshold: 0.6 }, createdAt: 1200 }
+      }
+    },
+    '[초급] Old Song.mid': '',
+    '[초급] Old Song.pdf': '',
+    'Old Song.musicxml': '',
+    'Old Song.mp3': '',
+    'instrumental.mp3': '',
+    'raw/activations.json': '{}'
+  });
+
+  const manifest = await songManifest.readManifest(dir);
+  assert.strictEqual(manifest.title, 'Old Song');
+  assert.strictEqual(manifest.source.videoId, 'abcdefghijk');
+  assert.deepStrictEqual(manifest.source.clip, { start: 10, end: 40 });
+  assert.strictEqual(manifest.createdAt, 1000);
+
+  const byFile = Object.fromEntries(manifest.artifacts.map(item => [item.file, item]));
+  assert.strictEqual(byFile['[초급] Old Song.mid'].difficulty, '초급');
+  assert.strictEqual(byFile['[초급] Old Song.mid'].settings.qualityMode, 'beginner');
+  assert.deepStrictEqual(byFile['[초급] Old Song.mid'].params, { onsetThreshold: 0.6 });
+  assert.strictEqual(byFile['[초급] Old Song.pdf'].chart, '[초급] Old Song.mid');
+  assert.strictEqual(byFile['Old Song.musicxml'].chart, null);
+  assert.strictEqual(byFile['Old Song.mp3'].type, 'audio');
+  assert.strictEqual(byFile['instrumental.mp3'].type, 'instrumental');
+  assert.strictEqual(byFile['raw/activations.json'].type, 'activations');
+});
+
+test('a folder with nothing recognizable has no manifest', async () => {
+  const dir = songFolder({ 'notes.txt': 'hello' });
+  assert.strictEqual(await songManifest.readManifest(dir), null);
+  assert.strictEqual(await songManifest.readManifest(path.join(dir, 'missing')), null);
+});
+
+test('the first update writes song.json and removes metadata.json', async () => {
+  const dir = songFolder({
+    'metadata.json': { title: 'Old Song', url: 'https://youtu.be/abcdefghijk' },
+    'Old Song.mid': ''
+  });
+
+  await songManifest.updateManifest(dir, (manifest) => {
+    manifest.analysis.key = 'D';
+    songManifest.setArtifact(manifest, { type: 'pdf', file: 'Old Song.pdf', chart: 'Old Song.mid' });
+  });
+
+  assert.strictEqual(fs.existsSync(path.join(dir, 'metadata.json')), false);
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, songManifest.MANIFEST_FILE), 'utf8'));
+  assert.strictEqual(saved.title, 'Old Song');
+  assert.strictEqual(saved.source.url, 'https://youtu.be/abcdefghijk');
+  assert.strictEqual(saved.analysis.key, 'D');
+  assert.deepStrictEqual(songManifest.findArtifacts(saved, 'midi').map(item => item.file), ['Old Song.mid']);
+  assert.strictEqual(songManifest.findArtifact(saved, 'pdf').chart, 'Old Song.mid');
+});
+
+test('setArtifact replaces the earlier entry for the same file', () => {
+  const manifest = songManifest.createManifest('Song');
+  songManifest.setArtifact(manifest, { type: 'pdf', file: 'Song.pdf', chart: 'a.mid' });
+  songManifest.setArtifact(manifest, { type: 'pdf', file: 'Song.pdf', chart: 'b.mid' });
+
+  assert.strictEqual(manifest.artifacts.length, 1);
+  assert.strictEqual(manifest.artifacts[0].chart, 'b.mid');
+});
+
+test('a corrupt song.json falls back to the folder contents', async () => {
+  const dir = songFolder({ 'song.json': '{ not json', 'Song.mid': '' });
+  const manifest = await songManifest.readManifest(dir);
+  assert.strictEqual(manifest.title, path.basename(dir));
+  assert.deepStrictEqual(songManifest.findArtifacts(manifest, 'midi').map(item => item.file), ['Song.mid']);
+});